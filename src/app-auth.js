@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+// Mint a new installation token when the current one has less than this left (tokens last one hour)
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Encodes a value as unpadded base64url.
+ * @param {string|Buffer} value - The value to encode.
+ * @returns {string} - The encoded value.
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Normalizes a PEM private key pasted into a secret, where newlines are often escaped as "\n".
+ * @param {string} privateKey - The private key.
+ * @returns {string} - The PEM text with real newlines.
+ */
+function normalizePrivateKey(privateKey) {
+  return privateKey.trim().replace(/\\n/g, '\n');
+}
+
+/**
+ * Creates the short-lived JSON Web Token a GitHub App uses to authenticate as itself.
+ * @param {string|number} appId - The App ID (or client ID).
+ * @param {string} privateKey - The App's PEM private key.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {string} - The RS256-signed JWT, valid for nine minutes.
+ */
+function createAppJwt(appId, privateKey, now = Date.now()) {
+  const issuedAt = Math.floor(now / 1000) - 60; // allow for clock drift
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ iat: issuedAt, exp: issuedAt + 10 * 60, iss: String(appId) }));
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), normalizePrivateKey(privateKey));
+  return `${header}.${payload}.${base64url(signature)}`;
+}
+
+/**
+ * Finds the App's installation on an organization, or on a user account if no such organization exists.
+ * @param {object} appOctokit - An Octokit client authenticated with the App JWT.
+ * @param {string} owner - The organization or user login.
+ * @returns {Promise<number>} - The installation id.
+ */
+async function findInstallationId(appOctokit, owner) {
+  try {
+    const { data } = await appOctokit.rest.apps.getOrgInstallation({ org: owner });
+    return data.id;
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+  try {
+    const { data } = await appOctokit.rest.apps.getUserInstallation({ username: owner });
+    return data.id;
+  } catch (error) {
+    if (error.status === 404) {
+      throw new Error(`The GitHub App is not installed on '${owner}'`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Creates a function returning an installation access token for the App's installation on `owner`.
+ * The token is minted on first use, cached, and minted again shortly before it expires, so runs
+ * longer than the token lifetime keep working.
+ * @param {object} settings - Provider settings.
+ * @param {string|number} settings.appId - The App ID.
+ * @param {string} settings.privateKey - The App's PEM private key.
+ * @param {string} settings.owner - The organization or user the App is installed on.
+ * @param {function} settings.createAppOctokit - Takes a JWT and returns an Octokit client for the App.
+ * @param {function} [settings.onToken] - Called with each newly minted token, e.g. to mask it in logs.
+ * @param {function} [settings.now=Date.now] - Returns the current time in milliseconds.
+ * @returns {function} - A function returning a Promise of the installation token.
+ */
+function makeInstallationTokenProvider({ appId, privateKey, owner, createAppOctokit, onToken = () => {}, now = Date.now }) {
+  let installationId = null;
+  let cached = null;
+  let pending = null;
+
+  async function mintToken() {
+    const appOctokit = createAppOctokit(createAppJwt(appId, privateKey, now()));
+    if (installationId === null) {
+      installationId = await findInstallationId(appOctokit, owner);
+    }
+    const { data } = await appOctokit.rest.apps.createInstallationAccessToken({ installation_id: installationId });
+    onToken(data.token);
+    console.log(`Minted a GitHub App installation token for ${owner}, valid until ${data.expires_at}`);
+    return { token: data.token, expiresAt: new Date(data.expires_at).getTime() };
+  }
+
+  return async function getInstallationToken() {
+    if (cached && cached.expiresAt - now() > TOKEN_REFRESH_MARGIN_MS) {
+      return cached.token;
+    }
+    // Share one in-flight request between concurrent callers
+    if (!pending) {
+      pending = mintToken().finally(() => {
+        pending = null;
+      });
+    }
+    cached = await pending;
+    return cached.token;
+  };
+}
+
+module.exports = {
+  createAppJwt,
+  makeInstallationTokenProvider
+};
@@ -0,0 +1,117 @@
+const { parseSnoozeDate, parseSnoozeLabel, snoozeLabelName } = require('./snooze');
+
+// Comment lines starting with this are commands, e.g. "/healthcheck snooze 14d"
+const COMMAND_PREFIX = '/healthcheck';
+
+// Collaborator permission levels (as reported by the legacy `permission` field) allowed to run commands
+const COLLABORATOR_PERMISSIONS = ['admin', 'write'];
+
+// The longest snooze accepted, so a typo cannot silence reminders for years
+const MAX_SNOOZE_DAYS = 365;
+
+const USAGE = [
+  `\`${COMMAND_PREFIX} snooze 14d\` - pause reminders for a number of days (or weeks, e.g. \`2w\`)`,
+  `\`${COMMAND_PREFIX} scheduled 2026-11-05\` - pause reminders until a scheduled healthcheck`,
+  `\`${COMMAND_PREFIX} not-applicable\` - stop reminders on this issue`,
+].join('\n');
+
+/**
+ * Finds and parses the first `/healthcheck` command in a comment.
+ * @param {string} body - The comment body.
+ * @param {Date} [now=new Date()] - The reference date.
+ * @returns {{name: string, until: Date|undefined}|{error: string}|null} - The command, a parse error, or null if the comment has no command.
+ */
+function parseCommand(body, now = new Date()) {
+  const line = (body || '').split(/\r?\n/).map(text => text.trim()).find(text => text.split(/\s+/)[0] === COMMAND_PREFIX);
+  if (!line) {
+    return null;
+  }
+  const [, name = '', argument = ''] = line.split(/\s+/);
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  switch (name.toLowerCase()) {
+    case 'snooze': {
+      const match = argument.toLowerCase().match(/^(\d+)(d|days?|w|weeks?)?$/);
+      const days = match ? Number(match[1]) * (match[2] && match[2].startsWith('w') ? 7 : 1) : 0;
+      if (days < 1 || days > MAX_SNOOZE_DAYS) {
+        return { error: `\`snooze\` needs a duration between 1 and ${MAX_SNOOZE_DAYS} days, e.g. \`14d\` or \`2w\`; got '${argument}'` };
+      }
+      return { name: 'snooze', until: new Date(today.getTime() + days * 24 * 60 * 60 * 1000) };
+    }
+    case 'scheduled': {
+      const until = parseSnoozeDate(argument);
+      if (!until || until <= today) {
+        return { error: `\`scheduled\` needs a future date in the format YYYY-MM-DD; got '${argument}'` };
+      }
+      return { name: 'scheduled', until };
+    }
+    case 'not-applicable':
+      return { name: 'not-applicable' };
+    default:
+      return { error: `Unknown command '${name}'` };
+  }
+}
+
+/**
+ * Works out the label changes and confirmation reply for a command. A new snooze replaces any earlier snooze labels.
+ * @param {{name: string, until: Date|undefined}} command - A command returned by parseCommand.
+ * @param {object} issue - The issue, with its labels.
+ * @param {object} settings - Label settings.
+ * @param {string} settings.skipLabelName - The label that suppresses notifications.
+ * @param {string} settings.notApplicableLabel - The label excluding an issue from reminders.
+ * @param {string} settings.author - The login of the commenter.
+ * @returns {{addLabels: string[], removeLabels: string[], reply: string}} - What to apply.
+ */
+function planCommand(command, issue, { skipLabelName, notApplicableLabel, author }) {
+  const labels = issue.labels || [];
+  if (command.name === 'not-applicable') {
+    return {
+      addLabels: labels.includes(notApplicableLabel) ? [] : [notApplicableLabel],
+      removeLabels: [],
+      reply: `@${author} marked this issue as not needing healthchecks with the label \`${notApplicableLabel}\`; no more reminders will be posted. Remove the label to resume them.`,
+    };
+  }
+
+  const label = snoozeLabelName(skipLabelName, command.until);
+  const date = command.until.toISOString().split('T')[0];
+  const until = command.name === 'scheduled' ? `the scheduled healthcheck on ${date}` : date;
+  return {
+    addLabels: labels.includes(label) ? [] : [label],
+    removeLabels: labels.filter(existing => existing !== label && parseSnoozeLabel(existing, skipLabelName)),
+    reply: `@${author} snoozed healthcheck reminders until ${until} with the label \`${label}\`. Remove the label to resume them sooner.`,
+  };
+}
+
+/**
+ * Tells whether a user may run commands on an issue: its assignees, and collaborators with write access to the repo.
+ * @param {object} context - An object containing octokit, repoOwner, and repoName.
+ * @param {object} issue - The issue, with the logins of its assignees.
+ * @param {string} login - The commenter.
+ * @returns {Promise<boolean>} - True if the user may run commands.
+ */
+async function isAuthorized(context, issue, login) {
+  if ((issue.assignees || []).includes(login)) {
+    return true;
+  }
+  try {
+    const { data } = await context.octokit.rest.repos.getCollaboratorPermissionLevel({
+      owner: context.repoOwner,
+      repo: context.repoName,
+      username: login,
+    });
+    return COLLABORATOR_PERMISSIONS.includes(data.permission);
+  } catch (error) {
+    if (error.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  COMMAND_PREFIX,
+  USAGE,
+  parseCommand,
+  planCommand,
+  isAuthorized
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+
+const ADVICE = `If you'd like to suppress this message temporarily, add the label \`{{skip_label}}\` to the issue {{issue_url}}.
+If the issue should never get healthchecks, close the issue.
+If you think the issue is mis-assigned, ensure that the right people are assigned.`;
+
+// Built-in templates, used unless the workflow provides its own
+const DEFAULT_TEMPLATES = {
+  stale: `{{#assignees}}Heads-up {{assignees}}! {{/assignees}}{{summary}}
+{{cadence_note}}
+{{#last_healthcheck_url}}Last {{type}}: [{{last_healthcheck_title}}]({{last_healthcheck_url}}){{/last_healthcheck_url}}
+{{#previous_healthchecks}}Previous {{type}}s: {{previous_healthchecks}}{{/previous_healthchecks}}
+
+${ADVICE}`,
+  missing: `{{#assignees}}Heads-up {{assignees}}! {{/assignees}}No {{type}}s were found for the issue titled \`{{title}}\`.
+This may reflect a mismatch between the issue {{match_field}} and the {{type}}'s YAML frontmatter.
+To fix this, ensure the next {{type}} frontmatter matches the issue, or update the {{match_field}} of {{issue_url}}.
+
+${ADVICE}`,
+};
+
+// The default one-sentence summary of a stale healthcheck, which a reminder tier's message replaces
+const DEFAULT_SUMMARY = 'The enterprise \'{{title}}\' is due for its next {{type}} because the last one was {{days_since}} days ago on {{last_healthcheck_date}}.';
+
+// Placeholders available to every template
+const COMMON_PLACEHOLDERS = ['assignees', 'title', 'enterprise_slug', 'skip_label', 'issue_url', 'match_field', 'type'];
+
+// Placeholders available to each kind of template
+const PLACEHOLDERS = {
+  stale: [...COMMON_PLACEHOLDERS, 'summary', 'last_healthcheck_date', 'days_since', 'healthcheck_link', 'last_healthcheck_title',
+    'last_healthcheck_url', 'previous_healthchecks', 'tier', 'cadence_days', 'cadence_note'],
+  missing: COMMON_PLACEHOLDERS,
+  summary: [...COMMON_PLACEHOLDERS, 'last_healthcheck_date', 'days_since', 'healthcheck_link', 'tier', 'cadence_days'],
+};
+
+const TOKEN_PATTERN = /\{\{\s*([#/]?)(\w+)\s*\}\}/g;
+
+/**
+ * Checks that a template only uses known placeholders and that its sections are balanced.
+ * @param {string} template - The template text.
+ * @param {string[]} allowed - The placeholder names the template may use.
+ * @param {string} name - The template's name, for error messages.
+ * @throws {Error} - If the template uses an unknown placeholder or has an unbalanced section.
+ */
+function validateTemplate(template, allowed, name) {
+  const open = [];
+  for (const [token, kind, key] of template.matchAll(TOKEN_PATTERN)) {
+    if (!allowed.includes(key)) {
+      throw new Error(`Unknown placeholder ${token} in the ${name} template; expected one of ${allowed.map(p => `{{${p}}}`).join(', ')}`);
+    }
+    if (kind === '#') {
+      open.push(key);
+    } else if (kind === '/') {
+      if (open.pop() !== key) {
+        throw new Error(`Unbalanced section ${token} in the ${name} template`);
+      }
+    }
+  }
+  if (open.length > 0) {
+    throw new Error(`Unclosed section {{#${open[open.length - 1]}}} in the ${name} template`);
+  }
+}
+
+/**
+ * Renders a template. `{{name}}` is replaced by the value of `name`, and `{{#name}}...{{/name}}`
+ * keeps its content only when `name` has a non-empty value. Unknown placeholders are left untouched.
+ * @param {string} template - The template text.
+ * @param {Object} values - Placeholder values keyed by name.
+ * @returns {string} - The rendered text.
+ */
+function renderTemplate(template, values) {
+  const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+  const withSections = template.replace(/\{\{\s*#(\w+)\s*\}\}([\s\S]*?)\{\{\s*\/\1\s*\}\}/g, (match, key, content) =>
+    isEmpty(values[key]) ? '' : content
+  );
+  return withSections.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    values[key] === undefined || values[key] === null ? match : String(values[key])
+  );
+}
+
+/**
+ * Loads the comment templates, preferring inline text over a file and falling back to the defaults,
+ * and validates them so a typo in a placeholder fails the run before any comment is posted.
+ * @param {object} [settings={}] - Template inputs.
+ * @param {string} [settings.stale] - Inline template for issues whose healthcheck is stale.
+ * @param {string} [settings.staleFile] - Path of a Markdown file holding the stale template.
+ * @param {string} [settings.missing] - Inline template for issues with no healthcheck.
+ * @param {string} [settings.missingFile] - Path of a Markdown file holding the missing template.
+ * @param {{stale: string, missing: string}} [fallbacks=DEFAULT_TEMPLATES] - The templates used where none is given.
+ * @returns {{stale: string, missing: string}} - The validated templates.
+ */
+function loadTemplates({ stale, staleFile, missing, missingFile } = {}, fallbacks = DEFAULT_TEMPLATES) {
+  const pick = (inline, file, fallback) => {
+    if (inline && inline.trim()) return inline;
+    if (file && file.trim()) return fs.readFileSync(file.trim(), 'utf8');
+    return fallback;
+  };
+  const templates = {
+    stale: pick(stale, staleFile, fallbacks.stale),
+    missing: pick(missing, missingFile, fallbacks.missing),
+  };
+  validateTemplate(templates.stale, PLACEHOLDERS.stale, 'stale');
+  validateTemplate(templates.missing, PLACEHOLDERS.missing, 'missing');
+  return templates;
+}
+
+/**
+ * Formats a date for comments.
+ * @param {Date} date - The date.
+ * @param {object} [options={}] - Formatting settings.
+ * @param {string} [options.locale='en-US'] - A BCP 47 locale, e.g. 'de-DE'.
+ * @param {string} [options.timeZone='UTC'] - An IANA time zone, e.g. 'Europe/Berlin'.
+ * @returns {string} - The formatted date, e.g. "May 1, 2024".
+ */
+function formatDate(date, { locale = 'en-US', timeZone = 'UTC' } = {}) {
+  return new Intl.DateTimeFormat(locale, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone,
+  }).format(date);
+}
+
+/**
+ * Checks the locale and time zone settings, so a typo fails the run at startup.
+ * @param {{locale: string, timeZone: string}} options - Formatting settings.
+ * @throws {RangeError} - If the locale or time zone is invalid.
+ */
+function validateDateFormat(options) {
+  formatDate(new Date(0), options);
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  DEFAULT_SUMMARY,
+  PLACEHOLDERS,
+  validateTemplate,
+  renderTemplate,
+  loadTemplates,
+  formatDate,
+  validateDateFormat
+};
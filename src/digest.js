@@ -0,0 +1,221 @@
+const { formatDate } = require('./comment-templates');
+const { groupByAssignee } = require('./forecast');
+
+// Ways of delivering reminders: a comment on each overdue issue, or one digest per assignee
+const DELIVERY_MODES = ['comments', 'digest'];
+
+// Stands in for the assignee in the marker of the digest of unassigned issues; logins can't hold parentheses
+const UNASSIGNED_KEY = '(unassigned)';
+
+const DIGEST_MARKER_PATTERN = /<!-- hc-scheduler:digest:(\S+) -->/;
+
+/**
+ * Builds the hidden marker of an assignee's digest, so later runs find and update it in place.
+ * @param {string|null} assignee - The assignee's login, or null for unassigned issues.
+ * @returns {string} - The marker.
+ */
+function digestMarker(assignee) {
+  return `<!-- hc-scheduler:digest:${assignee ? assignee.toLowerCase() : UNASSIGNED_KEY} -->`;
+}
+
+/**
+ * Parses the `reminder-delivery` input.
+ * @param {string} input - `comments` (the default) or `digest`.
+ * @returns {string} - The delivery mode.
+ */
+function parseDeliveryMode(input) {
+  const mode = (input || 'comments').trim().toLowerCase();
+  if (!DELIVERY_MODES.includes(mode)) {
+    throw new Error(`Unknown reminder delivery '${input}'; expected one of ${DELIVERY_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Parses where digests go: comments on a tracking issue, else an issue per assignee in a repository.
+ * @param {object} inputs - The raw inputs.
+ * @param {string} [inputs.issue] - The tracking issue, as owner/repo#number.
+ * @param {string} [inputs.repository] - The repository of the per-assignee issues, as owner/repo.
+ * @returns {{kind: string, owner: string, repo: string, number?: number, name: string}} - The target, of kind
+ *   'issue' or 'repository', with a name for log messages.
+ */
+function parseDigestTarget({ issue, repository } = {}) {
+  if (issue && issue.trim()) {
+    const match = issue.trim().match(/^([\w.-]+)\/([\w.-]+)#(\d+)$/);
+    if (!match) {
+      throw new Error(`digest-issue must look like owner/repo#number; got '${issue}'`);
+    }
+    return { kind: 'issue', owner: match[1], repo: match[2], number: Number(match[3]), name: issue.trim() };
+  }
+  if (repository && repository.trim()) {
+    const match = repository.trim().match(/^([\w.-]+)\/([\w.-]+)$/);
+    if (!match) {
+      throw new Error(`digest-repository must look like owner/repo; got '${repository}'`);
+    }
+    return { kind: 'repository', owner: match[1], repo: match[2], name: repository.trim() };
+  }
+  throw new Error('Digest delivery needs digest-issue or digest-repository');
+}
+
+/**
+ * Composes the digest of an assignee's overdue issues, tagged with the assignee's digest marker.
+ * @param {string|null} assignee - The assignee's login, or null for unassigned issues.
+ * @param {Array} outcomes - Outcomes of the issues to list; none says that nothing is overdue.
+ * @param {object} [options={}] - Optional settings.
+ * @param {string} [options.skipLabelName] - The label that suppresses notifications, explained below the table.
+ * @param {string} [options.locale] - The locale for dates, e.g. 'en-US'.
+ * @param {string} [options.timeZone] - The time zone for dates, e.g. 'UTC'.
+ * @param {boolean} [options.showTypes=false] - Whether to add a column naming each row's healthcheck type.
+ * @param {Date} [options.now=new Date()] - The date the digest is made.
+ * @returns {string} - The digest.
+ */
+function composeDigest(assignee, outcomes, { skipLabelName, locale, timeZone, showTypes = false, now = new Date() } = {}) {
+  const dateOptions = { locale, timeZone };
+  const asOf = formatDate(now, dateOptions);
+  const lines = [`### Healthcheck digest for ${assignee ? `@${assignee}` : 'unassigned issues'}`, ''];
+
+  if (outcomes.length === 0) {
+    lines.push(`Nothing is overdue as of ${asOf}.`);
+  } else {
+    lines.push(
+      `${outcomes.length} overdue as of ${asOf}:`,
+      '',
+      `| enterprise |${showTypes ? ' type |' : ''} issue | last healthcheck | days overdue |`,
+      `| --- |${showTypes ? ' --- |' : ''} --- | --- | --- |`
+    );
+    for (const { issue } of outcomes) {
+      const type = issue.healthcheck_type_title || 'healthcheck';
+      let last = `no ${type}`;
+      if (issue.last_healthcheck_date !== null) {
+        const day = formatDate(issue.last_healthcheck_date, dateOptions);
+        last = issue.last_healthcheck_url ? `[${day}](${issue.last_healthcheck_url})` : day;
+      }
+      lines.push([
+        '',
+        issue.enterprise_slug || issue.title,
+        ...(showTypes ? [type] : []),
+        `[${issue.repository ? `${issue.repository}#${issue.number}` : `#${issue.number}`}](${issue.url})`,
+        last,
+        issue.last_healthcheck_date === null ? '' : issue.days_since_healthcheck - issue.threshold_days,
+        '',
+      ].join(' | ').trim());
+    }
+    if (skipLabelName) {
+      lines.push('', `To pause the reminders of an enterprise, add the label \`${skipLabelName}\` to its issue.`);
+    }
+  }
+
+  lines.push('', digestMarker(assignee));
+  return lines.join('\n');
+}
+
+/**
+ * Finds the digests earlier runs left on the target: marked comments on the tracking issue, or marked open issues.
+ * @param {object} octokit - An authenticated Octokit client.
+ * @param {object} target - The target returned by parseDigestTarget.
+ * @returns {Promise<Map<string, object>>} - The comments or issues by the key in their marker (a lowercase login).
+ */
+async function findDigests(octokit, target) {
+  const items = target.kind === 'issue'
+    ? await octokit.paginate(octokit.rest.issues.listComments, { owner: target.owner, repo: target.repo, issue_number: target.number, per_page: 100 })
+    : (await octokit.paginate(octokit.rest.issues.listForRepo, { owner: target.owner, repo: target.repo, state: 'open', per_page: 100 }))
+      .filter(item => !item.pull_request);
+
+  const digests = new Map();
+  for (const item of items) {
+    const match = (item.body || '').match(DIGEST_MARKER_PATTERN);
+    if (match && !digests.has(match[1])) {
+      digests.set(match[1], item);
+    }
+  }
+  return digests;
+}
+
+/**
+ * Posts an assignee's digest, or replaces the one an earlier run posted, or logs the intended change if dry run is
+ * enabled. On a tracking issue the digest is a comment; otherwise it is an issue assigned to the assignee.
+ * @param {object} octokit - An authenticated Octokit client.
+ * @param {object} target - The target returned by parseDigestTarget.
+ * @param {string|null} assignee - The assignee's login, or null for unassigned issues.
+ * @param {string} body - The digest returned by composeDigest.
+ * @param {object|null} existing - The comment or issue holding the assignee's digest, as found by findDigests.
+ * @param {boolean} [isDryRun=true] - If true, the function will only log the digest instead of posting it.
+ * @returns {Promise<{ok: boolean, message: string}>} - An object indicating success and a message.
+ */
+async function publishDigest(octokit, target, assignee, body, existing, isDryRun = true) {
+  const who = assignee ? `@${assignee}` : 'unassigned issues';
+  const { owner, repo } = target;
+  let place;
+  if (target.kind === 'issue') {
+    place = existing ? `${target.name} (comment ${existing.id})` : target.name;
+  } else {
+    place = existing ? `${owner}/${repo}#${existing.number}` : `a new issue in ${target.name}`;
+  }
+  const verb = existing ? 'updated' : 'posted';
+
+  try {
+    if (isDryRun) {
+      return { ok: true, message: `[DRY-RUN] Would have ${verb} the digest for ${who} on ${place}:\n    ${body}` };
+    }
+    if (target.kind === 'issue' && existing) {
+      await octokit.rest.issues.updateComment({ owner, repo, comment_id: existing.id, body });
+    } else if (target.kind === 'issue') {
+      await octokit.rest.issues.createComment({ owner, repo, issue_number: target.number, body });
+    } else if (existing) {
+      await octokit.rest.issues.update({ owner, repo, issue_number: existing.number, body });
+    } else {
+      const { data: created } = await octokit.rest.issues.create({ owner, repo, title: `Healthcheck digest for @${assignee}`, body, assignees: [assignee] });
+      place = `${owner}/${repo}#${created.number}`;
+    }
+    return { ok: true, message: `${verb.charAt(0).toUpperCase()}${verb.slice(1)} the digest for ${who} on ${place}` };
+  } catch (error) {
+    return { ok: false, message: `Failed to publish the digest for ${who} on ${place} - ${error.message}` };
+  }
+}
+
+/**
+ * Delivers one digest per assignee of the given outcomes, and empties the digests of assignees left with nothing
+ * overdue, so none goes stale. Unassigned issues get a digest of their own on a tracking issue only, as there is
+ * nobody to assign a digest issue to.
+ * @param {object} octokit - An authenticated Octokit client.
+ * @param {object} target - The target returned by parseDigestTarget.
+ * @param {Array} outcomes - Outcomes of the issues to remind, each listed under every assignee of its issue.
+ * @param {object} [options={}] - The settings of composeDigest, and isDryRun.
+ * @returns {Promise<Array<{assignee: string|null, outcomes: Array, result: {ok: boolean, message: string}}>>} - The
+ *   result of each digest, with the outcomes it lists.
+ */
+async function deliverDigests(octokit, target, outcomes, { isDryRun = true, ...digestOptions } = {}) {
+  const existing = await findDigests(octokit, target);
+  const groups = groupByAssignee(outcomes);
+  const deliveries = [];
+
+  for (const { assignee, entries } of groups) {
+    if (!assignee && target.kind !== 'issue') {
+      console.log(`[INFO] - ${entries.length} overdue issues nobody is assigned to are left out of the digests in ${target.name}`);
+      continue;
+    }
+    const body = composeDigest(assignee, entries, digestOptions);
+    const key = assignee ? assignee.toLowerCase() : UNASSIGNED_KEY;
+    const result = await publishDigest(octokit, target, assignee, body, existing.get(key) || null, isDryRun);
+    existing.delete(key);
+    deliveries.push({ assignee, outcomes: entries, result });
+  }
+
+  for (const [key, item] of existing) {
+    const assignee = key === UNASSIGNED_KEY ? null : key;
+    const result = await publishDigest(octokit, target, assignee, composeDigest(assignee, [], digestOptions), item, isDryRun);
+    deliveries.push({ assignee, outcomes: [], result });
+  }
+  return deliveries;
+}
+
+module.exports = {
+  DELIVERY_MODES,
+  digestMarker,
+  parseDeliveryMode,
+  parseDigestTarget,
+  composeDigest,
+  findDigests,
+  publishDigest,
+  deliverDigests
+};
@@ -0,0 +1,144 @@
+// Strategies tried in order when no explicit order is configured
+const DEFAULT_MATCH_ORDER = ['id-field', 'slug-field', 'body', 'title'];
+
+/**
+ * Extracts the enterprise slug from an issue title in the legacy "slug - number" format.
+ * @param {string} title - The issue title.
+ * @returns {string|null} - The downcased slug, or null if the title is empty.
+ */
+function slugFromTitle(title) {
+  const slug = (title || '').replace(/\s*-\s*\d+.*$/, '').trim().toLowerCase();
+  return slug || null;
+}
+
+/**
+ * Reads structured markers such as `<!-- enterprise_slug: avocado -->` or
+ * `<!-- enterprise_id: 8086 -->` from an issue body.
+ * @param {string} body - The issue body.
+ * @returns {{enterprise_slug?: string, enterprise_id?: string}|null} - The values found, or null if there are none.
+ */
+function keyFromBody(body) {
+  const key = {};
+  const markerPattern = /<!--\s*enterprise_(slug|id)\s*[:=]\s*([^\s>]+)\s*-->/gi;
+  for (const [, kind, value] of (body || '').matchAll(markerPattern)) {
+    if (kind.toLowerCase() === 'slug') {
+      key.enterprise_slug = value.toLowerCase();
+    } else {
+      key.enterprise_id = value;
+    }
+  }
+  return Object.keys(key).length > 0 ? key : null;
+}
+
+/**
+ * Reads a trimmed, non-empty project field value from an issue.
+ * @param {object} issue - The issue, optionally carrying a `fields` map of project field values.
+ * @param {string} fieldName - The field to read.
+ * @returns {string|null} - The value as a string, or null if unset.
+ */
+function fieldValue(issue, fieldName) {
+  const value = issue.fields && issue.fields[fieldName];
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  return String(value).trim();
+}
+
+/**
+ * Creates a function resolving which enterprise an issue belongs to. Each strategy in `order`
+ * is tried in turn; given the healthchecks, the first one whose value matches a healthcheck wins,
+ * else (or without healthchecks) the first one yielding a value:
+ *   - `id-field`: the project field named `idFieldName`
+ *   - `slug-field`: the project field named `slugFieldName`
+ *   - `body`: `<!-- enterprise_slug: ... -->` / `<!-- enterprise_id: ... -->` markers in the issue body
+ *   - `title`: the legacy "slug - number" issue title
+ *
+ * @param {object} [options={}] - Matcher settings.
+ * @param {string[]} [options.order=DEFAULT_MATCH_ORDER] - Strategy precedence.
+ * @param {string} [options.slugFieldName='enterprise_slug'] - The project field holding the enterprise slug.
+ * @param {string} [options.idFieldName='enterprise_id'] - The project field holding the enterprise id.
+ * @returns {function} - A function taking an issue and optionally the healthchecks to match against, and returning
+ *   {enterprise_slug, enterprise_id, source} or null.
+ */
+function makeEnterpriseMatcher({ order = DEFAULT_MATCH_ORDER, slugFieldName = 'enterprise_slug', idFieldName = 'enterprise_id' } = {}) {
+  const strategies = {
+    'id-field': issue => {
+      const id = fieldValue(issue, idFieldName);
+      return id ? { enterprise_id: id } : null;
+    },
+    'slug-field': issue => {
+      const slug = fieldValue(issue, slugFieldName);
+      return slug ? { enterprise_slug: slug.toLowerCase() } : null;
+    },
+    body: issue => keyFromBody(issue.body),
+    title: issue => {
+      const slug = slugFromTitle(issue.title);
+      return slug ? { enterprise_slug: slug } : null;
+    },
+  };
+
+  for (const name of order) {
+    if (!strategies[name]) {
+      throw new Error(`Unknown enterprise match strategy '${name}'; expected one of ${Object.keys(strategies).join(', ')}`);
+    }
+  }
+
+  return function(issue, healthchecks) {
+    let firstKey = null;
+    for (const name of order) {
+      const value = strategies[name](issue);
+      if (!value) continue;
+      const key = {
+        enterprise_slug: value.enterprise_slug || null,
+        enterprise_id: value.enterprise_id || null,
+        source: name,
+      };
+      // An id filled in on the board shouldn't hide older healthchecks that only carry the slug
+      if (!healthchecks || matchHealthchecks(healthchecks, key).length > 0) {
+        return key;
+      }
+      firstKey = firstKey || key;
+    }
+    return firstKey;
+  };
+}
+
+/**
+ * Parses a comma- or newline-separated list of match strategies.
+ * @param {string} orderInput - e.g. "id-field, slug-field, body, title".
+ * @returns {string[]} - The strategies, or DEFAULT_MATCH_ORDER if the input is empty.
+ */
+function parseMatchOrder(orderInput) {
+  const order = (orderInput || '')
+    .split(/[,\n]/)
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return order.length > 0 ? order : DEFAULT_MATCH_ORDER;
+}
+
+/**
+ * Selects the healthchecks belonging to a resolved enterprise: by enterprise_id when the key
+ * carries one, otherwise by enterprise_slug.
+ * @param {Array} healthchecks - The list of all healthchecks.
+ * @param {object|null} key - The key returned by an enterprise matcher.
+ * @returns {Array} - The matching healthchecks.
+ */
+function matchHealthchecks(healthchecks, key) {
+  if (!key) {
+    return [];
+  }
+  if (key.enterprise_id) {
+    return healthchecks.filter(
+      hc => hc.enterprise_id !== null && hc.enterprise_id !== undefined && String(hc.enterprise_id) === String(key.enterprise_id)
+    );
+  }
+  return healthchecks.filter(hc => hc.enterprise_slug === key.enterprise_slug);
+}
+
+module.exports = {
+  DEFAULT_MATCH_ORDER,
+  makeEnterpriseMatcher,
+  parseMatchOrder,
+  matchHealthchecks,
+  slugFromTitle
+};
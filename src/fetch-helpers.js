@@ -1,50 +1,314 @@
-const { execSync } = require('child_process');
+const { parseCadenceDays } = require('./healthcheck-helpers');
+const { parseSnoozeDate, collectSnoozes } = require('./snooze');
+const { matchesFilters } = require('./item-filters');
+
+// Selection of the field values of a Project V2 item, shared by the item query and the follow-up pages
+const FIELD_VALUE_NODES = `
+  nodes {
+    ... on ProjectV2ItemFieldSingleSelectValue {
+      field {
+        ... on ProjectV2FieldCommon {
+          name
+        }
+      }
+      name
+    }
+    ... on ProjectV2ItemFieldNumberValue {
+      field {
+        ... on ProjectV2FieldCommon {
+          name
+        }
+      }
+      number
+    }
+    ... on ProjectV2ItemFieldTextValue {
+      field {
+        ... on ProjectV2FieldCommon {
+          name
+        }
+      }
+      text
+    }
+    ... on ProjectV2ItemFieldDateValue {
+      field {
+        ... on ProjectV2FieldCommon {
+          name
+        }
+      }
+      date
+    }
+    ... on ProjectV2ItemFieldIterationValue {
+      field {
+        ... on ProjectV2FieldCommon {
+          name
+        }
+      }
+      title
+    }
+  }
+`;
+
+// Selection of an issue's labeled events, used to find when a label was last added
+const LABELED_EVENTS = `
+  pageInfo {
+    hasPreviousPage
+    startCursor
+  }
+  nodes {
+    ... on LabeledEvent {
+      createdAt
+      label {
+        name
+      }
+    }
+  }
+`;
 
 /**
- * Clones a GitHub repository into a specified directory.
- * @param {string} token - The authentication token for the repository.
- * @param {string} repo - The repository in the format "owner/repo".
- * @param {string} targetDir - The directory to clone the repository into.
+ * Maps items through an async function, running at most `limit` calls at a time.
+ * @param {Array} items - The items.
+ * @param {number} limit - The most calls in flight.
+ * @param {function} fn - Takes an item and its index and returns a Promise.
+ * @returns {Promise<Array>} - The results, in the order of the items.
  */
-function cloneRepo(token, repo, targetDir) {
-  if (!token) {
-    throw new Error('Cannot clone; no token is not set');
-  }
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
 
-  const repoUrl = `https://${token}@github.com/${repo}.git`;
-  console.log(`Cloning repository ${repo} into ${targetDir}...`);
-  execSync(`git clone ${repoUrl} ${targetDir}`, { stdio: 'inherit' });
+/**
+ * Finds when each of the given labels was last added, among labeled events.
+ * @param {Array} nodes - LabeledEvent nodes.
+ * @param {string[]} labels - The labels of interest.
+ * @returns {object} - The latest date keyed by label, for the labels found.
+ */
+function latestLabeledDates(nodes, labels) {
+  const dates = {};
+  for (const node of nodes || []) {
+    const name = node && node.label && node.label.name;
+    if (labels.includes(name) && (!dates[name] || new Date(node.createdAt) > dates[name])) {
+      dates[name] = new Date(node.createdAt);
+    }
+  }
+  return dates;
 }
 
 /**
- * Maps issues to a more convenient data structure, adding skip_labeled_since using a provided closure.
+ * Maps issues to a more convenient data structure, adding skip_labeled_since, the snoozes set through snooze
+ * labels or the project's snooze date field, and skip_healthcheck for issues marked as not needing healthchecks.
+ * The skip label date comes from the issue's labeled_dates when the project fetch tracked the label, and from
+ * the provided closure otherwise.
  * @param {Array} issues - Array of issue objects.
  * @param {string} skipLabelName - The label to check for skipping healthchecks.
  * @param {function} getLabeledDateFn - A function that takes an issue and returns a Promise<Date|null>.
+ * @param {object} [options={}] - Optional settings.
+ * @param {string} [options.notApplicableLabel] - The label excluding an issue from reminders altogether.
+ * @param {number} [options.concurrency=2] - The most closure calls in flight.
  * @returns {Promise<Array>} - Promise resolving to an array of mapped issue objects.
  */
-async function mapCheckableIssues(issues, skipLabelName, getLabeledDateCallback) {
-  return Promise.all(
-    issues.map(async (issue) => {
+async function mapCheckableIssues(issues, skipLabelName, getLabeledDateCallback, options = {}) {
+  const { notApplicableLabel, concurrency = 2 } = options;
+  return mapWithConcurrency(
+    issues,
+    concurrency,
+    async (issue) => {
       const hasSkipLabel = issue.labels && issue.labels.includes(skipLabelName);
+      const knownDate = issue.labeled_dates ? issue.labeled_dates[skipLabelName] : undefined;
       let skip_labeled_since = null;
-      if (hasSkipLabel && getLabeledDateCallback) {
-        skip_labeled_since = await getLabeledDateCallback(issue);
+      if (hasSkipLabel && (knownDate !== undefined || getLabeledDateCallback)) {
+        skip_labeled_since = knownDate !== undefined ? knownDate : await getLabeledDateCallback(issue);
         console.log(`Issue #${issue.number} - \`${issue.title}\` has been labeled with ${skipLabelName} since ${skip_labeled_since}`);
       }
       return {
         ...issue,
-        skip_labeled_since
+        skip_labeled_since,
+        skip_healthcheck: Boolean(notApplicableLabel && issue.labels && issue.labels.includes(notApplicableLabel)),
+        snoozes: collectSnoozes(issue, skipLabelName)
       };
-    })
+    }
   );
 }
 
-async function fetchIssuesFromV2Project(octokit, org, projectNumber, issueStatus = "Active", issueState = "OPEN") {
+/**
+ * Flattens Project V2 item field values into a map of field name to value
+ * (the option name of single-select fields, the iteration title, or the number, text or date otherwise).
+ * @param {Array} fieldValueNodes - The item's fieldValues.nodes.
+ * @returns {object} - Field values keyed by field name.
+ */
+function mapFieldValues(fieldValueNodes) {
+  const fields = {};
+  for (const node of fieldValueNodes || []) {
+    if (node && node.field && node.field.name) {
+      fields[node.field.name] = node.name ?? node.title ?? node.number ?? node.text ?? node.date ?? null;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Completes a nested connection that the item query cut off, fetching its remaining pages through the node it belongs to.
+ * Without this an issue with many labels could lose its skip label, or an item with many fields its status.
+ * @param {object} octokit - An authenticated Octokit client.
+ * @param {string} nodeId - The id of the issue or project item holding the connection.
+ * @param {string} nodeType - The GraphQL type of the node, e.g. 'Issue' or 'ProjectV2Item'.
+ * @param {string} connectionName - The connection, e.g. 'labels'.
+ * @param {string} selection - The selection of the connection's nodes.
+ * @param {{nodes: Array, pageInfo: object}} connection - The first page, as returned by the item query.
+ * @returns {Promise<Array>} - The nodes of all pages.
+ */
+async function fetchRemainingNodes(octokit, nodeId, nodeType, connectionName, selection, connection) {
+  const nodes = [...(connection?.nodes || [])];
+  let pageInfo = connection?.pageInfo;
+  if (!pageInfo?.hasNextPage) {
+    return nodes;
+  }
+  if (!nodeId) {
+    throw new Error(`Cannot page through the ${connectionName} of a ${nodeType} without its id`);
+  }
+
+  const query = `
+    query ($id: ID!, $after: String) {
+      node(id: $id) {
+        ... on ${nodeType} {
+          ${connectionName}(first: 100, after: $after) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            ${selection}
+          }
+        }
+      }
+    }
+  `;
+  while (pageInfo?.hasNextPage) {
+    const response = await octokit.graphql(query, { id: nodeId, after: pageInfo.endCursor });
+    const page = response.node?.[connectionName];
+    nodes.push(...(page?.nodes || []));
+    pageInfo = page?.pageInfo;
+  }
+  console.log(`Fetched all ${nodes.length} ${connectionName} of ${nodeType} ${nodeId} over several pages`);
+  return nodes;
+}
+
+/**
+ * Finds when labels were last added to many issues, with one GraphQL query per batch of issues instead of
+ * paging through each issue's REST timeline. Issues whose label is not among their latest 100 labeled events
+ * are paged further back in later rounds.
+ * @param {object} octokit - An authenticated Octokit client.
+ * @param {Array<{id: string, labels: string[], before: string|null}>} lookups - Issue node ids, the labels wanted for
+ *   each, and optionally the cursor to look before (e.g. where the project fetch stopped).
+ * @param {object} [options={}] - Optional settings.
+ * @param {number} [options.batchSize=25] - How many issues each query covers.
+ * @param {number} [options.concurrency=2] - The most queries in flight.
+ * @returns {Promise<Map>} - For each issue id, the latest date keyed by label, or null for labels never added.
+ */
+async function fetchLabeledDates(octokit, lookups, options = {}) {
+  const { batchSize = 25, concurrency = 2 } = options;
+  const results = new Map(lookups.map(lookup => [lookup.id, {}]));
+  let pending = lookups;
+
+  while (pending.length > 0) {
+    const batches = [];
+    for (let i = 0; i < pending.length; i += batchSize) {
+      batches.push(pending.slice(i, i + batchSize));
+    }
+    const answers = await mapWithConcurrency(batches, concurrency, (batch) => {
+      const variables = {};
+      batch.forEach((lookup, i) => {
+        variables[`id${i}`] = lookup.id;
+        variables[`before${i}`] = lookup.before || null;
+      });
+      const query = `
+        query (${batch.map((_, i) => `$id${i}: ID!, $before${i}: String`).join(', ')}) {
+          ${batch.map((_, i) => `issue${i}: node(id: $id${i}) {
+            ... on Issue {
+              timelineItems(itemTypes: [LABELED_EVENT], last: 100, before: $before${i}) {
+                ${LABELED_EVENTS}
+              }
+            }
+          }`).join('\n')}
+        }
+      `;
+      return octokit.graphql(query, variables);
+    });
+
+    const next = [];
+    batches.forEach((batch, b) => batch.forEach((lookup, i) => {
+      const timeline = answers[b] && answers[b][`issue${i}`] && answers[b][`issue${i}`].timelineItems;
+      const found = latestLabeledDates(timeline && timeline.nodes, lookup.labels);
+      const dates = results.get(lookup.id);
+      Object.assign(dates, found);
+      const missing = lookup.labels.filter(label => !found[label]);
+      if (missing.length > 0 && timeline && timeline.pageInfo && timeline.pageInfo.hasPreviousPage) {
+        next.push({ id: lookup.id, labels: missing, before: timeline.pageInfo.startCursor });
+      } else {
+        missing.forEach(label => { dates[label] = null; });
+      }
+    }));
+    pending = next;
+  }
+  return results;
+}
+
+/**
+ * Fetches issues from an organization's or user's Project V2 board whose status field holds one of the notifiable values.
+ * Items can be filtered further on their repository and on other single-select, iteration, text or number fields.
+ * Unassigned issues are dropped unless options.includeUnassigned is set. Each issue carries the "owner/name" of its
+ * `repository`, which may differ from the project owner. Assignees, labels and field values beyond the first page
+ * are fetched with follow-up queries, so a long list never hides the skip label or the status. For each tracked label
+ * an issue carries, `labeled_dates` holds when it was last added (null if never): the latest labeled events come
+ * with the items, and issues needing older ones are looked up in batches, one round of queries per page of items.
+ * @param {object} octokit - An authenticated Octokit client.
+ * @param {string} org - The organization or user owning the project.
+ * @param {number|string} projectNumber - The project number.
+ * @param {string|string[]} [issueStatus="Active"] - The status field value(s) of notifiable issues.
+ * @param {string|string[]} [issueState="OPEN"] - The state(s) of notifiable issues.
+ * @param {object} [options={}] - Optional settings.
+ * @param {string} [options.ownerType="organization"] - Whether the project belongs to an 'organization' or a 'user'.
+ * @param {string[]} [options.repositories=[]] - The "owner/name" repositories issues must belong to; empty allows any.
+ * @param {string} [options.statusFieldName="Status"] - The single-select field holding the status.
+ * @param {string[]} [options.excludedStatuses=[]] - Status values that are never notifiable.
+ * @param {Array} [options.itemFilters=[]] - Filters on other fields, as returned by parseItemFilters.
+ * @param {boolean} [options.includeUnassigned=false] - Whether to return issues without assignees.
+ * @param {string} [options.cadenceFieldName="Cadence"] - The number or single-select field holding a per-issue cadence.
+ * @param {string} [options.snoozeFieldName="Snooze until"] - The date field holding the date reminders are paused until.
+ * @param {string[]} [options.trackLabels=[]] - Labels whose labeled date is wanted, e.g. the skip label.
+ * @param {number} [options.concurrency=2] - The most labeled date lookups in flight.
+ * @returns {Promise<Array>} - The matching issues.
+ */
+async function fetchIssuesFromV2Project(octokit, org, projectNumber, issueStatus = "Active", issueState = "OPEN", options = {}) {
+  const {
+    ownerType = "organization",
+    repositories = [],
+    statusFieldName = "Status",
+    excludedStatuses = [],
+    itemFilters = [],
+    includeUnassigned = false,
+    cadenceFieldName = "Cadence",
+    snoozeFieldName = "Snooze until",
+    trackLabels = [],
+    concurrency = 2,
+  } = options;
+  const states = [].concat(issueState);
+  const filters = [
+    { field: statusFieldName, include: [].concat(issueStatus), exclude: excludedStatuses },
+    ...itemFilters,
+  ];
   if (!org) throw new Error("Organization (org) is required");
+  const ownerField = ownerType === "user" ? "user" : "organization";
+  const allowedRepositories = repositories.map(repo => repo.toLowerCase());
   const query = `
     query ($org: String!, $projectNumber: Int!, $after: String) {
-      organization(login: $org) {
+      ${ownerField}(login: $org) {
         projectV2(number: $projectNumber) {
           items(first: 100, after: $after) {
             pageInfo {
@@ -55,29 +319,40 @@ async function fetchIssuesFromV2Project(octokit, org, projectNumber, issueStatus
               id
               content {
                 ... on Issue {
+                  id
                   title
                   number
                   url
                   state
+                  body
+                  repository {
+                    nameWithOwner
+                  }
                   assignees(first: 10) {
+                    pageInfo {
+                      hasNextPage
+                      endCursor
+                    }
                     nodes { login }
                   }
                   labels(first: 20) {
+                    pageInfo {
+                      hasNextPage
+                      endCursor
+                    }
                     nodes { name }
                   }
+                  ${trackLabels.length > 0 ? `timelineItems(itemTypes: [LABELED_EVENT], last: 10) {
+                    ${LABELED_EVENTS}
+                  }` : ''}
                 }
               }
               fieldValues(first: 20) {
-                nodes {
-                  ... on ProjectV2ItemFieldSingleSelectValue {
-                    field {
-                      ... on ProjectV2FieldCommon {
-                        name
-                      }
-                    }
-                    name
-                  }
+                pageInfo {
+                  hasNextPage
+                  endCursor
                 }
+                ${FIELD_VALUE_NODES}
               }
             }
           }
@@ -99,41 +374,66 @@ async function fetchIssuesFromV2Project(octokit, org, projectNumber, issueStatus
 
     const response = await octokit.graphql(query, variables);
 
-    const items = response.organization?.projectV2?.items?.nodes || [];
+    const project = response[ownerField]?.projectV2;
+    const items = project?.items?.nodes || [];
+    const lookups = [];
+    const pendingDates = new Map();
 
     for (const item of items) {
       const issue = item.content;
-      if (
-        issue &&
-        issue.state === issueState &&
-        Array.isArray(issue.assignees?.nodes) &&
-        issue.assignees.nodes.length > 0
-      ) {
-        // Find the Status field value
-        const statusField = item.fieldValues.nodes.find(
-          (field) =>
-            field &&
-            field.field &&
-            field.field.name === "Status" &&
-            field.name === issueStatus
-        );
-        if (statusField) {
-          issues.push({
-            id: item.id,
-            title: issue.title.trim(),
-            number: issue.number,
-            url: issue.url,
-            state: issue.state,
-            assignees: issue.assignees.nodes.map(a => a.login),
-            labels: issue.labels.nodes.map(l => l.name),
-            status: statusField.name,
-          });
-        }
+      if (!issue || !issue.number || !states.includes(issue.state)) {
+        continue;
+      }
+      const repository = issue.repository?.nameWithOwner;
+      if (allowedRepositories.length > 0 && !allowedRepositories.includes(String(repository).toLowerCase())) {
+        continue;
       }
+      const assignees = (await fetchRemainingNodes(octokit, issue.id, 'Issue', 'assignees', 'nodes { login }', issue.assignees)).map(a => a.login);
+      if (assignees.length === 0 && !includeUnassigned) {
+        continue;
+      }
+      const fields = mapFieldValues(await fetchRemainingNodes(octokit, item.id, 'ProjectV2Item', 'fieldValues', FIELD_VALUE_NODES, item.fieldValues));
+      if (!matchesFilters(fields, filters)) {
+        continue;
+      }
+      const labels = (await fetchRemainingNodes(octokit, issue.id, 'Issue', 'labels', 'nodes { name }', issue.labels)).map(l => l.name);
+
+      // Dates of tracked labels missing from the latest labeled events are looked up with the rest of the page
+      const labeled_dates = latestLabeledDates(issue.timelineItems?.nodes, trackLabels);
+      const missing = trackLabels.filter(label => labels.includes(label) && !labeled_dates[label]);
+      if (missing.length > 0 && issue.timelineItems?.pageInfo?.hasPreviousPage) {
+        lookups.push({ id: issue.id, labels: missing, before: issue.timelineItems.pageInfo.startCursor });
+        pendingDates.set(issue.id, labeled_dates);
+      } else {
+        missing.forEach(label => { labeled_dates[label] = null; });
+      }
+
+      issues.push({
+        id: item.id,
+        title: issue.title.trim(),
+        number: issue.number,
+        url: issue.url,
+        state: issue.state,
+        repository,
+        body: issue.body || '',
+        assignees,
+        labels,
+        labeled_dates,
+        status: fields[statusFieldName],
+        fields,
+        // A cadence may be kept in either a number or a single-select field
+        cadence_days: parseCadenceDays(fields[cadenceFieldName]),
+        snooze_until: parseSnoozeDate(fields[snoozeFieldName]),
+      });
+    }
+
+    if (lookups.length > 0) {
+      const found = await fetchLabeledDates(octokit, lookups, { concurrency });
+      found.forEach((dates, id) => Object.assign(pendingDates.get(id), dates));
     }
 
-    hasNextPage = response.organization?.projectV2?.items?.pageInfo?.hasNextPage;
-    after = response.organization?.projectV2?.items?.pageInfo?.endCursor;
+    hasNextPage = project?.items?.pageInfo?.hasNextPage;
+    after = project?.items?.pageInfo?.endCursor;
   }
 
   return issues;
@@ -180,9 +480,47 @@ async function getIssueLabeledDate(context, issueNumber, labelName) {
   return result;
 }
 
+/**
+ * Finds the most recent comment on an issue containing the given marker,
+ * i.e. the last reminder this action posted.
+ *
+ * @param {object} context - An object containing octokit, repoOwner, and repoName.
+ * @param {number} issueNumber - The issue number.
+ * @param {string} marker - The hidden marker embedded in reminder comments.
+ * @returns {Promise<{id: number, date: Date}|null>} - The comment id and when it was last posted or edited, or null if none.
+ */
+async function getLatestReminderComment(context, issueNumber, marker) {
+  const per_page = 100;
+  let page = 1;
+  let result = null;
+  while (true) {
+    const { data: comments } = await context.octokit.rest.issues.listComments({
+      owner: context.repoOwner,
+      repo: context.repoName,
+      issue_number: issueNumber,
+      per_page,
+      page,
+    });
+
+    for (const comment of comments) {
+      if (comment.body && comment.body.includes(marker)) {
+        const date = new Date(comment.updated_at || comment.created_at);
+        if (!result || date > result.date) {
+          result = { id: comment.id, date };
+        }
+      }
+    }
+
+    if (comments.length < per_page) break;
+    page += 1;
+  }
+  return result;
+}
+
 module.exports = {
-  cloneRepo,
   mapCheckableIssues,
   fetchIssuesFromV2Project,
-  getIssueLabeledDate
+  fetchLabeledDates,
+  getIssueLabeledDate,
+  getLatestReminderComment
 };
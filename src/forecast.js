@@ -0,0 +1,208 @@
+const fs = require('fs');
+const { dateSourceNote } = require('./run-summary');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// iCalendar content lines longer than this many octets are folded (RFC 5545, 3.1)
+const ICS_LINE_OCTETS = 75;
+
+/**
+ * Formats a date as YYYY-MM-DD in UTC.
+ * @param {Date|string} value - The date.
+ * @returns {string} - The formatted day.
+ */
+function formatDay(value) {
+  return new Date(value).toISOString().split('T')[0];
+}
+
+/**
+ * Lists the healthchecks coming due, earliest first. Issues without any healthcheck have no due date and are left
+ * to the mismatch report.
+ * @param {Array} issues - Issues as returned by findOverdueIssues measured at the end of the forecast, i.e. those
+ *   that will be overdue by then.
+ * @param {Date} [now=new Date()] - The start of the forecast.
+ * @returns {Array<{issue: object, dueDate: string, overdue: boolean}>} - Each issue with its due date (YYYY-MM-DD,
+ *   the last day within its threshold) and whether that day has already passed.
+ */
+function buildForecast(issues, now = new Date()) {
+  const today = formatDay(now);
+  return issues
+    .filter(issue => issue.due_date)
+    .map(issue => {
+      const dueDate = formatDay(issue.due_date);
+      return { issue, dueDate, overdue: dueDate < today };
+    })
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || (a.issue.enterprise_slug || '').localeCompare(b.issue.enterprise_slug || ''));
+}
+
+/**
+ * Groups forecast entries by assignee; an issue with several assignees is listed under each of them.
+ * @param {Array} entries - Entries as returned by buildForecast.
+ * @returns {Array<{assignee: string|null, entries: Array}>} - The groups in login order, with the issues nobody is
+ *   assigned to last under a null assignee.
+ */
+function groupByAssignee(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const assignees = entry.issue.assignees && entry.issue.assignees.length > 0 ? entry.issue.assignees : [null];
+    for (const assignee of assignees) {
+      if (!groups.has(assignee)) {
+        groups.set(assignee, []);
+      }
+      groups.get(assignee).push(entry);
+    }
+  }
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === null) - (b === null) || (a || '').localeCompare(b || ''))
+    .map(([assignee, groupEntries]) => ({ assignee, entries: groupEntries }));
+}
+
+/**
+ * Renders the forecast as Markdown for the job summary, with a table of due healthchecks per assignee.
+ * @param {Array} entries - Entries as returned by buildForecast.
+ * @param {object} options - Settings.
+ * @param {number} options.weeks - How many weeks the forecast covers.
+ * @param {Date} [options.now=new Date()] - The start of the forecast.
+ * @param {boolean} [options.showTypes=false] - Whether to add a column naming each row's healthcheck type.
+ * @returns {string} - The Markdown text.
+ */
+function formatForecastSummary(entries, { weeks, now = new Date(), showTypes = false }) {
+  const overdueCount = entries.filter(entry => entry.overdue).length;
+  const groups = groupByAssignee(entries);
+  const lines = [
+    `## Healthcheck forecast for the next ${weeks} week${weeks === 1 ? '' : 's'} (through ${formatDay(now.getTime() + weeks * 7 * DAY_MS)})`,
+    '',
+    `${entries.length - overdueCount} coming due, ${overdueCount} already overdue.`,
+  ];
+
+  for (const { assignee, entries: groupEntries } of groups) {
+    lines.push(
+      '',
+      `### ${assignee ? `@${assignee}` : 'Unassigned'} (${groupEntries.length})`,
+      '',
+      `| due | enterprise |${showTypes ? ' type |' : ''} issue | last healthcheck |`,
+      `| --- | --- |${showTypes ? ' --- |' : ''} --- | --- |`
+    );
+    for (const { issue, dueDate, overdue } of groupEntries) {
+      const lastDay = formatDay(issue.last_healthcheck_date);
+      lines.push([
+        '',
+        overdue ? `${dueDate} (overdue)` : dueDate,
+        issue.enterprise_slug || '',
+        ...(showTypes ? [issue.healthcheck_type_title || issue.healthcheck_type || ''] : []),
+        `[#${issue.number}](${issue.url})`,
+        (issue.last_healthcheck_url ? `[${lastDay}](${issue.last_healthcheck_url})` : lastDay) + dateSourceNote(issue.last_healthcheck_date_source),
+        '',
+      ].join(' | ').trim());
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Escapes a value for an iCalendar TEXT property.
+ * @param {string} text - The value.
+ * @returns {string} - The escaped value.
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds an iCalendar content line into lines of at most 75 octets, each continuation starting with a space.
+ * @param {string} line - The content line.
+ * @returns {string} - The folded line, joined by CRLF.
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose an octet to their leading space
+    if (octets + size > (parts.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Renders the healthchecks coming due as an iCalendar file, one all-day event per issue and type on its due date.
+ * Already overdue healthchecks are left out, as the reminders already cover them. Events keep their UID from one
+ * run to the next, so importing a newer file moves them instead of adding copies.
+ * @param {Array} entries - Entries as returned by buildForecast.
+ * @param {Date} [now=new Date()] - When the calendar is made, stamped on every event.
+ * @returns {string} - The calendar text, with CRLF line endings.
+ */
+function formatForecastCalendar(entries, now = new Date()) {
+  const stamp = new Date(now).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const compactDay = day => day.replace(/-/g, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//hc-scheduler//healthcheck forecast//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Healthcheck forecast',
+  ];
+
+  for (const { issue, dueDate, overdue } of entries) {
+    if (overdue) continue;
+    const title = issue.healthcheck_type_title || 'healthcheck';
+    const assignees = issue.assignees || [];
+    const who = assignees.length > 0 ? ` (${assignees.map(a => `@${a}`).join(', ')})` : '';
+    const uid = `${issue.repository || 'issue'}-${issue.number}-${issue.healthcheck_type || 'healthcheck'}`.replace(/[^A-Za-z0-9.-]/g, '-');
+    const description = [
+      `Last ${title}: ${formatDay(issue.last_healthcheck_date)}${dateSourceNote(issue.last_healthcheck_date_source)}`,
+      `Due every ${issue.threshold_days} days`,
+      issue.last_healthcheck_url ? `Last report: ${issue.last_healthcheck_url}` : null,
+      `Issue: ${issue.url}`,
+    ].filter(Boolean).join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uid}@hc-scheduler`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compactDay(dueDate)}`,
+      `DTEND;VALUE=DATE:${compactDay(formatDay(new Date(`${dueDate}T00:00:00Z`).getTime() + DAY_MS))}`,
+      `SUMMARY:${escapeIcsText(`${title.charAt(0).toUpperCase()}${title.slice(1)} due: ${issue.enterprise_slug || issue.title}${who}`)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `URL:${issue.url}`,
+      ...(assignees.length > 0 ? [`CATEGORIES:${assignees.map(escapeIcsText).join(',')}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Writes the forecast as an iCalendar file that assignees can import, e.g. once uploaded as a workflow artifact.
+ * @param {Array} entries - Entries as returned by buildForecast.
+ * @param {string} filePath - Where to write the file.
+ * @param {Date} [now=new Date()] - When the calendar is made.
+ */
+function writeForecastCalendar(entries, filePath, now = new Date()) {
+  fs.writeFileSync(filePath, formatForecastCalendar(entries, now));
+}
+
+module.exports = {
+  buildForecast,
+  groupByAssignee,
+  formatForecastSummary,
+  formatForecastCalendar,
+  writeForecastCalendar
+};
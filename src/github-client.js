@@ -0,0 +1,162 @@
+const github = require('@actions/github');
+const { GitHub } = require('@actions/github/lib/utils');
+
+const DEFAULT_SERVER_URL = 'https://github.com';
+
+// The credential used for each concern, and what it must be allowed to do
+const TOKEN_CONCERNS = {
+  data: { input: 'hc-data-secret', needs: 'read access to the contents of hc-data-repo (contents: read)' },
+  project: { input: 'project-token', needs: 'access to the Projects V2 boards being queried (read:project / organization projects: read, or project / organization projects: write with update-project-fields)' },
+  issues: { input: 'github-token', needs: 'write access to issues in the repositories of the project items (issues: write)' },
+};
+
+// Concerns as above, when the credentials are GitHub App installation tokens
+const APP_CONCERNS = {
+  data: { input: 'app-id', needs: 'the GitHub App installed on the owner of hc-data-repo with Contents: read' },
+  project: { input: 'app-id', needs: 'the GitHub App installed on the project owner with Organization projects: read (write with update-project-fields)' },
+  issues: { input: 'app-id', needs: 'the GitHub App installed on the owner of the issue\'s repository with Issues: write' },
+};
+
+// GraphQL error types returned with HTTP 200 when a token lacks a scope or access
+const GRAPHQL_PERMISSION_ERRORS = ['INSUFFICIENT_SCOPES', 'FORBIDDEN'];
+
+/**
+ * Removes trailing slashes from a URL.
+ * @param {string} url - The URL.
+ * @returns {string} - The URL without trailing slashes.
+ */
+function trimUrl(url) {
+  return url.trim().replace(/\/+$/, '');
+}
+
+/**
+ * Derives the REST API URL of a GitHub host: api.github.com for github.com, api.<tenant>.ghe.com for
+ * GHE.com data residency tenants, and <host>/api/v3 for GitHub Enterprise Server.
+ * @param {string} serverUrl - The web URL of the host, e.g. https://ghe.example.com.
+ * @returns {string} - The REST API URL.
+ */
+function apiUrlForServer(serverUrl) {
+  const url = new URL(serverUrl);
+  if (url.hostname === 'github.com') {
+    return 'https://api.github.com';
+  }
+  if (url.hostname.endsWith('.ghe.com')) {
+    return `${url.protocol}//api.${url.host}`;
+  }
+  return `${trimUrl(url.origin + url.pathname)}/api/v3`;
+}
+
+/**
+ * Resolves the GitHub host URLs to use. Explicit inputs win; otherwise the runner's GITHUB_SERVER_URL and
+ * GITHUB_API_URL are used, and finally github.com. An API URL is derived from the server URL when only the latter is known.
+ * @param {object} [inputs={}] - The action inputs.
+ * @param {string} [inputs.apiUrl] - The REST API URL, e.g. https://ghe.example.com/api/v3.
+ * @param {string} [inputs.serverUrl] - The Git host's web URL, e.g. https://ghe.example.com.
+ * @param {object} [env=process.env] - The environment to read runner defaults from.
+ * @returns {{apiUrl: string, serverUrl: string}} - The resolved URLs without trailing slashes.
+ */
+function resolveGitHubUrls({ apiUrl, serverUrl } = {}, env = process.env) {
+  if (serverUrl) {
+    return {
+      serverUrl: trimUrl(serverUrl),
+      apiUrl: apiUrl ? trimUrl(apiUrl) : apiUrlForServer(trimUrl(serverUrl)),
+    };
+  }
+  if (apiUrl) {
+    return { serverUrl: trimUrl(env.GITHUB_SERVER_URL || DEFAULT_SERVER_URL), apiUrl: trimUrl(apiUrl) };
+  }
+  const runnerServerUrl = trimUrl(env.GITHUB_SERVER_URL || DEFAULT_SERVER_URL);
+  return {
+    serverUrl: runnerServerUrl,
+    apiUrl: env.GITHUB_API_URL ? trimUrl(env.GITHUB_API_URL) : apiUrlForServer(runnerServerUrl),
+  };
+}
+
+/**
+ * Tells whether an error means the credential was rejected or lacks a permission,
+ * as opposed to e.g. a rate limit, which GitHub also reports as 403.
+ * @param {Error} error - The error thrown by Octokit.
+ * @returns {boolean} - True for 401/403 responses and GraphQL scope errors.
+ */
+function isPermissionError(error) {
+  if (Array.isArray(error.errors) && error.errors.some(e => GRAPHQL_PERMISSION_ERRORS.includes(e.type))) {
+    return true;
+  }
+  if (error.status === 401) {
+    return true;
+  }
+  if (error.status === 403) {
+    const headers = (error.response && error.response.headers) || {};
+    return headers['x-ratelimit-remaining'] !== '0' && !/rate limit/i.test(error.message || '');
+  }
+  return false;
+}
+
+/**
+ * Rewrites a 401/403 error so it names the input holding the credential and the permission it needs.
+ * Other errors are returned unchanged.
+ * @param {Error} error - The error thrown by Octokit.
+ * @param {{input: string, needs: string}} concern - One of TOKEN_CONCERNS.
+ * @param {string} operation - What was being attempted, e.g. "POST /repos/{owner}/{repo}/issues/{issue_number}/comments".
+ * @returns {Error} - The error, with an explanatory message if it was a permission error.
+ */
+function explainPermissionError(error, concern, operation) {
+  if (!concern || !isPermissionError(error) || error.permissionExplained) {
+    return error;
+  }
+  const rejection = error.status === 401 ? 'was rejected (401)' : `lacks a permission (${error.status || 'GraphQL'})`;
+  error.message = `The ${concern.input} credential ${rejection} while ${operation}; it needs ${concern.needs}. GitHub said: ${error.message}`;
+  error.permissionExplained = true;
+  return error;
+}
+
+/**
+ * Octokit authentication strategy asking a token provider for the current token on every request,
+ * so a provider can swap in a fresh token when the previous one is about to expire.
+ * @param {{getToken: function}} auth - The provider, returning a Promise of a token.
+ * @returns {function} - The Octokit auth function, with its request hook.
+ */
+function createTokenProviderAuth({ getToken }) {
+  const auth = async () => ({ type: 'token', tokenType: 'installation', token: await getToken() });
+  auth.hook = async (request, route, parameters) => {
+    const endpoint = request.endpoint.merge(route, parameters);
+    endpoint.headers.authorization = `token ${await getToken()}`;
+    return request(endpoint);
+  };
+  return auth;
+}
+
+/**
+ * Creates an Octokit client for the resolved GitHub host. GraphQL requests go to the matching
+ * endpoint (e.g. <host>/api/graphql on GitHub Enterprise Server). When a rate limiter is given, every request
+ * goes through it for pacing and retries. When a concern is given, 401/403 responses are rethrown with a message
+ * naming the credential and the permission it needs.
+ * @param {string|function} token - The token to authenticate with, or a function returning a Promise of the current token.
+ * @param {{apiUrl: string}} urls - The URLs returned by resolveGitHubUrls.
+ * @param {object} [options={}] - Additional Octokit options.
+ * @param {{input: string, needs: string}} [options.concern] - One of TOKEN_CONCERNS or APP_CONCERNS.
+ * @param {{wrap: function}} [options.limiter] - A rate limiter as returned by makeRateLimiter.
+ * @returns {object} - The Octokit client.
+ */
+function makeOctokit(token, urls, { concern, limiter, ...options } = {}) {
+  const octokit = typeof token === 'function'
+    ? new GitHub({ ...options, baseUrl: urls.apiUrl, authStrategy: createTokenProviderAuth, auth: { getToken: token } })
+    : github.getOctokit(token, { ...options, baseUrl: urls.apiUrl });
+  if (limiter) {
+    octokit.hook.wrap('request', limiter.wrap);
+  }
+  if (concern) {
+    octokit.hook.error('request', (error, requestOptions) => {
+      throw explainPermissionError(error, concern, `calling ${requestOptions.method} ${requestOptions.url}`);
+    });
+  }
+  return octokit;
+}
+
+module.exports = {
+  TOKEN_CONCERNS,
+  APP_CONCERNS,
+  resolveGitHubUrls,
+  makeOctokit,
+  explainPermissionError
+};
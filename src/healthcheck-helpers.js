@@ -1,55 +1,251 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const { makeEnterpriseMatcher, matchHealthchecks } = require('./enterprise-matcher');
+
+// Where a healthcheck's date can come from; `healthcheck-date-sources` sets which are tried, in which order
+const DATE_SOURCES = ['frontmatter', 'filename', 'first-commit'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Finds issues that have no recent healthchecks (older than maxStalenessInDays).
- * Extracts the enterprise slug from the issue title (format: "slug - number").
+ * See assessIssues for how issues are related to healthchecks and measured.
+ * @param {Array} healthchecks - The list of all healthchecks.
+ * @param {Array} issues - The list of issues.
+ * @param {number} maxStalenessInDays - The maximum number of days for a healthcheck to be considered non-stale.
+ * @param {Array} [tiers=[]] - Reminder tiers as returned by parseReminderTiers, sorted by ascending days.
+ * @param {object} [options={}] - Optional settings, see assessIssues.
+ * @returns {Array} - The issues whose last healthcheck is stale or missing, as returned by assessIssues.
+ */
+function findOverdueIssues(healthchecks, issues, maxStalenessInDays, tiers = [], options = {}) {
+  return assessIssues(healthchecks, issues, maxStalenessInDays, tiers, options)
+    .filter(issue =>
+      // Only include issues where the last healthcheck is stale or missing
+      issue.last_healthcheck_date === null ||
+      issue.days_since_healthcheck > issue.threshold_days
+    );
+}
+
+/**
+ * Relates every issue to its healthchecks and measures how old its last healthcheck is.
+ * Each issue is related to its enterprise by the given matcher, which by default tries the
+ * enterprise_id and enterprise_slug project fields, body markers and then the issue title.
+ * The threshold for each issue is its effective cadence: the issue's own cadence field,
+ * else the cadence_days of its latest healthcheck, else maxStalenessInDays.
+ * When reminder tiers are given, an issue is overdue once it passes the lowest tier,
+ * and the highest tier it has passed is attached to it as `tier`. Tier thresholds are
+ * relative to maxStalenessInDays, so they shift along with an enterprise's cadence.
+ * Issues marked skip_healthcheck are left out.
  * @param {Array} healthchecks - The list of all healthchecks.
  * @param {Array} issues - The list of issues.
  * @param {number} maxStalenessInDays - The maximum number of days for a healthcheck to be considered non-stale.
- * @returns {Array} - The filtered list of issues with last_healthcheck_date and days_since_healthcheck.
+ * @param {Array} [tiers=[]] - Reminder tiers as returned by parseReminderTiers, sorted by ascending days.
+ * @param {object} [options={}] - Optional settings.
+ * @param {function} [options.matchEnterprise] - An enterprise matcher as returned by makeEnterpriseMatcher.
+ * @param {number} [options.previousCount=3] - How many earlier healthchecks to list in previous_healthchecks.
+ * @param {object} [options.type] - A healthcheck type as returned by parseHealthcheckTypes: only healthchecks of that
+ *   type count, and its max-staleness-days, if set, takes the place of the issue's cadence field and maxStalenessInDays.
+ * @param {Date} [options.now=new Date()] - The date ages are measured at; a later date tells what will be overdue by then.
+ * @returns {Array} - The issues with healthcheck_type, healthcheck_type_title, enterprise_slug, enterprise_id, enterprise_match, last_healthcheck_date,
+ *   last_healthcheck_date_source, last_healthcheck_title, last_healthcheck_path, last_healthcheck_url, previous_healthchecks, days_since_healthcheck,
+ *   cadence_days, cadence_source, threshold_days, due_date (the last day within the threshold, or null without
+ *   a healthcheck) and tier.
  */
-function findOverdueIssues(healthchecks, issues, maxStalenessInDays) {
-  const now = new Date();
+function assessIssues(healthchecks, issues, maxStalenessInDays, tiers = [], options = {}) {
+  const { matchEnterprise = makeEnterpriseMatcher(), previousCount = 3, type = null, now = new Date() } = options;
+  const typeHealthchecks = type ? healthchecks.filter(hc => hc.type === type.name) : healthchecks;
 
   const results = issues
     .filter(issue => !issue.skip_healthcheck)
     .map(issue => {
-      const enterpriseSlug = issue.title.replace(/\s*-\s*\d+.*$/, '').toLowerCase();
-      // Match healthchecks to this issue by enterprise_slug
-      const matchingHealthchecks = healthchecks.filter(
-        hc => hc.enterprise_slug === enterpriseSlug
-      );
+      // Match healthchecks to this issue by enterprise_id or enterprise_slug
+      const enterpriseKey = matchEnterprise(issue, typeHealthchecks);
+      const matchingHealthchecks = matchHealthchecks(typeHealthchecks, enterpriseKey);
 
-      // Find the most recent healthcheck
-      const mostRecentHealthcheck = matchingHealthchecks
-        .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+      // Find the most recent healthcheck, and the ones before it
+      const [mostRecentHealthcheck, ...previousHealthchecks] = matchingHealthchecks
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
 
       let last_healthcheck_date = null;
       let days_since_healthcheck = null;
 
       if (mostRecentHealthcheck) {
         last_healthcheck_date = mostRecentHealthcheck.date;
-        days_since_healthcheck = Math.floor((now - new Date(last_healthcheck_date)) / (1000 * 60 * 60 * 24));
+        days_since_healthcheck = Math.floor((now - new Date(last_healthcheck_date)) / DAY_MS);
       }
 
+      const { cadence_days, cadence_source } = resolveCadence(issue, mostRecentHealthcheck, maxStalenessInDays, type);
+      const effectiveTiers = tiers.map(tier => ({ ...tier, days: tier.days + cadence_days - maxStalenessInDays }));
+      const threshold = effectiveTiers.length > 0 ? effectiveTiers[0].days : cadence_days;
+      const tier = resolveReminderTier(effectiveTiers, days_since_healthcheck);
+
       return {
         ...issue,
-        enterprise_slug: enterpriseSlug,
+        healthcheck_type: type ? type.name : null,
+        healthcheck_type_title: type ? type.title : null,
+        enterprise_slug: (enterpriseKey && enterpriseKey.enterprise_slug) || (mostRecentHealthcheck && mostRecentHealthcheck.enterprise_slug) || null,
+        enterprise_id: (enterpriseKey && enterpriseKey.enterprise_id) || null,
+        enterprise_match: enterpriseKey ? enterpriseKey.source : null,
         last_healthcheck_date,
+        last_healthcheck_date_source: (mostRecentHealthcheck && mostRecentHealthcheck.date_source) || null,
+        last_healthcheck_title: (mostRecentHealthcheck && mostRecentHealthcheck.title) || null,
+        last_healthcheck_path: (mostRecentHealthcheck && mostRecentHealthcheck.source_path) || null,
+        last_healthcheck_url: (mostRecentHealthcheck && mostRecentHealthcheck.source_url) || null,
+        previous_healthchecks: previousHealthchecks.slice(0, previousCount).map(healthcheck => ({
+          date: healthcheck.date,
+          url: healthcheck.source_url || null,
+        })),
         days_since_healthcheck,
+        cadence_days,
+        cadence_source,
+        threshold_days: threshold,
+        due_date: last_healthcheck_date === null ? null : new Date(new Date(last_healthcheck_date).getTime() + threshold * DAY_MS),
+        tier: tier ? tiers.find(t => t.name === tier.name) : null,
       };
-    })
-    .filter(issue =>
-      // Only include issues where the last healthcheck is stale or missing
-      issue.last_healthcheck_date === null ||
-      issue.days_since_healthcheck > maxStalenessInDays
-    );
+    });
 
   return results;
 }
 
+/**
+ * Resolves the cadence an issue is measured against, by precedence:
+ * the issue's cadence field, then the latest healthcheck's cadence_days, then the global default.
+ * A healthcheck type with its own max-staleness-days replaces both the cadence field, which doesn't say
+ * which type it is meant for, and the global default.
+ * @param {object} issue - The issue, optionally carrying cadence_days from the project board.
+ * @param {object|undefined} mostRecentHealthcheck - The latest healthcheck for the issue, if any.
+ * @param {number} defaultCadenceDays - The global max-staleness-days.
+ * @param {object|null} [type=null] - The healthcheck type being assessed.
+ * @returns {{cadence_days: number, cadence_source: string}} - The cadence and where it came from ('issue', 'healthcheck',
+ *   'type' or 'default').
+ */
+function resolveCadence(issue, mostRecentHealthcheck, defaultCadenceDays, type = null) {
+  const typeCadenceDays = type && type.maxStalenessDays;
+  if (issue.cadence_days && !typeCadenceDays) {
+    return { cadence_days: issue.cadence_days, cadence_source: 'issue' };
+  }
+  if (mostRecentHealthcheck && mostRecentHealthcheck.cadence_days) {
+    return { cadence_days: mostRecentHealthcheck.cadence_days, cadence_source: 'healthcheck' };
+  }
+  if (typeCadenceDays) {
+    return { cadence_days: typeCadenceDays, cadence_source: 'type' };
+  }
+  return { cadence_days: defaultCadenceDays, cadence_source: 'default' };
+}
+
+/**
+ * Converts a cadence value into a number of days. Accepts a number of days (90, "90", "90 days")
+ * or a named cadence such as "Monthly", "Quarterly", "Semi-annual" or "Annual".
+ * @param {number|string|null|undefined} value - The raw cadence value.
+ * @returns {number|null} - The cadence in days, or null if the value is missing or not understood.
+ */
+function parseCadenceDays(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value > 0 ? value : null;
+  }
+
+  const text = String(value).trim().toLowerCase();
+  const numeric = text.match(/^(\d+)\s*(days?)?$/);
+  if (numeric) {
+    const days = Number(numeric[1]);
+    return days > 0 ? days : null;
+  }
+
+  const namedCadences = {
+    monthly: 30,
+    quarterly: 90,
+    'semi-annual': 182,
+    'semi-annually': 182,
+    semiannual: 182,
+    'half-yearly': 182,
+    annual: 365,
+    annually: 365,
+    yearly: 365,
+  };
+  return namedCadences[text.replace(/\s+/g, '-')] || null;
+}
+
+/**
+ * Picks the highest reminder tier whose threshold has been passed.
+ * @param {Array} tiers - Reminder tiers sorted by ascending days.
+ * @param {number|null} daysSinceHealthcheck - Age of the most recent healthcheck, or null if there is none.
+ * @returns {object|null} - The matching tier, or null if no tier applies.
+ */
+function resolveReminderTier(tiers, daysSinceHealthcheck) {
+  if (daysSinceHealthcheck === null) {
+    return null;
+  }
+  const passed = tiers.filter(tier => daysSinceHealthcheck > tier.days);
+  return passed.length > 0 ? passed[passed.length - 1] : null;
+}
+
+/**
+ * Parses the YAML reminder tier policy, e.g.
+ *   - name: overdue
+ *     days: 90
+ *     mention: [assignees, "@team-lead"]
+ *     label: healthcheck-overdue
+ *     message: "{{enterprise_slug}} is {{days_since}} days past its last health check."
+ * @param {string} tiersYaml - The YAML list of tiers; empty means no tiers.
+ * @returns {Array} - The validated tiers, sorted by ascending days.
+ */
+function parseReminderTiers(tiersYaml) {
+  if (!tiersYaml || !tiersYaml.trim()) {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.load(tiersYaml);
+  } catch (error) {
+    throw new Error(`Failed to parse reminder tiers: ${error.message}`);
+  }
+  return normalizeReminderTiers(parsed);
+}
+
+/**
+ * Validates already parsed reminder tiers, e.g. those nested in a project target.
+ * @param {*} parsed - The parsed YAML value, which must be a list of tiers.
+ * @returns {Array} - The validated tiers, sorted by ascending days.
+ */
+function normalizeReminderTiers(parsed) {
+  if (!Array.isArray(parsed)) {
+    throw new Error('Reminder tiers must be a YAML list');
+  }
+
+  const tiers = parsed.map((tier, index) => {
+    if (!tier || typeof tier.name !== 'string' || !tier.name.trim()) {
+      throw new Error(`Reminder tier #${index + 1} is missing a name`);
+    }
+    const days = Number(tier.days);
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error(`Reminder tier '${tier.name}' must have a non-negative integer 'days'`);
+    }
+    const mention = tier.mention === undefined ? ['assignees'] : [].concat(tier.mention);
+    return {
+      name: tier.name.trim(),
+      days,
+      mention: mention.map(String),
+      label: tier.label ? String(tier.label) : null,
+      message: tier.message ? String(tier.message) : null,
+    };
+  });
+
+  const names = new Set();
+  for (const tier of tiers) {
+    if (names.has(tier.name)) {
+      throw new Error(`Reminder tier '${tier.name}' is defined more than once`);
+    }
+    names.add(tier.name);
+  }
+
+  return tiers.sort((a, b) => a.days - b.days);
+}
+
 /**
  * Scans a directory recursively for files with the `.md` extension.
  * @param {string} dirPath - The directory to scan.
@@ -75,16 +271,102 @@ function discoverMarkdownFiles(dirPath) {
   return markdownFiles;
 }
 
+/**
+ * Reads a frontmatter date strictly: YYYY-MM-DD, optionally followed by a time, naming a day that exists.
+ * @param {string|Date} value - The date as written in the frontmatter.
+ * @returns {Date|null} - The date, or null if the value is not a valid date.
+ */
+function parseHealthcheckDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value;
+  }
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[Tt ].+)?$/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match.map(Number);
+  // Date.UTC rolls a day that doesn't exist, such as 2025-02-30, over into the next month
+  const calendarDay = new Date(Date.UTC(year, month - 1, day));
+  if (calendarDay.getUTCFullYear() !== year || calendarDay.getUTCMonth() !== month - 1 || calendarDay.getUTCDate() !== day) {
+    return null;
+  }
+  const date = new Date(String(value).trim());
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Reads the month a healthcheck file is named after, as in `parsnip-2024-12.md`.
+ * @param {string} filePath - The path of the file.
+ * @returns {Date|null} - The first day of that month, or null if the name carries no month.
+ */
+function dateFromFilename(filePath) {
+  const match = path.basename(filePath, path.extname(filePath)).match(/-(\d{4})-(\d{2})$/);
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    return null;
+  }
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+}
+
+/**
+ * Parses the `healthcheck-date-sources` input.
+ * @param {string} input - Comma-separated sources, e.g. "frontmatter, filename"; empty means all of DATE_SOURCES.
+ * @returns {string[]} - The sources in the order to try them.
+ */
+function parseDateSources(input) {
+  const sources = (input || '').split(',').map(source => source.trim().toLowerCase()).filter(Boolean);
+  if (sources.length === 0) {
+    return DATE_SOURCES;
+  }
+  const unknown = sources.filter(source => !DATE_SOURCES.includes(source));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown healthcheck date sources ${unknown.join(', ')}; expected some of ${DATE_SOURCES.join(', ')}`);
+  }
+  return sources;
+}
+
+/**
+ * Checks healthcheck frontmatter against its schema: `enterprise_slug` (a non-empty string) is required,
+ * `date` is optional but must be valid when given and `enterprise_id` is an optional positive integer. A `type` key
+ * is checked by assignHealthcheckTypes, as it only means something when healthcheck types are configured.
+ * @param {object} frontmatter - The parsed frontmatter.
+ * @returns {string[]} - A description of each problem found; empty if the frontmatter is valid.
+ */
+function validateHealthcheck(frontmatter) {
+  const problems = [];
+  if (typeof frontmatter.enterprise_slug !== 'string' || !frontmatter.enterprise_slug.trim()) {
+    problems.push(frontmatter.enterprise_slug === undefined || frontmatter.enterprise_slug === null
+      ? 'enterprise_slug is required'
+      : `enterprise_slug must be a non-empty string; got '${frontmatter.enterprise_slug}'`);
+  }
+  if (frontmatter.date !== undefined && frontmatter.date !== null && frontmatter.date !== '' && !parseHealthcheckDate(frontmatter.date)) {
+    problems.push(`date must be a valid YYYY-MM-DD date; got '${frontmatter.date}'`);
+  }
+  const id = frontmatter.enterprise_id;
+  if (id !== undefined && id !== null && !/^[1-9]\d*$/.test(String(id).trim())) {
+    problems.push(`enterprise_id must be a positive integer; got '${id}'`);
+  }
+  return problems;
+}
+
 /**
  * Reads a file with YAML frontmatter and returns a "healthcheck" object
  * with the fields described in the frontmatter.
- * If no frontmatter is found, returns a default object.
  * @param {string} filePath - The path to the file to read.
- * @returns {object} - The healthcheck object with fields from the frontmatter or a default object.
+ * @returns {object} - The healthcheck object with fields from the frontmatter.
+ * @throws {Error} - If the file has no frontmatter, or its frontmatter is malformed or invalid.
  */
 function parseHealthCheckFile(filePath) {
-  const rawContent = fs.readFileSync(filePath, 'utf8');
+  return parseHealthCheckContent(fs.readFileSync(filePath, 'utf8'), filePath);
+}
 
+/**
+ * Parses the YAML frontmatter of a healthcheck document into a "healthcheck" object, validated by validateHealthcheck.
+ * @param {string} rawContent - The Markdown text of the healthcheck.
+ * @param {string} filePath - Where the content came from, for messages.
+ * @returns {object} - The healthcheck object with fields from the frontmatter; `date`, if given, is a Date.
+ * @throws {Error} - If there is no frontmatter, or it is malformed or invalid.
+ */
+function parseHealthCheckContent(rawContent, filePath) {
   // Remove trailing whitespace from all lines
   const fileContent = rawContent
   .split(/\r?\n/)
@@ -95,52 +377,121 @@ function parseHealthCheckFile(filePath) {
   const frontmatterMatch = fileContent.match(/^---\r?\n([\s\S]*?)\r?\n---/);
 
   if (!frontmatterMatch) {
-    // Return a default object if no frontmatter is found
-    return { enterprise_id: null };
+    throw new Error('No YAML frontmatter found');
   }
 
   const frontmatterText = frontmatterMatch[1];
 
+  let frontmatter;
   try {
-    let frontmatter = yaml.load(frontmatterText);
-
-    // ensure slug is downcased
-    if (frontmatter && typeof frontmatter.enterprise_slug === 'string') {
-      frontmatter.enterprise_slug = frontmatter.enterprise_slug.toLowerCase();
-    }
-    return frontmatter;
+    // The core schema keeps dates as written, so they can be checked strictly; the default one rolls 2025-13-01 over into 2026
+    frontmatter = yaml.load(frontmatterText, { schema: yaml.CORE_SCHEMA });
   } catch (error) {
     // Handle YAML parsing errors gracefully
     throw new Error(`Failed to parse YAML frontmatter: ${error.message}`);
   }
+  if (!frontmatter || typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+    throw new Error('YAML frontmatter must be a mapping');
+  }
+
+  const problems = validateHealthcheck(frontmatter);
+  if (problems.length > 0) {
+    throw new Error(`Invalid frontmatter: ${problems.join('; ')}`);
+  }
+
+  // ensure slug is downcased
+  frontmatter.enterprise_slug = frontmatter.enterprise_slug.toLowerCase();
+  if (frontmatter.date === null || frontmatter.date === '') {
+    delete frontmatter.date;
+  } else if (frontmatter.date !== undefined) {
+    frontmatter.date = parseHealthcheckDate(frontmatter.date);
+  }
+
+  // normalize the optional per-enterprise cadence to a number of days
+  if (frontmatter.cadence_days !== undefined) {
+    const cadenceDays = parseCadenceDays(frontmatter.cadence_days);
+    if (cadenceDays === null) {
+      console.warn(`Ignoring unrecognized cadence_days '${frontmatter.cadence_days}' in ${filePath}`);
+      delete frontmatter.cadence_days;
+    } else {
+      frontmatter.cadence_days = cadenceDays;
+    }
+  }
+  return frontmatter;
+}
+
+/**
+ * Parses a healthcheck document and dates it from the first of the date sources that yields a date.
+ * The source used is recorded as `date_source`.
+ * @param {string} rawContent - The Markdown text of the healthcheck.
+ * @param {string} filePath - Where the content came from; its name may carry the month, as in `parsnip-2024-12.md`.
+ * @param {object} [options={}] - Optional settings.
+ * @param {string[]} [options.dateSources=DATE_SOURCES] - The sources to try, in order.
+ * @param {function} [options.firstCommitDate] - Resolves the date of the commit adding a file, or null if unknown.
+ * @returns {Promise<object>} - The healthcheck object.
+ * @throws {Error} - If the document is invalid, as for parseHealthCheckContent, or no source yields a date.
+ */
+async function readHealthcheck(rawContent, filePath, options = {}) {
+  const { dateSources = DATE_SOURCES, firstCommitDate = async () => null } = options;
+  const healthcheck = parseHealthCheckContent(rawContent, filePath);
+
+  for (const source of dateSources) {
+    let date = null;
+    if (source === 'frontmatter') {
+      date = healthcheck.date || null;
+    } else if (source === 'filename') {
+      date = dateFromFilename(filePath);
+    } else if (source === 'first-commit') {
+      date = await firstCommitDate(filePath);
+    }
+    if (date) {
+      return { ...healthcheck, date, date_source: source };
+    }
+  }
+  throw new Error(`No date found; tried ${dateSources.join(', ')}`);
 }
 
 /**
  * Loads all healthcheck files and parses their content.
- * @param {string} [dirPath='./'] - The directory to search for healthcheck files (default is the current directory).
- * @returns {object[]} - A list of all healthcheck objects.
+ * Each healthcheck records the file it was parsed from as `source_path`. Files that fail to parse or validate
+ * are skipped with a warning and reported instead of failing the whole load.
+ * @param {string} [hcSubDir='./premium/health-checks'] - The directory to search for healthcheck files.
+ * @param {object} [options={}] - How to date the healthchecks, as for readHealthcheck.
+ * @returns {Promise<{healthchecks: object[], invalidFiles: Array<{source_path: string, error: string}>}>} - The
+ *   healthchecks, and each file skipped with the reason.
  */
-function loadHealthCheckFiles(hcSubDir = './premium/health-checks') {
+async function loadHealthCheckFiles(hcSubDir = './premium/health-checks', options = {}) {
   const markdownFiles = discoverMarkdownFiles(hcSubDir);
-  const allHealthchecks = [];
+  const healthchecks = [];
+  const invalidFiles = [];
 
   for (const file of markdownFiles) {
-    const healthcheck = parseHealthCheckFile(file);
-
-  if (healthcheck) {
+    try {
+      healthchecks.push({ ...await readHealthcheck(fs.readFileSync(file, 'utf8'), file, options), source_path: file });
       console.log(`Parsed healthcheck from ${file}`);
-      allHealthchecks.push(healthcheck);
-    } else {
-      console.log(`Found no healthcheck in ${file}`);
+    } catch (error) {
+      console.warn(`[WARN] - Skipping invalid healthcheck ${file}: ${error.message}`);
+      invalidFiles.push({ source_path: file, error: error.message });
     }
   }
 
-  return allHealthchecks;
+  return { healthchecks, invalidFiles };
 }
 
 module.exports = { 
+    DATE_SOURCES,
     findOverdueIssues,
+    assessIssues,
+    parseCadenceDays,
+    parseReminderTiers,
+    normalizeReminderTiers,
     loadHealthCheckFiles, 
     parseHealthCheckFile,
+    parseHealthCheckContent,
+    parseHealthcheckDate,
+    parseDateSources,
+    dateFromFilename,
+    readHealthcheck,
+    validateHealthcheck,
     discoverMarkdownFiles
 };
\ No newline at end of file
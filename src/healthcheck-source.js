@@ -0,0 +1,254 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadHealthCheckFiles, readHealthcheck } = require('./healthcheck-helpers');
+
+// Backends selectable with the `hc-source` input
+const SOURCE_TYPES = ['api', 'local'];
+
+/**
+ * Builds the web URL of a file in a repository, e.g. https://github.com/owner/repo/blob/main/path/to/file.md.
+ *
+ * @param {string} serverUrl - The web URL of the Git host.
+ * @param {string} repo - The repository in the format "owner/repo".
+ * @param {string} ref - The branch, tag or commit; 'HEAD' for the default branch.
+ * @param {string} filePath - The path of the file within the repo.
+ * @returns {string} - The URL.
+ */
+function blobUrl(serverUrl, repo, ref, filePath) {
+  const encodePath = (value) => value.split('/').map(encodeURIComponent).join('/');
+  return `${serverUrl}/${repo}/blob/${encodePath(ref)}/${encodePath(filePath)}`;
+}
+
+/**
+ * Creates a healthcheck source reading an existing checkout of the data repo,
+ * e.g. one made by actions/checkout earlier in the workflow.
+ * Healthchecks carry their path relative to the checkout, and a URL when the repo is known; so do invalid files.
+ *
+ * @param {string} dirPath - The directory containing the healthcheck files.
+ * @param {object} [settings={}] - Where the files come from.
+ * @param {string} [settings.rootPath='.'] - The root of the checkout.
+ * @param {string} [settings.repo] - The data repository in the format "owner/repo".
+ * @param {string} [settings.ref] - The branch, tag or commit checked out; defaults to the repo's default branch.
+ * @param {string} [settings.serverUrl='https://github.com'] - The web URL of the Git host serving the repo.
+ * @param {string[]} [settings.dateSources] - Where to look for each healthcheck's date, as for readHealthcheck.
+ *   First-commit dates are read from the checkout's git history.
+ * @returns {{description: string, loadHealthchecks: function}} - The source. loadHealthchecks resolves to
+ *   {healthchecks, invalidFiles}, the files that failed to parse or validate each with its `error`.
+ */
+function makeLocalSource(dirPath, { rootPath = '.', repo, ref, serverUrl = 'https://github.com', dateSources } = {}) {
+  return {
+    description: `local directory ${dirPath}`,
+    loadHealthchecks: async () => {
+      const { healthchecks, invalidFiles } = await loadHealthCheckFiles(dirPath, { dateSources, firstCommitDate: makeGitFirstCommitDate() });
+      const locate = (entry) => {
+        const sourcePath = path.relative(rootPath, entry.source_path).split(path.sep).join('/');
+        return {
+          ...entry,
+          source_path: sourcePath,
+          source_url: repo ? blobUrl(serverUrl, repo, ref || 'HEAD', sourcePath) : null,
+        };
+      };
+      return { healthchecks: healthchecks.map(locate), invalidFiles: invalidFiles.map(locate) };
+    },
+  };
+}
+
+/**
+ * Creates a healthcheck source reading the data repo through the Git Trees and Blobs APIs.
+ * Only the tree under `dirPath` is listed and only its Markdown files are downloaded.
+ * Healthchecks carry their path within the repo and the URL of the file at the ref that was read.
+ *
+ * @param {object} octokit - An Octokit client allowed to read the data repo.
+ * @param {string} repo - The data repository in the format "owner/repo".
+ * @param {string} dirPath - The directory within the repo containing the healthcheck files.
+ * @param {string} [ref] - The branch, tag or commit to read; defaults to the repo's default branch.
+ * @param {string} [serverUrl='https://github.com'] - The web URL of the Git host serving the repo.
+ * @param {object} [options={}] - Optional settings.
+ * @param {string[]} [options.dateSources] - Where to look for each healthcheck's date, as for readHealthcheck.
+ *   First-commit dates are read from the file's commits at the ref.
+ * @returns {{description: string, loadHealthchecks: function}} - The source, loading {healthchecks, invalidFiles}
+ *   as makeLocalSource does.
+ */
+function makeApiSource(octokit, repo, dirPath, ref, serverUrl = 'https://github.com', { dateSources } = {}) {
+  const [owner, repoName] = repo.split('/');
+  if (!owner || !repoName) {
+    throw new Error(`Healthcheck data repo must be in the format "owner/repo", got '${repo}'`);
+  }
+  const context = { octokit, repoOwner: owner, repoName };
+
+  return {
+    description: `${serverUrl}/${repo}/${dirPath}${ref ? `@${ref}` : ''} via the GitHub API`,
+    loadHealthchecks: async () => {
+      const resolvedRef = ref || (await octokit.rest.repos.get({ owner, repo: repoName })).data.default_branch;
+      const dirTreeSha = await findTreeSha(context, resolvedRef, dirPath);
+      const markdownBlobs = (await listTreeBlobs(context, dirTreeSha))
+        .filter(entry => path.posix.extname(entry.path) === '.md');
+      const firstCommitDate = async (filePath) => {
+        const commits = await octokit.paginate(octokit.rest.repos.listCommits, {
+          owner,
+          repo: repoName,
+          sha: resolvedRef,
+          path: filePath,
+          per_page: 100,
+        });
+        // Commits are listed newest first
+        return commits.length > 0 ? new Date(commits[commits.length - 1].commit.author.date) : null;
+      };
+
+      const healthchecks = [];
+      const invalidFiles = [];
+      for (const blob of markdownBlobs) {
+        const filePath = path.posix.join(dirPath, blob.path);
+        const sourceUrl = blobUrl(serverUrl, repo, resolvedRef, filePath);
+        const { data } = await octokit.rest.git.getBlob({ owner, repo: repoName, file_sha: blob.sha });
+        const content = Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+        try {
+          const healthcheck = await readHealthcheck(content, filePath, { dateSources, firstCommitDate });
+          healthchecks.push({ ...healthcheck, source_path: filePath, source_url: sourceUrl });
+          console.log(`Parsed healthcheck from ${filePath}`);
+        } catch (error) {
+          console.warn(`[WARN] - Skipping invalid healthcheck ${filePath}: ${error.message}`);
+          invalidFiles.push({ source_path: filePath, source_url: sourceUrl, error: error.message });
+        }
+      }
+      return { healthchecks, invalidFiles };
+    },
+  };
+}
+
+/**
+ * Creates a lookup of the date a file was first committed, read from the git history of the checkout holding it.
+ * Shallow clones, such as those made by actions/checkout by default, lack that history, so no date is found in them.
+ *
+ * @returns {function} - Resolves the author date of the oldest commit touching a file, or null if unknown.
+ */
+function makeGitFirstCommitDate() {
+  let hasHistory;
+  const git = (args, cwd) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+
+  return async (filePath) => {
+    const cwd = path.dirname(filePath);
+    if (hasHistory === undefined) {
+      try {
+        hasHistory = git(['rev-parse', '--is-shallow-repository'], cwd) === 'false';
+        if (!hasHistory) {
+          console.warn(`[WARN] - ${cwd} is in a shallow clone; check it out with fetch-depth: 0 to date healthchecks by their first commit`);
+        }
+      } catch (error) {
+        hasHistory = false;
+        console.warn(`[WARN] - Cannot read the git history of ${cwd}, so healthchecks are not dated by their first commit: ${error.message}`);
+      }
+    }
+    if (!hasHistory) {
+      return null;
+    }
+    try {
+      const dates = git(['log', '--format=%aI', '--', path.basename(filePath)], cwd).split('\n').filter(Boolean);
+      return dates.length > 0 ? new Date(dates[dates.length - 1]) : null;
+    } catch (error) {
+      console.warn(`[WARN] - Cannot read the git history of ${filePath}: ${error.message}`);
+      return null;
+    }
+  };
+}
+
+/**
+ * Resolves the tree SHA of a directory by walking its path one segment at a time from the root of a ref.
+ *
+ * @param {object} context - An object containing octokit, repoOwner, and repoName.
+ * @param {string} ref - The branch, tag or commit.
+ * @param {string} dirPath - The directory path within the repo.
+ * @returns {Promise<string>} - The SHA of the directory's tree.
+ */
+async function findTreeSha(context, ref, dirPath) {
+  let treeSha = ref;
+  const segments = (dirPath || '').split('/').filter(segment => segment && segment !== '.');
+  for (let i = 0; i < segments.length; i++) {
+    const { data } = await context.octokit.rest.git.getTree({
+      owner: context.repoOwner,
+      repo: context.repoName,
+      tree_sha: treeSha,
+    });
+    const entry = data.tree.find(item => item.path === segments[i] && item.type === 'tree');
+    if (!entry) {
+      throw new Error(`Directory '${segments.slice(0, i + 1).join('/')}' not found in ${context.repoOwner}/${context.repoName}@${ref}`);
+    }
+    treeSha = entry.sha;
+  }
+  return treeSha;
+}
+
+/**
+ * Lists every blob below a tree, with paths relative to that tree. Uses a single recursive request,
+ * falling back to walking subtrees one by one when GitHub truncates the recursive listing.
+ *
+ * @param {object} context - An object containing octokit, repoOwner, and repoName.
+ * @param {string} treeSha - The SHA of the tree to list.
+ * @returns {Promise<Array<{path: string, sha: string}>>} - The blobs below the tree.
+ */
+async function listTreeBlobs(context, treeSha) {
+  const { data } = await context.octokit.rest.git.getTree({
+    owner: context.repoOwner,
+    repo: context.repoName,
+    tree_sha: treeSha,
+    recursive: 'true',
+  });
+  if (!data.truncated) {
+    return data.tree.filter(entry => entry.type === 'blob').map(({ path: entryPath, sha }) => ({ path: entryPath, sha }));
+  }
+
+  console.log(`Tree ${treeSha} is too large to list at once; listing it directory by directory`);
+  const blobs = [];
+  const pending = [{ sha: treeSha, prefix: '' }];
+  while (pending.length > 0) {
+    const { sha, prefix } = pending.shift();
+    const { data: subtree } = await context.octokit.rest.git.getTree({
+      owner: context.repoOwner,
+      repo: context.repoName,
+      tree_sha: sha,
+    });
+    for (const entry of subtree.tree) {
+      const entryPath = prefix ? `${prefix}/${entry.path}` : entry.path;
+      if (entry.type === 'tree') {
+        pending.push({ sha: entry.sha, prefix: entryPath });
+      } else if (entry.type === 'blob') {
+        blobs.push({ path: entryPath, sha: entry.sha });
+      }
+    }
+  }
+  return blobs;
+}
+
+/**
+ * Creates the healthcheck source selected by the `hc-source` input.
+ *
+ * @param {string} sourceType - Either 'api' or 'local'.
+ * @param {object} settings - Settings for the backends.
+ * @param {object} settings.octokit - An Octokit client allowed to read the data repo (api).
+ * @param {string} settings.repo - The data repository in the format "owner/repo".
+ * @param {string} [settings.ref] - The branch, tag or commit to read (api) or checked out (local).
+ * @param {string} settings.dirPath - The directory of healthcheck files within the data repo.
+ * @param {string} [settings.serverUrl] - The web URL of the Git host serving the repo.
+ * @param {string} [settings.localPath='.'] - Where the data repo is checked out (local).
+ * @param {string[]} [settings.dateSources] - Where to look for each healthcheck's date, as for readHealthcheck.
+ * @returns {{description: string, loadHealthchecks: function}} - The source, loading {healthchecks, invalidFiles}
+ *   as makeLocalSource does.
+ */
+function makeHealthcheckSource(sourceType, { octokit, repo, ref, dirPath, serverUrl, localPath = '.', dateSources }) {
+  switch (sourceType) {
+    case 'api':
+      return makeApiSource(octokit, repo, dirPath, ref, serverUrl, { dateSources });
+    case 'local':
+      return makeLocalSource(path.join(localPath, dirPath || ''), { rootPath: localPath, repo, ref, serverUrl, dateSources });
+    default:
+      throw new Error(`Unknown hc-source '${sourceType}'; expected one of ${SOURCE_TYPES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  makeHealthcheckSource,
+  makeApiSource,
+  makeLocalSource,
+  blobUrl
+};
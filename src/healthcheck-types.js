@@ -0,0 +1,150 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadTemplates } = require('./comment-templates');
+const { REMINDER_MARKER } = require('./update-issue');
+
+// Keys of a healthcheck type
+const TYPE_KEYS = [
+  'name',
+  'title',
+  'directory',
+  'max-staleness-days',
+  'stale-template',
+  'stale-template-file',
+  'missing-template',
+  'missing-template-file',
+];
+
+// The only type when `healthcheck-types` is not set
+const DEFAULT_TYPE_NAME = 'healthcheck';
+
+/**
+ * Builds a healthcheck type.
+ * @param {object} spec - The type's settings, keyed as in TYPE_KEYS.
+ * @param {boolean} isPrimary - Whether this is the first type, whose reminders keep the plain reminder marker.
+ * @param {{stale: string, missing: string}} templates - The templates of the action inputs, used where the type has none.
+ * @returns {object} - The type, with name, title (the wording used in comments), directory, maxStalenessDays
+ *   (null to use the board's threshold), templates and marker (the hidden marker of its reminders).
+ */
+function makeHealthcheckType(spec, isPrimary, templates) {
+  const unknownKeys = Object.keys(spec).filter(key => !TYPE_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`unknown keys ${unknownKeys.join(', ')}`);
+  }
+  const name = String(spec.name || '').trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+    throw new Error(`needs a name made of letters, digits, '-' and '_'; got '${spec.name || ''}'`);
+  }
+
+  const has = key => spec[key] !== undefined && spec[key] !== null && spec[key] !== '';
+  const maxStalenessDays = has('max-staleness-days') ? Number(spec['max-staleness-days']) : null;
+  if (has('max-staleness-days') && (!Number.isInteger(maxStalenessDays) || maxStalenessDays < 1)) {
+    throw new Error(`max-staleness-days must be a positive integer; got '${spec['max-staleness-days']}'`);
+  }
+
+  return {
+    name,
+    title: has('title') ? String(spec.title).trim() : name.replace(/[-_]/g, ' '),
+    directory: has('directory') ? String(spec.directory).trim().replace(/^\/+|\/+$/g, '').toLowerCase() : name,
+    maxStalenessDays,
+    templates: loadTemplates({
+      stale: spec['stale-template'],
+      staleFile: spec['stale-template-file'],
+      missing: spec['missing-template'],
+      missingFile: spec['missing-template-file'],
+    }, templates),
+    // Each type keeps its own reminder history, so a security review reminder doesn't hold back a health check one
+    marker: isPrimary ? REMINDER_MARKER : `<!-- hc-scheduler:reminder:${name} -->`,
+  };
+}
+
+/**
+ * Parses the YAML list of healthcheck types, e.g.
+ *   - name: health-check
+ *     directory: health-checks
+ *   - name: security-review
+ *     title: security review
+ *     directory: security-reviews
+ *     max-staleness-days: 365
+ *     stale-template-file: .github/security-review-reminder.md
+ * @param {string} typesYaml - The YAML list of types; empty means the single `healthcheck` type.
+ * @param {{stale: string, missing: string}} templates - The templates of the action inputs, used where a type has none.
+ * @returns {Array} - The validated types; the first is the one files of no known type belong to. The single type used
+ *   when none are configured is flagged `isDefault`.
+ */
+function parseHealthcheckTypes(typesYaml, templates) {
+  if (!typesYaml || !typesYaml.trim()) {
+    return [{ ...makeHealthcheckType({ name: DEFAULT_TYPE_NAME }, true, templates), isDefault: true }];
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.load(typesYaml);
+  } catch (error) {
+    throw new Error(`Failed to parse healthcheck types: ${error.message}`);
+  }
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error('Healthcheck types must be a non-empty YAML list');
+  }
+
+  const types = parsed.map((spec, index) => {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error(`Healthcheck type #${index + 1} must be a mapping`);
+    }
+    try {
+      return makeHealthcheckType(spec, index === 0, templates);
+    } catch (error) {
+      throw new Error(`Healthcheck type #${index + 1}: ${error.message}`);
+    }
+  });
+
+  for (const key of ['name', 'directory']) {
+    const seen = new Set();
+    for (const type of types) {
+      if (seen.has(type[key])) {
+        throw new Error(`Healthcheck type ${key} '${type[key]}' is used more than once`);
+      }
+      seen.add(type[key]);
+    }
+  }
+  return types;
+}
+
+/**
+ * Sets the `type` of each healthcheck: the `type` key of its frontmatter, else the type whose directory (relative to
+ * dir-path) holds it, else the first type. Without configured types, every healthcheck gets the default type and a
+ * `type` key, which files may carry for other reasons, is ignored.
+ * @param {Array} healthchecks - Healthchecks as loaded by a healthcheck source, with source_path.
+ * @param {Array} types - The types returned by parseHealthcheckTypes.
+ * @param {string} dirPath - The directory the healthchecks were loaded from, as source_path is given.
+ * @returns {{healthchecks: Array, invalidFiles: Array}} - The typed healthchecks, and those naming an unknown
+ *   type as invalid files with their `error`.
+ */
+function assignHealthcheckTypes(healthchecks, types, dirPath) {
+  const typed = [];
+  const invalidFiles = [];
+  const readsTypeKey = !(types.length === 1 && types[0].isDefault);
+  for (const healthcheck of healthchecks) {
+    let type;
+    if (readsTypeKey && healthcheck.type !== undefined && healthcheck.type !== null) {
+      type = types.find(t => t.name === String(healthcheck.type).trim().toLowerCase());
+      if (!type) {
+        const error = `Unknown type '${healthcheck.type}'; expected one of ${types.map(t => t.name).join(', ')}`;
+        console.warn(`[WARN] - Skipping invalid healthcheck ${healthcheck.source_path}: ${error}`);
+        invalidFiles.push({ source_path: healthcheck.source_path, source_url: healthcheck.source_url || null, error });
+        continue;
+      }
+    } else {
+      const relativePath = path.posix.relative(dirPath || '.', healthcheck.source_path).toLowerCase();
+      type = types.find(t => relativePath.startsWith(`${t.directory}/`)) || types[0];
+    }
+    typed.push({ ...healthcheck, type: type.name });
+  }
+  return { healthchecks: typed, invalidFiles };
+}
+
+module.exports = {
+  DEFAULT_TYPE_NAME,
+  parseHealthcheckTypes,
+  assignHealthcheckTypes
+};
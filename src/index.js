@@ -1,118 +1,698 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
-const { loadHealthCheckFiles, findOverdueIssues } = require('./healthcheck-helpers');
-const { addIssueComment, unlabelIssue } = require('./update-issue');
-const { cloneRepo, mapCheckableIssues, fetchIssuesFromV2Project, getIssueLabeledDate } = require('./fetch-helpers');
-const fs = require('fs');
-const path = require('path');
+const { findOverdueIssues, assessIssues, parseReminderTiers, parseDateSources } = require('./healthcheck-helpers');
+const { makeProjectTarget, loadProjectTargets, dedupeIssues } = require('./project-targets');
+const { makeEnterpriseMatcher, parseMatchOrder } = require('./enterprise-matcher');
+const { buildMismatchReport, formatMismatchSummary, writeMismatchReport } = require('./mismatch-report');
+const { makeOutcome, summarizeRun, formatRunSummary } = require('./run-summary');
+const { buildForecast, formatForecastSummary, writeForecastCalendar } = require('./forecast');
+const { parseDeliveryMode, parseDigestTarget, deliverDigests } = require('./digest');
+const { addIssueComment, updateIssueComment, replyToIssue, evaluateReminder, labelIssue, unlabelIssue } = require('./update-issue');
+const { mapCheckableIssues, fetchIssuesFromV2Project, getIssueLabeledDate, getLatestReminderComment } = require('./fetch-helpers');
+const { makeHealthcheckSource } = require('./healthcheck-source');
+const { parseHealthcheckTypes, assignHealthcheckTypes } = require('./healthcheck-types');
+const { TOKEN_CONCERNS, APP_CONCERNS, resolveGitHubUrls, makeOctokit, explainPermissionError } = require('./github-client');
+const { makeInstallationTokenProvider } = require('./app-auth');
+const { makeRateLimiter } = require('./rate-limit');
+const { evaluateSnoozes } = require('./snooze');
+const { COMMAND_PREFIX, USAGE, parseCommand, planCommand, isAuthorized } = require('./comment-commands');
+const { DEFAULT_FIELD_NAMES, fetchProjectFields, planFieldUpdates, planFieldClear, applyFieldUpdates } = require('./project-fields');
+const { parseList, parseItemFilters } = require('./item-filters');
+const { PLACEHOLDERS, loadTemplates, validateTemplate, validateDateFormat } = require('./comment-templates');
 
 /**
  * Creates a callback that fetches the date when a specific label was added to an issue.
  *
- * @param {object} repoApiContext - Context containing octokit, repoOwner, and repoName.
+ * @param {function} repoApiContextFor - A function returning the context (octokit, repoOwner, and repoName) of an issue's repository.
  * @param {string} labelName - The label to search for on the issue.
  * @returns {function} - A function that takes an issue and returns a Promise<Date|null>.
  */
-function makeLabeledDateCallback(repoApiContext, labelName) {
+function makeLabeledDateCallback(repoApiContextFor, labelName) {
   return function(issue) {
-    return getIssueLabeledDate(repoApiContext, issue.number, labelName);
+    return getIssueLabeledDate(repoApiContextFor(issue), issue.number, labelName);
   };
 }
 
+/**
+ * Logs the outcome of an issue update to stdout or stderr.
+ *
+ * @param {{ok: boolean, message: string}} result - The status object returned by the update-issue helpers.
+ */
+function logResult(result) {
+  if (!result.ok) {
+    console.error(result.message);
+  } else {
+    console.log(result.message);
+  }
+}
+
+/**
+ * Logs the outcome of an issue update and records it on the issue's run outcome, once per action.
+ *
+ * @param {object} outcome - The issue's outcome, as created by makeOutcome.
+ * @param {string} action - The action to record if the update succeeded.
+ * @param {{ok: boolean, message: string}} result - The status object returned by the update-issue helpers.
+ */
+function recordResult(outcome, action, result) {
+  logResult(result);
+  if (result.ok) {
+    if (!outcome.actions.includes(action)) {
+      outcome.actions.push(action);
+    }
+  } else {
+    outcome.errors.push(result.message);
+  }
+}
+
+/**
+ * Wraps a client factory so each account gets one client, created on first use.
+ *
+ * @param {function} create - A function taking an account login and returning a client.
+ * @returns {function} - A function taking an account login and returning its client.
+ */
+function perOwner(create) {
+  const clients = new Map();
+  return function(owner) {
+    if (!clients.has(owner)) {
+      clients.set(owner, create(owner));
+    }
+    return clients.get(owner);
+  };
+}
+
+/**
+ * Creates the Octokit clients for reading healthcheck data, reading project boards and updating issues,
+ * authenticated either with GitHub App installation tokens (when an App ID is given) or with the token inputs.
+ * Boards and issues may belong to several accounts, so their clients are looked up by owner. Each client paces
+ * and retries its requests through its own rate limiter, as each credential has its own budget.
+ *
+ * @param {object} settings - Credential settings.
+ * @param {{apiUrl: string}} settings.githubUrls - The URLs returned by resolveGitHubUrls.
+ * @param {string} [settings.appId] - The GitHub App ID.
+ * @param {string} [settings.appPrivateKey] - The GitHub App private key.
+ * @param {string} settings.dataOwner - The owner of the healthcheck data repo.
+ * @param {boolean} settings.needsData - Whether healthcheck data is read through the API.
+ * @param {boolean} [settings.needsProject=true] - Whether project boards are read.
+ * @param {{data: string, project: string, issues: string}} settings.tokens - The token inputs.
+ * @param {object} [settings.pacing={}] - Rate limiter settings, as for makeRateLimiter.
+ * @returns {{dataOctokit: object|null, projectOctokitFor: function, issuesOctokitFor: function, limiters: Array}} - The
+ *   data client, functions returning the client for a project owner (null if boards are not read) and for a repository
+ *   owner, and the rate limiters of the clients created so far.
+ */
+function makeApiClients({ githubUrls, appId, appPrivateKey, dataOwner, needsData, needsProject = true, tokens, pacing = {} }) {
+  const limiters = [];
+  const limiter = (name) => {
+    const created = makeRateLimiter({ ...pacing, name });
+    limiters.push(created);
+    return created;
+  };
+
+  if (appId) {
+    if (!appPrivateKey) {
+      throw new Error('app-private-key is required when app-id is set');
+    }
+    // One refreshing installation token per account the App is installed on
+    const tokenFor = perOwner(owner => {
+      console.log(`Using the installation of GitHub App ${appId} on ${owner}`);
+      return makeInstallationTokenProvider({
+        appId,
+        privateKey: appPrivateKey,
+        owner,
+        createAppOctokit: jwt => makeOctokit(jwt, githubUrls),
+        onToken: token => core.setSecret(token),
+      });
+    });
+    console.log(`Authenticating as GitHub App ${appId}`);
+    return {
+      dataOctokit: needsData ? makeOctokit(tokenFor(dataOwner), githubUrls, { concern: APP_CONCERNS.data, limiter: limiter(`app data (${dataOwner})`) }) : null,
+      projectOctokitFor: needsProject
+        ? perOwner(owner => makeOctokit(tokenFor(owner), githubUrls, { concern: APP_CONCERNS.project, limiter: limiter(`app project (${owner})`) }))
+        : () => null,
+      issuesOctokitFor: perOwner(owner => makeOctokit(tokenFor(owner), githubUrls, { concern: APP_CONCERNS.issues, limiter: limiter(`app issues (${owner})`) })),
+      limiters,
+    };
+  }
+
+  if (needsData && !tokens.data) {
+    throw new Error('hc-data-secret (or app-id) is required to read healthchecks with hc-source "api"');
+  }
+  if (needsProject && !tokens.project) {
+    throw new Error('project-token (or hc-data-secret, or app-id) is required to query the project board');
+  }
+  if (!tokens.issues) {
+    throw new Error('github-token (or app-id) is required to update issues');
+  }
+  // A token covers every account it has access to
+  const projectOctokit = tokens.project ? makeOctokit(tokens.project, githubUrls, { concern: TOKEN_CONCERNS.project, limiter: limiter('project-token') }) : null;
+  const issuesOctokit = makeOctokit(tokens.issues, githubUrls, { concern: TOKEN_CONCERNS.issues, limiter: limiter('github-token') });
+  return {
+    dataOctokit: tokens.data ? makeOctokit(tokens.data, githubUrls, { concern: TOKEN_CONCERNS.data, limiter: limiter('hc-data-secret') }) : null,
+    projectOctokitFor: () => projectOctokit,
+    issuesOctokitFor: () => issuesOctokit,
+    limiters,
+  };
+}
+
+/**
+ * Handles a `/healthcheck` command in a new issue comment: checks that the commenter is an assignee
+ * or a collaborator with write access, applies the snooze or not-applicable label and replies with a confirmation.
+ */
+async function runCommand() {
+  const { payload, repo } = github.context;
+  const { comment } = payload;
+  if (payload.action !== 'created' || !payload.issue || payload.issue.pull_request || !comment || comment.user.type === 'Bot') {
+    console.log(`Ignoring ${github.context.eventName} event (${payload.action})`);
+    return;
+  }
+  const command = parseCommand(comment.body);
+  if (!command) {
+    console.log(`Comment ${comment.id} has no ${COMMAND_PREFIX} command`);
+    return;
+  }
+
+  const dryRunInput = core.getInput('dry-run') || '';
+  const isDryRun = ['true', '1'].includes(dryRunInput.trim().toLowerCase());
+  const skipLabelName = core.getInput('skip-label-name');
+  const notApplicableLabel = core.getInput('not-applicable-label') || 'healthcheck-not-applicable';
+  const githubUrls = resolveGitHubUrls({
+    apiUrl: core.getInput('github-api-url'),
+    serverUrl: core.getInput('github-server-url'),
+  });
+  const { issuesOctokitFor } = makeApiClients({
+    githubUrls,
+    appId: core.getInput('app-id'),
+    appPrivateKey: core.getInput('app-private-key'),
+    dataOwner: repo.owner,
+    needsData: false,
+    needsProject: false,
+    tokens: { issues: core.getInput('github-token') },
+  });
+
+  const repoApiContext = {
+    octokit: issuesOctokitFor(repo.owner),
+    repoOwner: repo.owner,
+    repoName: repo.repo
+  };
+  const issue = {
+    number: payload.issue.number,
+    title: payload.issue.title,
+    url: payload.issue.html_url,
+    assignees: (payload.issue.assignees || []).map(a => a.login),
+    labels: (payload.issue.labels || []).map(l => l.name),
+  };
+  const author = comment.user.login;
+  const failures = [];
+
+  let reply;
+  if (!(await isAuthorized(repoApiContext, issue, author))) {
+    reply = `@${author} only this issue's assignees and collaborators with write access can run \`${COMMAND_PREFIX}\` commands.`;
+  } else if (command.error) {
+    reply = `@${author} ${command.error}.\n\nAvailable commands:\n${USAGE}`;
+  } else {
+    const plan = planCommand(command, issue, { skipLabelName, notApplicableLabel, author });
+    for (const label of plan.removeLabels) {
+      const result = await unlabelIssue(repoApiContext, issue, label, isDryRun);
+      logResult(result);
+      if (!result.ok) failures.push(result.message);
+    }
+    for (const label of plan.addLabels) {
+      const result = await labelIssue(repoApiContext, issue, label, isDryRun);
+      logResult(result);
+      if (!result.ok) failures.push(result.message);
+    }
+    reply = failures.length > 0
+      ? `@${author} the \`${command.name}\` command could not be applied; see the workflow run for details.`
+      : plan.reply;
+  }
+
+  const replyResult = await replyToIssue(repoApiContext, issue, reply, isDryRun);
+  logResult(replyResult);
+  if (!replyResult.ok) failures.push(replyResult.message);
+  if (failures.length > 0) {
+    core.setFailed(`Failed to handle ${COMMAND_PREFIX} command on issue #${issue.number}: ${failures.join('; ')}`);
+  }
+}
+
 async function run() {
   try {
+    // Comments on issues are checked for /healthcheck commands instead of running the scheduler
+    if (github.context.eventName === 'issue_comment') {
+      await runCommand();
+      return;
+    }
+
     const maxStalenessInDays = Number(core.getInput('max-staleness-days') || 60);
-    const ratePauseSec = Number(core.getInput('ratelimit-pause-sec'));
-    const hcDataSecret = core.getInput('hc-data-secret', { required: true });
+    // Writes are paced at least ratelimit-pause-sec apart; reads only slow down once a budget runs low
+    const pacing = {
+      minWriteIntervalMs: Number(core.getInput('ratelimit-pause-sec') || 1) * 1000,
+      maxRetries: Number(core.getInput('api-max-retries') || 3),
+    };
+    const apiConcurrency = Number(core.getInput('api-concurrency') || 2);
+    const hcDataSecret = core.getInput('hc-data-secret');
+    const projectToken = core.getInput('project-token') || hcDataSecret;
+    const githubToken = core.getInput('github-token');
+    const appId = core.getInput('app-id');
+    const appPrivateKey = core.getInput('app-private-key');
     const dryRunInput = core.getInput('dry-run') || '';
     const isDryRun = ['true', '1'].includes(dryRunInput.trim().toLowerCase());
     const hcSubDir = core.getInput('dir-path');
     const hcDataRepo = core.getInput('hc-data-repo', { required: true });
-    const projectNumber = core.getInput('issues-project-number', { required: true });
-    const projectOrg = core.getInput('issues-project-org', { required: true });
-    const projectRepo = core.getInput('issues-project-repo', { required: true });
-    const issueStatus = core.getInput('notifiable-issue-status');
-    const issueState = core.getInput('notifiable-issue-state');
+    const hcSourceType = (core.getInput('hc-source') || 'api').trim().toLowerCase();
+    const hcDataRef = core.getInput('hc-data-ref');
+    const hcDataLocalPath = core.getInput('hc-data-local-path') || '.';
+    const strictValidationInput = core.getInput('strict-healthcheck-validation') || '';
+    const isStrictValidation = ['true', '1'].includes(strictValidationInput.trim().toLowerCase());
+    const dateSources = parseDateSources(core.getInput('healthcheck-date-sources'));
+    const githubUrls = resolveGitHubUrls({
+      apiUrl: core.getInput('github-api-url'),
+      serverUrl: core.getInput('github-server-url'),
+    });
+    const statusFieldName = core.getInput('status-field-name') || 'Status';
+    const issueStatuses = parseList(core.getInput('notifiable-issue-status'), ['Active']);
+    const excludedStatuses = parseList(core.getInput('excluded-issue-status'));
+    const issueStates = parseList(core.getInput('notifiable-issue-state'), ['OPEN']).map(state => state.toUpperCase());
+    const itemFilters = parseItemFilters(core.getInput('item-filters'));
+    const includeUnassignedInput = core.getInput('include-unassigned') || '';
+    const isIncludeUnassigned = ['true', '1'].includes(includeUnassignedInput.trim().toLowerCase());
     const skipLabelName = core.getInput('skip-label-name');
+    const skipLabelExpiryDays = Number(core.getInput('skip-label-expiry-days') || 30);
+    const snoozeFieldName = core.getInput('snooze-field-name') || 'Snooze until';
+    const notApplicableLabel = core.getInput('not-applicable-label') || 'healthcheck-not-applicable';
+    const updateProjectFieldsInput = core.getInput('update-project-fields') || '';
+    const isUpdateProjectFields = ['true', '1'].includes(updateProjectFieldsInput.trim().toLowerCase());
+    const dueSoonDays = Number(core.getInput('due-soon-days') || 14);
+    const projectFieldNames = {
+      lastHealthcheck: core.getInput('last-healthcheck-field-name') || DEFAULT_FIELD_NAMES.lastHealthcheck,
+      daysSince: core.getInput('days-since-field-name') || DEFAULT_FIELD_NAMES.daysSince,
+      status: core.getInput('healthcheck-status-field-name') || DEFAULT_FIELD_NAMES.status,
+    };
+    const renotifyIntervalDays = Number(core.getInput('renotify-interval-days') || 7);
+    const updateInPlaceInput = core.getInput('update-reminder-in-place') || '';
+    const isUpdateInPlace = ['true', '1'].includes(updateInPlaceInput.trim().toLowerCase());
+    // Digests gather each assignee's overdue issues in one place instead of a comment on every issue
+    const isDigest = parseDeliveryMode(core.getInput('reminder-delivery')) === 'digest';
+    const digestTarget = isDigest
+      ? parseDigestTarget({ issue: core.getInput('digest-issue'), repository: core.getInput('digest-repository') })
+      : null;
+    const reminderTiers = parseReminderTiers(core.getInput('reminder-tiers'));
+    const cadenceFieldName = core.getInput('cadence-field-name') || 'Cadence';
+    const matchEnterprise = makeEnterpriseMatcher({
+      order: parseMatchOrder(core.getInput('enterprise-match-order')),
+      slugFieldName: core.getInput('enterprise-slug-field-name') || 'enterprise_slug',
+      idFieldName: core.getInput('enterprise-id-field-name') || 'enterprise_id',
+    });
+    const mismatchReportPath = core.getInput('mismatch-report-path') || 'healthcheck-mismatch-report.json';
+    // A forecast lists the healthchecks coming due instead of reminding anyone
+    const forecastWeeks = Number(core.getInput('forecast-weeks') || 0);
+    if (!Number.isInteger(forecastWeeks) || forecastWeeks < 0) {
+      throw new Error(`forecast-weeks must be a whole number of weeks; got '${core.getInput('forecast-weeks')}'`);
+    }
+    const forecastIcsPath = core.getInput('forecast-ics-path') || 'healthcheck-forecast.ics';
+    const notifyMissingInput = core.getInput('notify-missing-healthchecks') || 'true';
+    const isNotifyMissing = ['true', '1'].includes(notifyMissingInput.trim().toLowerCase());
+    // Comment templates and date settings are validated up front, so a typo fails before any comment is posted
+    const commentOptions = {
+      templates: loadTemplates({
+        stale: core.getInput('stale-template'),
+        staleFile: core.getInput('stale-template-file'),
+        missing: core.getInput('missing-template'),
+        missingFile: core.getInput('missing-template-file'),
+      }),
+      locale: core.getInput('date-locale') || 'en-US',
+      timeZone: core.getInput('date-time-zone') || 'UTC',
+    };
+    validateDateFormat(commentOptions);
+    // Kinds of review tracked separately, each with its own threshold and wording
+    const healthcheckTypes = parseHealthcheckTypes(core.getInput('healthcheck-types'), commentOptions.templates);
+    const typesByName = new Map(healthcheckTypes.map(type => [type.name, type]));
 
-    // Clone the repo containing healthcheck .md files
-    const dataCheckoutDir = './hc-data-checkout';
-    cloneRepo(hcDataSecret, hcDataRepo, dataCheckoutDir);
-    console.log('Current Working Directory:', process.cwd());
-    console.log('Contents of Current Directory:', fs.readdirSync(process.cwd()));
-
-    // Parse the healthcheck files
-    const hcRelPath = path.join(dataCheckoutDir, hcSubDir);
-    const allHealthchecks = loadHealthCheckFiles(hcRelPath);
-    console.log(`Found ${allHealthchecks.length} historical healthchecks.`);
-
-    // Fetch issues having the correct state and status from the project board
-    console.log(`Fetching candidate issues for org=${projectOrg}, projectNumber=${projectNumber}, issueStatus=${issueStatus}, issueState=${issueState}`);
-    const octokit = github.getOctokit(hcDataSecret);
-    const projectBoardIssues = await fetchIssuesFromV2Project(
-      octokit,
-      projectOrg,
-      projectNumber,
-      issueStatus,
-      issueState
-    );
-    console.log(`Fetched ${projectBoardIssues.length} issues.`);
+    // Boards to query: the project-targets list, else the single board of the issues-project-* inputs
+    const targetDefaults = {
+      statusFieldName,
+      issueStatuses,
+      excludedStatuses,
+      issueStates,
+      itemFilters,
+      includeUnassigned: isIncludeUnassigned,
+      maxStalenessDays: maxStalenessInDays,
+      reminderTiers,
+    };
+    const projectTargets = loadProjectTargets({
+      targets: core.getInput('project-targets'),
+      targetsFile: core.getInput('project-targets-file'),
+    }, targetDefaults);
+    if (projectTargets.length === 0) {
+      const inputTarget = {
+        org: core.getInput('issues-project-org', { required: true }),
+        number: core.getInput('issues-project-number', { required: true }),
+        repositories: core.getInput('issues-project-repo'),
+      };
+      try {
+        projectTargets.push(makeProjectTarget(inputTarget, targetDefaults));
+      } catch (error) {
+        throw new Error(`issues-project-org/issues-project-number: ${error.message}`);
+      }
+    }
+    const targetsByName = new Map(projectTargets.map(target => [target.name, target]));
+    for (const tier of projectTargets.flatMap(target => target.reminderTiers).filter(t => t.message)) {
+      validateTemplate(tier.message, PLACEHOLDERS.summary, `reminder tier '${tier.name}' message`);
+    }
+
+    console.log(`Using GitHub at ${githubUrls.serverUrl} (API ${githubUrls.apiUrl})`);
+    // Distinct credentials for reading healthcheck data, reading the project board and updating issues
+    const { dataOctokit, projectOctokitFor, issuesOctokitFor, limiters } = makeApiClients({
+      githubUrls,
+      appId,
+      appPrivateKey,
+      dataOwner: hcDataRepo.split('/')[0],
+      needsData: hcSourceType === 'api',
+      tokens: { data: hcDataSecret, project: projectToken, issues: githubToken },
+      pacing,
+    });
+
+    // Load and parse the healthcheck .md files from the configured source
+    const healthcheckSource = makeHealthcheckSource(hcSourceType, {
+      octokit: dataOctokit,
+      repo: hcDataRepo,
+      ref: hcDataRef,
+      dirPath: hcSubDir,
+      localPath: hcDataLocalPath,
+      serverUrl: githubUrls.serverUrl,
+      dateSources,
+    });
+    console.log(`Loading healthchecks from ${healthcheckSource.description}`);
+    const loaded = await healthcheckSource.loadHealthchecks();
+    const { healthchecks: allHealthchecks, invalidFiles: untypedFiles } = assignHealthcheckTypes(loaded.healthchecks, healthcheckTypes, hcSubDir);
+    const invalidFiles = [...loaded.invalidFiles, ...untypedFiles];
+    console.log(`Found ${allHealthchecks.length} historical healthchecks${invalidFiles.length > 0 ? `, skipped ${invalidFiles.length} invalid files` : ''}.`);
+    // An invalid file could hide an enterprise's latest healthcheck, so strict mode stops before any issue is reminded
+    if (isStrictValidation && invalidFiles.length > 0) {
+      throw new Error(`${invalidFiles.length} healthcheck files are invalid: ${invalidFiles.map(file => `${file.source_path} (${file.error})`).join('; ')}`);
+    }
 
-    // Convenience object to encapsulate required vars for repo-related apis
-    const repoApiContext = {
-      octokit,
-      repoOwner: projectOrg,
-      repoName: projectRepo
+    // Fetch issues having the correct state and status from each project board
+    const projectBoardIssues = [];
+    for (const target of projectTargets) {
+      console.log(`Fetching candidate issues for ${target.ownerType}=${target.owner}, projectNumber=${target.number}${target.repositories.length > 0 ? `, repositories=${target.repositories.join('|')}` : ''}, ${target.statusFieldName}=${target.issueStatuses.join('|')}${target.excludedStatuses.length > 0 ? ` (not ${target.excludedStatuses.join('|')})` : ''}, issueState=${target.issueStates.join('|')}${target.itemFilters.length > 0 ? `, filtering on ${target.itemFilters.map(filter => filter.field).join(', ')}` : ''}`);
+      let targetIssues;
+      try {
+        targetIssues = await fetchIssuesFromV2Project(
+          projectOctokitFor(target.owner),
+          target.owner,
+          target.number,
+          target.issueStatuses,
+          target.issueStates,
+          {
+            ownerType: target.ownerType,
+            repositories: target.repositories,
+            statusFieldName: target.statusFieldName,
+            excludedStatuses: target.excludedStatuses,
+            itemFilters: target.itemFilters,
+            includeUnassigned: target.includeUnassigned,
+            cadenceFieldName,
+            snoozeFieldName,
+            // The skip label's date comes back with the items, saving a timeline lookup per issue
+            trackLabels: skipLabelName ? [skipLabelName] : [],
+            concurrency: apiConcurrency,
+          }
+        );
+      } catch (error) {
+        throw explainPermissionError(error, appId ? APP_CONCERNS.project : TOKEN_CONCERNS.project, `querying project ${target.name}`);
+      }
+      console.log(`Fetched ${targetIssues.length} issues from project ${target.name}.`);
+      targetIssues.forEach(issue => projectBoardIssues.push({ ...issue, project: target.name }));
+    }
+
+    // Repo-related apis are called on each issue's own repository
+    const repoApiContextFor = (issue) => {
+      const [repoOwner, repoName] = issue.repository.split('/');
+      return { octokit: issuesOctokitFor(repoOwner), repoOwner, repoName };
     };
 
     // Map the issues API response to a more usable object
-    const checkableIssues = await mapCheckableIssues(
+    const boardIssues = await mapCheckableIssues(
       projectBoardIssues,
       skipLabelName,
-      makeLabeledDateCallback(repoApiContext, skipLabelName)
+      makeLabeledDateCallback(repoApiContextFor, skipLabelName),
+      { notApplicableLabel, concurrency: apiConcurrency }
     );
 
-    // Relate near-overdue healthcheck files to their corresponding issue objects
-    console.log(`Finding customer issues where the most recent healthcheck is greater than ${maxStalenessInDays} days old`);
-    const nearOverdueIssues = findOverdueIssues(allHealthchecks, checkableIssues, maxStalenessInDays);
-    console.log(`Found ${nearOverdueIssues.length} issues with healthchecks over ${maxStalenessInDays} days old.`);
+    // An issue on several boards is commented on and labeled once, with the settings of the first target listing it
+    const { issues: checkableIssues, duplicates } = dedupeIssues(boardIssues);
+    for (const { issue, project } of duplicates) {
+      console.log(`[INFO] - issue ${issue.repository}#${issue.number} '${issue.title}' is also on project ${project}; reminding it once, as an item of project ${issue.project}`);
+    }
+    const issuesOf = (target) => checkableIssues.filter(issue => issue.project === target.name);
+
+    // Reconcile healthchecks and issues that don't line up, without commenting on any issue
+    const mismatchReport = buildMismatchReport(allHealthchecks, checkableIssues, matchEnterprise, { invalidFiles });
+    writeMismatchReport(mismatchReport, mismatchReportPath);
+    core.setOutput('mismatch-report-path', mismatchReportPath);
+    console.log(`Mismatch report: ${mismatchReport.orphaned_healthchecks.length} orphaned healthcheck enterprises, ${mismatchReport.issues_without_healthchecks.length} issues without healthchecks, ${mismatchReport.near_matches.length} possible typos, ${mismatchReport.duplicate_enterprises.length} duplicates, ${mismatchReport.unassigned_issues.length} unassigned, ${mismatchReport.invalid_healthchecks.length} invalid healthcheck files. Written to ${mismatchReportPath}`);
+
+    // In forecast mode, measure every issue at the end of the forecast and publish when each comes due, touching none
+    if (forecastWeeks > 0) {
+      const now = new Date();
+      const horizon = new Date(now.getTime() + forecastWeeks * 7 * 24 * 60 * 60 * 1000);
+      const dueIssues = [];
+      for (const target of projectTargets) {
+        for (const type of healthcheckTypes) {
+          dueIssues.push(...findOverdueIssues(allHealthchecks, issuesOf(target), target.maxStalenessDays, target.reminderTiers, { matchEnterprise, type, now: horizon }));
+        }
+      }
+      const forecast = buildForecast(dueIssues, now);
+      console.log(`Found ${forecast.length} healthchecks due within ${forecastWeeks} weeks, ${forecast.filter(entry => entry.overdue).length} of them already overdue; ${dueIssues.length - forecast.length} issues without healthchecks are left to the mismatch report.`);
+
+      writeForecastCalendar(forecast, forecastIcsPath, now);
+      console.log(`Forecast calendar written to ${forecastIcsPath}`);
+      limiters.forEach(limiter => console.log(`API usage of ${limiter.describe()}`));
+
+      core.setOutput('forecast-count', forecast.length);
+      core.setOutput('forecast-ics-path', forecastIcsPath);
+      await core.summary
+        .addRaw(formatForecastSummary(forecast, { weeks: forecastWeeks, now, showTypes: healthcheckTypes.length > 1 }), true)
+        .addRaw(formatMismatchSummary(mismatchReport), true)
+        .write();
+      return;
+    }
+
+    // Relate near-overdue healthcheck files to their corresponding issue objects, with each board's thresholds; an issue
+    // is listed once for each healthcheck type it is overdue on
+    const nearOverdueIssues = [];
+    for (const target of projectTargets) {
+      console.log(`Finding customer issues of project ${target.name} where the most recent healthcheck is greater than ${target.maxStalenessDays} days old`);
+      if (target.reminderTiers.length > 0) {
+        console.log(`Using reminder tiers: ${target.reminderTiers.map(tier => `${tier.name} (>${tier.days} days)`).join(', ')}`);
+      }
+      for (const type of healthcheckTypes) {
+        if (type.maxStalenessDays) {
+          console.log(`Measuring ${type.title}s against ${type.maxStalenessDays} days`);
+        }
+        nearOverdueIssues.push(...findOverdueIssues(allHealthchecks, issuesOf(target), target.maxStalenessDays, target.reminderTiers, { matchEnterprise, type }));
+      }
+    }
+    console.log(`Found ${nearOverdueIssues.length} issues with overdue healthchecks.`);
+
+    // The tier labels of an issue reflect every type it is overdue on
+    const tierLabelsByIssue = new Map();
+    for (const issue of nearOverdueIssues) {
+      const labels = tierLabelsByIssue.get(issue.id) || new Set();
+      if (issue.tier && issue.tier.label) {
+        labels.add(issue.tier.label);
+      }
+      tierLabelsByIssue.set(issue.id, labels);
+    }
+    // Each board's fields are read once, when an expired snooze or the field updates first need them
+    const projectFieldsByTarget = new Map();
+    const projectFieldsOf = async (target) => {
+      if (!projectFieldsByTarget.has(target.name)) {
+        try {
+          projectFieldsByTarget.set(target.name, await fetchProjectFields(projectOctokitFor(target.owner), target.owner, target.number, { ownerType: target.ownerType }));
+        } catch (error) {
+          throw explainPermissionError(error, appId ? APP_CONCERNS.project : TOKEN_CONCERNS.project, `reading the fields of project ${target.name}`);
+        }
+      }
+      return projectFieldsByTarget.get(target.name);
+    };
+
+    // Skip labels and snoozes belong to the issue, so they are handled with its first overdue type and hold for the others
+    const issueHandling = new Map();
 
+    const outcomes = [];
+    const digestOutcomes = [];
     for (const issue of nearOverdueIssues) {
-      // Unlabel the skip notification label if it was created >30 days ago.
-      if (issue.skip_labeled_since) {
+      const outcome = makeOutcome(issue);
+      outcomes.push(outcome);
+
+      // Issues with no healthcheck at all are left to the mismatch report unless configured otherwise
+      if (issue.last_healthcheck_date === null && !isNotifyMissing) {
+        console.log(`[INFO] - not notifying issue #${issue.number} '${issue.title}' which has no ${issue.healthcheck_type_title}s; see the mismatch report`);
+        outcome.actions.push('reported-missing');
+        continue;
+      }
+
+      const { reminderTiers: issueTiers } = targetsByName.get(issue.project);
+      const type = typesByName.get(issue.healthcheck_type);
+      const repoApiContext = repoApiContextFor(issue);
+      try {
         const now = new Date();
-        const daysSkipped = Math.floor((now - issue.skip_labeled_since) / (1000 * 60 * 60 * 24));
-        let unlabelResult;
-        if (daysSkipped > 30) {
-          unlabelResult = await unlabelIssue(repoApiContext, issue, skipLabelName, isDryRun);
-        } else {
-          console.log(`[INFO] - not removing label ${skipLabelName} on overdue issue '${issue.title}' which has been skipped for only ${daysSkipped} days (since ${issue.skip_labeled_since})`);
+        const isFirstType = !issueHandling.has(issue.id);
+
+        if (isFirstType) {
+          // Unlabel the skip notification label once it has been on the issue for longer than skip-label-expiry-days (0 never expires it)
+          if (issue.skip_labeled_since) {
+            const daysSkipped = Math.floor((now - issue.skip_labeled_since) / (1000 * 60 * 60 * 24));
+            if (skipLabelExpiryDays > 0 && daysSkipped > skipLabelExpiryDays) {
+              const unlabelResult = await unlabelIssue(repoApiContext, issue, skipLabelName, isDryRun);
+              recordResult(outcome, 'unlabeled', unlabelResult);
+              if (unlabelResult.ok) {
+                issue.skip_labeled_since = null;
+              }
+            } else {
+              console.log(`[INFO] - not removing label ${skipLabelName} on overdue issue '${issue.title}' which has been skipped for only ${daysSkipped} days (since ${issue.skip_labeled_since})`);
+              outcome.actions.push('skipped-by-label');
+            }
+          }
+
+          // Remove snooze labels whose date has passed, and clear an expired snooze date field when project writes are
+          // enabled; without them the expired field is only reported
+          const { active: activeSnooze, expired: expiredSnoozes } = evaluateSnoozes(issue.snoozes, now);
+          for (const snooze of expiredSnoozes) {
+            if (snooze.label) {
+              recordResult(outcome, 'unsnoozed', await unlabelIssue(repoApiContext, issue, snooze.label, isDryRun));
+            } else if (isUpdateProjectFields) {
+              const target = targetsByName.get(issue.project);
+              const project = await projectFieldsOf(target);
+              const { updates, warnings } = planFieldClear(project, snoozeFieldName, snooze.until.toISOString().split('T')[0]);
+              warnings.forEach(warning => console.warn(`[WARN] - ${warning} on project ${target.name}; not clearing it`));
+              if (updates.length > 0) {
+                recordResult(outcome, 'unsnoozed', await applyFieldUpdates(projectOctokitFor(target.owner), project.projectId, issue, updates, isDryRun));
+              }
+            } else {
+              console.log(`[INFO] - the ${snoozeFieldName} date ${snooze.until.toISOString().split('T')[0]} on issue #${issue.number} '${issue.title}' has passed`);
+              outcome.actions.push('snooze-expired');
+            }
+          }
+          if (activeSnooze) {
+            console.log(`[INFO] - not notifying issue #${issue.number} '${issue.title}' which is snoozed until ${activeSnooze.until.toISOString().split('T')[0]} (${activeSnooze.label ? `label ${activeSnooze.label}` : `field ${snoozeFieldName}`})`);
+            outcome.actions.push('snoozed');
+          }
+          issueHandling.set(issue.id, { skipLabeledSince: issue.skip_labeled_since, activeSnooze });
+        }
+        const { skipLabeledSince, activeSnooze } = issueHandling.get(issue.id);
+        if (!isFirstType) {
+          if (skipLabeledSince) outcome.actions.push('skipped-by-label');
+          if (activeSnooze) outcome.actions.push('snoozed');
         }
-        if (unlabelResult) {
-          if (!unlabelResult.ok) {
-            console.error(unlabelResult.message);
+
+        // Add issue comment with the type's notification reminder, unless one was posted recently; digests are delivered
+        // once every issue has been handled
+        if (!skipLabeledSince && !activeSnooze && isDigest) {
+          digestOutcomes.push(outcome);
+        } else if (!skipLabeledSince && !activeSnooze && (issue.assignees || []).length === 0) {
+          // Unassigned issues are included to be reported; a reminder on them would mention nobody
+          console.log(`[INFO] - not commenting on issue #${issue.number} '${issue.title}' which nobody is assigned to; see the mismatch report`);
+          outcome.actions.push('reported-unassigned');
+        } else if (!skipLabeledSince && !activeSnooze) {
+          const typeCommentOptions = { ...commentOptions, templates: type.templates, marker: type.marker };
+          const previousReminder = await getLatestReminderComment(repoApiContext, issue.number, type.marker);
+          const { skip, daysSinceReminder } = evaluateReminder(previousReminder, renotifyIntervalDays);
+          if (skip) {
+            const prefix = isDryRun ? '[DRY-RUN] ' : '';
+            console.log(`${prefix}[INFO] - issue #${issue.number} '${issue.title}' was already notified about its ${type.title} ${daysSinceReminder} days ago, skipping`);
+            outcome.actions.push('skipped-recently-notified');
+          } else if (previousReminder && isUpdateInPlace) {
+            recordResult(outcome, 'updated', await updateIssueComment(repoApiContext, issue, previousReminder.id, skipLabelName, isDryRun, typeCommentOptions));
           } else {
-            issue.skip_labeled_since = null;
-            console.log(unlabelResult.message);
+            recordResult(outcome, 'commented', await addIssueComment(repoApiContext, issue, skipLabelName, isDryRun, typeCommentOptions));
           }
         }
+
+        // Apply the labels of the reminder tiers reached, and drop labels of the tiers the issue has left
+        if (isFirstType) {
+          const tierLabels = tierLabelsByIssue.get(issue.id);
+          for (const tierLabel of tierLabels) {
+            if (!issue.labels.includes(tierLabel)) {
+              recordResult(outcome, 'tier-labeled', await labelIssue(repoApiContext, issue, tierLabel, isDryRun));
+            }
+          }
+          for (const tier of issueTiers) {
+            if (tier.label && !tierLabels.has(tier.label) && issue.labels.includes(tier.label)) {
+              recordResult(outcome, 'tier-unlabeled', await unlabelIssue(repoApiContext, issue, tier.label, isDryRun));
+            }
+          }
+        }
+      } catch (error) {
+        console.error(`Failed to process issue #${issue.number} '${issue.title}': ${error.message}`);
+        outcome.errors.push(error.message);
       }
+    }
 
-      // Add issue comment with the appropriate notification reminder
-      if (!issue.skip_labeled_since) {
-        const result = await addIssueComment(repoApiContext, issue, skipLabelName, isDryRun);
-        if (!result.ok) {
-          console.error(result.message);
-        } else {
-          console.log(result.message);
+    // Post or update one digest per assignee, listing every overdue issue that wasn't skipped or snoozed
+    if (isDigest) {
+      try {
+        const deliveries = await deliverDigests(issuesOctokitFor(digestTarget.owner), digestTarget, digestOutcomes, {
+          isDryRun,
+          skipLabelName,
+          locale: commentOptions.locale,
+          timeZone: commentOptions.timeZone,
+          showTypes: healthcheckTypes.length > 1,
+        });
+        for (const { outcomes: listed, result } of deliveries) {
+          logResult(result);
+          for (const outcome of listed) {
+            if (!result.ok) {
+              outcome.errors.push(result.message);
+            } else if (!outcome.actions.includes('digested')) {
+              outcome.actions.push('digested');
+            }
+          }
         }
+      } catch (error) {
+        console.error(`Failed to deliver digests to ${digestTarget.name}: ${error.message}`);
+        digestOutcomes.forEach(outcome => outcome.errors.push(error.message));
       }
+    }
 
-      // If this is a production run (not a dry run), pause to avoid saturating secondary rate budgets
-      if (!isDryRun) {
-        await new Promise(resolve => setTimeout(resolve, ratePauseSec * 1000));
+    // Keep the board's healthcheck fields in line with every issue's assessment, overdue or not
+    if (isUpdateProjectFields) {
+      for (const target of projectTargets) {
+        const projectOctokit = projectOctokitFor(target.owner);
+        const project = await projectFieldsOf(target);
+        const fieldWarnings = new Set();
+        // The fields follow the first healthcheck type, and every board's own item is measured with that board's settings
+        const itemsOfTarget = boardIssues.filter(issue => issue.project === target.name);
+        for (const issue of assessIssues(allHealthchecks, itemsOfTarget, target.maxStalenessDays, target.reminderTiers, { matchEnterprise, type: healthcheckTypes[0] })) {
+          const { updates, warnings } = planFieldUpdates(issue, project, { fieldNames: projectFieldNames, dueSoonDays });
+          warnings.forEach(warning => fieldWarnings.add(warning));
+          if (updates.length === 0) {
+            continue;
+          }
+          const result = await applyFieldUpdates(projectOctokit, project.projectId, issue, updates, isDryRun);
+          // The outcome belongs to the item reminded, which may be on another board
+          const outcome = outcomes.find(o => o.issue.repository === issue.repository && o.issue.number === issue.number && o.issue.healthcheck_type === issue.healthcheck_type);
+          if (outcome) {
+            recordResult(outcome, 'fields-updated', result);
+          } else {
+            logResult(result);
+          }
+        }
+        fieldWarnings.forEach(warning => console.warn(`[WARN] - ${warning} on project ${target.name}; not updating it`));
       }
     }
+
+    limiters.forEach(limiter => console.log(`API usage of ${limiter.describe()}`));
+
+    // Publish what happened as step outputs and a job summary
+    const { overdueCount, commentedCount, errorsCount, overdueIssues } = summarizeRun(outcomes);
+    core.setOutput('overdue-count', overdueCount);
+    core.setOutput('commented-count', commentedCount);
+    core.setOutput('errors-count', errorsCount);
+    core.setOutput('overdue-issues', JSON.stringify(overdueIssues));
+    await core.summary
+      .addRaw(formatRunSummary(outcomes, { isDryRun, showTypes: healthcheckTypes.length > 1 }), true)
+      .addRaw(formatMismatchSummary(mismatchReport), true)
+      .write();
   } catch (error) {
     core.setFailed(`Action failed with error: ${error.message} || ${error.stack}`);
   }
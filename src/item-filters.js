@@ -0,0 +1,93 @@
+const yaml = require('js-yaml');
+
+/**
+ * Splits a comma- or newline-separated input into trimmed values.
+ * @param {string} input - The raw input, e.g. "Active, Onboarding".
+ * @param {string[]} [fallback=[]] - The values to use when the input is empty.
+ * @returns {string[]} - The values.
+ */
+function parseList(input, fallback = []) {
+  const values = (input || '')
+    .split(/[,\n]/)
+    .map(value => value.trim())
+    .filter(Boolean);
+  return values.length > 0 ? values : fallback;
+}
+
+/**
+ * Parses the YAML item filters on additional project fields, e.g.
+ *   Region: [EMEA, APAC]
+ *   Iteration:
+ *     exclude: [Backlog]
+ * A plain list is shorthand for `include`.
+ * @param {string} filtersYaml - The YAML mapping of field names to filters; empty means no filters.
+ * @returns {Array<{field: string, include: string[], exclude: string[]}>} - The validated filters.
+ */
+function parseItemFilters(filtersYaml) {
+  if (!filtersYaml || !filtersYaml.trim()) {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.load(filtersYaml);
+  } catch (error) {
+    throw new Error(`Failed to parse item filters: ${error.message}`);
+  }
+  return normalizeItemFilters(parsed);
+}
+
+/**
+ * Validates already parsed item filters, e.g. those nested in a project target.
+ * @param {*} parsed - The parsed YAML value, which must be a mapping of field names to filters.
+ * @returns {Array<{field: string, include: string[], exclude: string[]}>} - The validated filters.
+ */
+function normalizeItemFilters(parsed) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Item filters must be a YAML mapping of field names to values');
+  }
+
+  return Object.entries(parsed).map(([field, spec]) => {
+    const isMapping = spec !== null && typeof spec === 'object' && !Array.isArray(spec);
+    if (isMapping) {
+      const unknownKeys = Object.keys(spec).filter(key => !['include', 'exclude'].includes(key));
+      if (unknownKeys.length > 0) {
+        throw new Error(`Item filter '${field}' has unknown keys ${unknownKeys.join(', ')}; expected include and/or exclude`);
+      }
+    }
+    const { include, exclude } = isMapping ? spec : { include: spec };
+    const filter = {
+      field,
+      include: [].concat(include ?? []).map(String),
+      exclude: [].concat(exclude ?? []).map(String),
+    };
+    if (filter.include.length === 0 && filter.exclude.length === 0) {
+      throw new Error(`Item filter '${field}' needs values to include or exclude`);
+    }
+    return filter;
+  });
+}
+
+/**
+ * Tells whether a project item's field values pass all filters. An empty include list allows any value,
+ * including none; otherwise the field must hold one of the included values. Excluded values always fail.
+ * @param {object} fields - The item's field values keyed by field name, as returned by mapFieldValues.
+ * @param {Array<{field: string, include: string[], exclude: string[]}>} filters - The filters.
+ * @returns {boolean} - True if the item passes.
+ */
+function matchesFilters(fields, filters) {
+  return filters.every(({ field, include, exclude }) => {
+    const value = fields[field] === undefined || fields[field] === null ? null : String(fields[field]);
+    if (value !== null && exclude.includes(value)) {
+      return false;
+    }
+    return include.length === 0 || (value !== null && include.includes(value));
+  });
+}
+
+module.exports = {
+  parseList,
+  parseItemFilters,
+  normalizeItemFilters,
+  matchesFilters
+};
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const { matchHealthchecks } = require('./enterprise-matcher');
+const { dateSourceNote } = require('./run-summary');
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} - The number of single-character edits turning a into b.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Normalizes a slug for loose comparison by downcasing it and dropping spaces and punctuation.
+ * @param {string} slug - The slug.
+ * @returns {string} - The normalized slug.
+ */
+function looseSlug(slug) {
+  return String(slug).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Describes how closely an issue slug resembles a healthcheck slug it failed to match exactly.
+ * @param {string} issueSlug - The slug resolved for the issue.
+ * @param {string} healthcheckSlug - The enterprise_slug of a healthcheck.
+ * @param {number} maxDistance - The largest edit distance still considered a likely typo.
+ * @returns {{kind: string, distance: number}|null} - 'case' for a match ignoring case and punctuation,
+ *   'fuzzy' for one within maxDistance edits, or null if the slugs are unrelated.
+ */
+function compareSlugs(issueSlug, healthcheckSlug, maxDistance) {
+  if (looseSlug(issueSlug) === looseSlug(healthcheckSlug)) {
+    return { kind: 'case', distance: 0 };
+  }
+  const distance = editDistance(issueSlug.toLowerCase(), healthcheckSlug.toLowerCase());
+  return distance <= maxDistance ? { kind: 'fuzzy', distance } : null;
+}
+
+/**
+ * Summarizes an issue for the report.
+ * @param {object} issue - The issue object.
+ * @param {object|null} key - The enterprise key resolved for the issue.
+ * @returns {object} - The fields of the issue relevant to reconciliation.
+ */
+function describeIssue(issue, key) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    url: issue.url,
+    enterprise_slug: key ? key.enterprise_slug : null,
+    enterprise_id: key ? key.enterprise_id : null,
+    enterprise_match: key ? key.source : null,
+  };
+}
+
+/**
+ * Reconciles healthchecks against project board issues without touching any issue. Reports
+ * healthchecks matching no issue, issues matching no healthcheck, slugs that only match loosely
+ * (ignoring case and punctuation, or within a small edit distance), enterprises claimed by
+ * more than one issue, issues nobody is assigned to, and healthcheck files skipped as invalid.
+ * @param {Array} healthchecks - The list of all healthchecks.
+ * @param {Array} issues - The list of issues from the project board.
+ * @param {function} matchEnterprise - An enterprise matcher as returned by makeEnterpriseMatcher.
+ * @param {object} [options={}] - Optional settings.
+ * @param {number} [options.maxDistance=2] - The largest edit distance reported as a likely typo.
+ * @param {Array} [options.invalidFiles=[]] - Files the healthcheck source skipped, each with source_path and error.
+ * @returns {object} - The report, with orphaned_healthchecks, issues_without_healthchecks, near_matches, duplicate_enterprises,
+ *   unassigned_issues and invalid_healthchecks.
+ */
+function buildMismatchReport(healthchecks, issues, matchEnterprise, options = {}) {
+  const { maxDistance = 2, invalidFiles = [] } = options;
+  const validHealthchecks = healthchecks.filter(hc => hc && (hc.enterprise_slug || hc.enterprise_id));
+  const matchedHealthchecks = new Set();
+  const unmatchedIssues = [];
+  const issuesByEnterprise = new Map();
+
+  for (const issue of issues) {
+    const key = matchEnterprise(issue, validHealthchecks);
+    const matches = matchHealthchecks(validHealthchecks, key);
+    matches.forEach(hc => matchedHealthchecks.add(hc));
+    if (matches.length === 0) {
+      unmatchedIssues.push({ issue, key });
+    }
+
+    if (key) {
+      const enterpriseKey = key.enterprise_id ? `id:${key.enterprise_id}` : `slug:${key.enterprise_slug}`;
+      if (!issuesByEnterprise.has(enterpriseKey)) {
+        issuesByEnterprise.set(enterpriseKey, []);
+      }
+      issuesByEnterprise.get(enterpriseKey).push(describeIssue(issue, key));
+    }
+  }
+
+  // Group healthchecks no issue claimed by enterprise, keeping the most recent date
+  const orphans = new Map();
+  for (const hc of validHealthchecks.filter(hc => !matchedHealthchecks.has(hc))) {
+    const orphanKey = hc.enterprise_slug || `id:${hc.enterprise_id}`;
+    const orphan = orphans.get(orphanKey) || {
+      enterprise_slug: hc.enterprise_slug || null,
+      enterprise_id: hc.enterprise_id ?? null,
+      healthcheck_count: 0,
+      latest_date: null,
+      latest_date_source: null,
+    };
+    orphan.healthcheck_count += 1;
+    if (hc.date && (!orphan.latest_date || new Date(hc.date) > new Date(orphan.latest_date))) {
+      orphan.latest_date = hc.date;
+      orphan.latest_date_source = hc.date_source || null;
+    }
+    orphans.set(orphanKey, orphan);
+  }
+
+  const nearMatches = [];
+  for (const { issue, key } of unmatchedIssues) {
+    if (!key || !key.enterprise_slug) continue;
+    for (const orphan of orphans.values()) {
+      if (!orphan.enterprise_slug) continue;
+      const similarity = compareSlugs(key.enterprise_slug, orphan.enterprise_slug, maxDistance);
+      if (similarity) {
+        nearMatches.push({
+          issue: describeIssue(issue, key),
+          healthcheck_slug: orphan.enterprise_slug,
+          ...similarity,
+        });
+      }
+    }
+  }
+
+  return {
+    orphaned_healthchecks: [...orphans.values()],
+    issues_without_healthchecks: unmatchedIssues.map(({ issue, key }) => describeIssue(issue, key)),
+    near_matches: nearMatches.sort((a, b) => a.distance - b.distance),
+    duplicate_enterprises: [...issuesByEnterprise.entries()]
+      .filter(([, claimants]) => claimants.length > 1)
+      .map(([enterprise, claimants]) => ({ enterprise, issues: claimants })),
+    unassigned_issues: issues
+      .filter(issue => !issue.assignees || issue.assignees.length === 0)
+      .map(issue => describeIssue(issue, matchEnterprise(issue, validHealthchecks))),
+    invalid_healthchecks: invalidFiles.map(file => ({
+      source_path: file.source_path,
+      source_url: file.source_url || null,
+      error: file.error,
+    })),
+  };
+}
+
+/**
+ * Formats a date-ish value as YYYY-MM-DD for tables.
+ * @param {Date|string|null} value - The date.
+ * @returns {string} - The formatted date, or an empty string.
+ */
+function formatDay(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date) ? String(value) : date.toISOString().split('T')[0];
+}
+
+/**
+ * Renders an issue as a Markdown link.
+ * @param {object} issue - An issue as described in the report.
+ * @returns {string} - The Markdown link.
+ */
+function issueLink(issue) {
+  return `[#${issue.number} ${issue.title}](${issue.url})`;
+}
+
+/**
+ * Renders the mismatch report as Markdown for the job summary.
+ * @param {object} report - The report returned by buildMismatchReport.
+ * @returns {string} - The Markdown text.
+ */
+function formatMismatchSummary(report) {
+  const lines = ['## Healthcheck mismatch report', ''];
+
+  lines.push(`### Healthchecks matching no issue (${report.orphaned_healthchecks.length})`, '');
+  if (report.orphaned_healthchecks.length > 0) {
+    lines.push('| enterprise_slug | enterprise_id | healthchecks | latest |', '| --- | --- | --- | --- |');
+    for (const orphan of report.orphaned_healthchecks) {
+      lines.push(`| ${orphan.enterprise_slug || ''} | ${orphan.enterprise_id ?? ''} | ${orphan.healthcheck_count} | ${formatDay(orphan.latest_date)}${dateSourceNote(orphan.latest_date_source)} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push(`### Issues with no healthcheck (${report.issues_without_healthchecks.length})`, '');
+  if (report.issues_without_healthchecks.length > 0) {
+    lines.push('| issue | enterprise | matched by |', '| --- | --- | --- |');
+    for (const issue of report.issues_without_healthchecks) {
+      lines.push(`| ${issueLink(issue)} | ${issue.enterprise_slug || issue.enterprise_id || ''} | ${issue.enterprise_match || 'nothing'} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push(`### Possible typos (${report.near_matches.length})`, '');
+  if (report.near_matches.length > 0) {
+    lines.push('| issue | issue slug | healthcheck slug | kind |', '| --- | --- | --- | --- |');
+    for (const near of report.near_matches) {
+      const kind = near.kind === 'case' ? 'case/punctuation' : `${near.distance} edit(s)`;
+      lines.push(`| ${issueLink(near.issue)} | ${near.issue.enterprise_slug} | ${near.healthcheck_slug} | ${kind} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push(`### Enterprises claimed by several issues (${report.duplicate_enterprises.length})`, '');
+  for (const duplicate of report.duplicate_enterprises) {
+    lines.push(`- \`${duplicate.enterprise}\`: ${duplicate.issues.map(issueLink).join(', ')}`);
+  }
+
+  const unassigned = report.unassigned_issues || [];
+  if (unassigned.length > 0) {
+    lines.push('', `### Issues nobody is assigned to (${unassigned.length})`, '');
+    for (const issue of unassigned) {
+      lines.push(`- ${issueLink(issue)}`);
+    }
+  }
+
+  const invalid = report.invalid_healthchecks || [];
+  if (invalid.length > 0) {
+    lines.push('', `### Invalid healthcheck files (${invalid.length})`, '');
+    lines.push('| file | problem |', '| --- | --- |');
+    for (const file of invalid) {
+      const name = file.source_url ? `[${file.source_path}](${file.source_url})` : file.source_path;
+      lines.push(`| ${name} | ${file.error.replace(/\s+/g, ' ').replace(/\|/g, '\\|')} |`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Writes the mismatch report as JSON so it can be uploaded as a workflow artifact.
+ * @param {object} report - The report returned by buildMismatchReport.
+ * @param {string} filePath - Where to write the file.
+ */
+function writeMismatchReport(report, filePath) {
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+}
+
+module.exports = {
+  buildMismatchReport,
+  formatMismatchSummary,
+  writeMismatchReport,
+  editDistance
+};
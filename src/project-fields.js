@@ -0,0 +1,220 @@
+// Values of the "Healthcheck status" single-select field
+const HEALTHCHECK_STATUSES = {
+  ok: 'OK',
+  dueSoon: 'Due soon',
+  overdue: 'Overdue',
+  missing: 'Missing',
+};
+
+// Default names of the fields maintained on each project item
+const DEFAULT_FIELD_NAMES = {
+  lastHealthcheck: 'Last healthcheck',
+  daysSince: 'Days since healthcheck',
+  status: 'Healthcheck status',
+};
+
+/**
+ * Classifies an issue for the "Healthcheck status" field.
+ * @param {object} issue - An issue as returned by assessIssues.
+ * @param {number} dueSoonDays - How many days before its threshold an issue counts as due soon.
+ * @returns {string} - One of HEALTHCHECK_STATUSES.
+ */
+function resolveHealthcheckStatus(issue, dueSoonDays) {
+  if (issue.last_healthcheck_date === null || issue.days_since_healthcheck === null) {
+    return HEALTHCHECK_STATUSES.missing;
+  }
+  if (issue.days_since_healthcheck > issue.threshold_days) {
+    return HEALTHCHECK_STATUSES.overdue;
+  }
+  if (issue.days_since_healthcheck > issue.threshold_days - dueSoonDays) {
+    return HEALTHCHECK_STATUSES.dueSoon;
+  }
+  return HEALTHCHECK_STATUSES.ok;
+}
+
+/**
+ * Fetches the id of an organization's or user's Project V2 board and its fields.
+ * @param {object} octokit - An authenticated Octokit client.
+ * @param {string} org - The organization or user owning the project.
+ * @param {number|string} projectNumber - The project number.
+ * @param {object} [options={}] - Optional settings.
+ * @param {string} [options.ownerType='organization'] - Whether the project belongs to an 'organization' or a 'user'.
+ * @returns {Promise<{projectId: string, fields: Map}>} - The project id, and its fields keyed by name,
+ *   each with id, dataType and, for single-select fields, options.
+ */
+async function fetchProjectFields(octokit, org, projectNumber, { ownerType = 'organization' } = {}) {
+  const ownerField = ownerType === 'user' ? 'user' : 'organization';
+  const query = `
+    query ($org: String!, $projectNumber: Int!) {
+      ${ownerField}(login: $org) {
+        projectV2(number: $projectNumber) {
+          id
+          fields(first: 100) {
+            nodes {
+              ... on ProjectV2FieldCommon {
+                id
+                name
+                dataType
+              }
+              ... on ProjectV2SingleSelectField {
+                options {
+                  id
+                  name
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+  const response = await octokit.graphql(query, { org, projectNumber: Number(projectNumber) });
+  const project = response[ownerField]?.projectV2;
+  if (!project) {
+    throw new Error(`Project ${org}/${projectNumber} not found`);
+  }
+  const fields = new Map();
+  for (const field of project.fields.nodes || []) {
+    if (field && field.name) {
+      fields.set(field.name, { id: field.id, dataType: field.dataType, options: field.options || [] });
+    }
+  }
+  return { projectId: project.id, fields };
+}
+
+/**
+ * Formats a date-ish value as YYYY-MM-DD, as Project V2 date fields hold it.
+ * @param {Date|string|null} value - The date.
+ * @returns {string|null} - The formatted date, or null if there is none.
+ */
+function formatFieldDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Works out which healthcheck fields of a project item differ from the issue's current assessment.
+ * Fields missing from the project, of an unexpected type, or lacking the needed single-select option
+ * are reported as warnings rather than updated.
+ * @param {object} issue - An issue as returned by assessIssues, with the item's current `fields`.
+ * @param {{fields: Map}} project - The project fields returned by fetchProjectFields.
+ * @param {object} settings - Field settings.
+ * @param {object} [settings.fieldNames=DEFAULT_FIELD_NAMES] - Names of the lastHealthcheck, daysSince and status fields.
+ * @param {number} settings.dueSoonDays - How many days before its threshold an issue counts as due soon.
+ * @returns {{updates: Array<{name: string, fieldId: string, from: *, to: *, value: object|null}>, warnings: string[]}} - The
+ *   changes, where a null value clears the field, and any problems with the project's fields.
+ */
+function planFieldUpdates(issue, project, { fieldNames = DEFAULT_FIELD_NAMES, dueSoonDays }) {
+  const current = issue.fields || {};
+  const status = resolveHealthcheckStatus(issue, dueSoonDays);
+  const desired = [
+    { name: fieldNames.lastHealthcheck, dataType: 'DATE', to: formatFieldDate(issue.last_healthcheck_date) },
+    { name: fieldNames.daysSince, dataType: 'NUMBER', to: issue.days_since_healthcheck },
+    { name: fieldNames.status, dataType: 'SINGLE_SELECT', to: status },
+  ];
+
+  const updates = [];
+  const warnings = [];
+  for (const { name, dataType, to } of desired) {
+    const field = project.fields.get(name);
+    if (!field) {
+      warnings.push(`Project has no field '${name}'`);
+      continue;
+    }
+    if (field.dataType !== dataType) {
+      warnings.push(`Project field '${name}' is ${field.dataType}, expected ${dataType}`);
+      continue;
+    }
+    const from = current[name] === undefined ? null : current[name];
+    if (from === to) {
+      continue;
+    }
+
+    let value = null;
+    if (to !== null) {
+      if (dataType === 'DATE') {
+        value = { date: to };
+      } else if (dataType === 'NUMBER') {
+        value = { number: to };
+      } else {
+        const option = field.options.find(o => o.name === to);
+        if (!option) {
+          warnings.push(`Project field '${name}' has no option '${to}'`);
+          continue;
+        }
+        value = { singleSelectOptionId: option.id };
+      }
+    }
+    updates.push({ name, fieldId: field.id, from, to, value });
+  }
+  return { updates, warnings };
+}
+
+/**
+ * Plans clearing a single field of a project item, such as an expired snooze date.
+ * @param {object} project - The project returned by fetchProjectFields.
+ * @param {string} name - The name of the field to clear.
+ * @param {*} from - The field's current value, for the diff.
+ * @returns {{updates: Array, warnings: Array<string>}} - The update to pass to applyFieldUpdates, if the field
+ *   exists, and a warning otherwise.
+ */
+function planFieldClear(project, name, from) {
+  const field = project.fields.get(name);
+  if (!field) {
+    return { updates: [], warnings: [`Project has no field '${name}'`] };
+  }
+  return { updates: [{ name, fieldId: field.id, from, to: null, value: null }], warnings: [] };
+}
+
+/**
+ * Applies field updates to a project item, or logs the diff if dry run is enabled.
+ * @param {object} octokit - An Octokit client allowed to write to the project.
+ * @param {string} projectId - The project's node id.
+ * @param {object} issue - The issue, with the project item `id`.
+ * @param {Array} updates - The updates returned by planFieldUpdates.
+ * @param {boolean} [isDryRun=true] - If true, only logs the diff.
+ * @returns {Promise<{ok: boolean, message: string}>} - An object indicating success and a message.
+ */
+async function applyFieldUpdates(octokit, projectId, issue, updates, isDryRun = true) {
+  const diff = updates.map(({ name, from, to }) => `${name}: ${from ?? '(empty)'} -> ${to ?? '(empty)'}`).join('; ');
+  const baseMessage = `project fields of issue #${issue.number} '${issue.title}': ${diff}`;
+  if (isDryRun) {
+    return { ok: true, message: `[DRY-RUN] Would have updated ${baseMessage}` };
+  }
+
+  try {
+    for (const { fieldId, value } of updates) {
+      if (value === null) {
+        await octokit.graphql(`
+          mutation ($projectId: ID!, $itemId: ID!, $fieldId: ID!) {
+            clearProjectV2ItemFieldValue(input: {projectId: $projectId, itemId: $itemId, fieldId: $fieldId}) {
+              projectV2Item { id }
+            }
+          }
+        `, { projectId, itemId: issue.id, fieldId });
+      } else {
+        await octokit.graphql(`
+          mutation ($projectId: ID!, $itemId: ID!, $fieldId: ID!, $value: ProjectV2FieldValue!) {
+            updateProjectV2ItemFieldValue(input: {projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: $value}) {
+              projectV2Item { id }
+            }
+          }
+        `, { projectId, itemId: issue.id, fieldId, value });
+      }
+    }
+    return { ok: true, message: `Updated ${baseMessage}` };
+  } catch (error) {
+    return { ok: false, message: `Failed to update ${baseMessage} - ${error.message}` };
+  }
+}
+
+module.exports = {
+  HEALTHCHECK_STATUSES,
+  DEFAULT_FIELD_NAMES,
+  resolveHealthcheckStatus,
+  fetchProjectFields,
+  planFieldUpdates,
+  planFieldClear,
+  applyFieldUpdates
+};
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { normalizeReminderTiers } = require('./healthcheck-helpers');
+const { parseList, normalizeItemFilters } = require('./item-filters');
+
+// Keys of a project target; those besides org, user, number and repositories override the action input of the same name
+const TARGET_KEYS = [
+  'org',
+  'user',
+  'number',
+  'repositories',
+  'status-field-name',
+  'notifiable-issue-status',
+  'excluded-issue-status',
+  'notifiable-issue-state',
+  'item-filters',
+  'include-unassigned',
+  'max-staleness-days',
+  'reminder-tiers',
+];
+
+/**
+ * Reads a list setting given either as a YAML list or as a comma-separated string.
+ * @param {string|Array} value - The raw value.
+ * @returns {string[]} - The trimmed values.
+ */
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => String(item).trim()).filter(Boolean);
+  }
+  return parseList(String(value));
+}
+
+/**
+ * Builds a project target, taking every setting it leaves out from the defaults.
+ * @param {object} spec - The target's settings, keyed as in TARGET_KEYS.
+ * @param {object} defaults - The settings of the action inputs: statusFieldName, issueStatuses, excludedStatuses,
+ *   issueStates, itemFilters, includeUnassigned, maxStalenessDays and reminderTiers.
+ * @returns {object} - The target, with name ("owner/number"), owner, ownerType ('organization' or 'user'), number,
+ *   repositories ("owner/name" values issues must belong to; empty allows any) and the settings above.
+ */
+function makeProjectTarget(spec, defaults) {
+  const unknownKeys = Object.keys(spec).filter(key => !TARGET_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`unknown keys ${unknownKeys.join(', ')}`);
+  }
+  if (spec.org && spec.user) {
+    throw new Error('set either org or user, not both');
+  }
+  const owner = String(spec.org || spec.user || '').trim();
+  if (!owner) {
+    throw new Error('needs the org or user owning the project');
+  }
+  const number = Number(spec.number);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`needs a positive project number; got '${spec.number}'`);
+  }
+
+  const has = key => spec[key] !== undefined && spec[key] !== null && spec[key] !== '';
+  const maxStalenessDays = has('max-staleness-days') ? Number(spec['max-staleness-days']) : defaults.maxStalenessDays;
+  if (has('max-staleness-days') && (!Number.isInteger(maxStalenessDays) || maxStalenessDays < 1)) {
+    throw new Error(`max-staleness-days must be a positive integer; got '${spec['max-staleness-days']}'`);
+  }
+
+  return {
+    name: `${owner}/${number}`,
+    owner,
+    ownerType: spec.user ? 'user' : 'organization',
+    number,
+    // Bare repository names belong to the project owner
+    repositories: has('repositories') ? toList(spec.repositories).map(repo => (repo.includes('/') ? repo : `${owner}/${repo}`)) : [],
+    statusFieldName: has('status-field-name') ? String(spec['status-field-name']) : defaults.statusFieldName,
+    issueStatuses: has('notifiable-issue-status') ? toList(spec['notifiable-issue-status']) : defaults.issueStatuses,
+    excludedStatuses: has('excluded-issue-status') ? toList(spec['excluded-issue-status']) : defaults.excludedStatuses,
+    issueStates: has('notifiable-issue-state') ? toList(spec['notifiable-issue-state']).map(state => state.toUpperCase()) : defaults.issueStates,
+    itemFilters: has('item-filters') ? normalizeItemFilters(spec['item-filters']) : defaults.itemFilters,
+    includeUnassigned: has('include-unassigned')
+      ? ['true', '1'].includes(String(spec['include-unassigned']).trim().toLowerCase())
+      : defaults.includeUnassigned,
+    maxStalenessDays,
+    reminderTiers: has('reminder-tiers') ? normalizeReminderTiers(spec['reminder-tiers']) : defaults.reminderTiers,
+  };
+}
+
+/**
+ * Parses the YAML list of project boards to query, e.g.
+ *   - org: my-org
+ *     number: 12
+ *     repositories: [customers]
+ *   - user: octocat
+ *     number: 3
+ *     notifiable-issue-status: [Active, Onboarding]
+ *     max-staleness-days: 90
+ * @param {string} targetsYaml - The YAML list of targets; empty means none.
+ * @param {object} defaults - The settings used where a target leaves them out, as for makeProjectTarget.
+ * @returns {Array} - The validated targets.
+ */
+function parseProjectTargets(targetsYaml, defaults) {
+  if (!targetsYaml || !targetsYaml.trim()) {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.load(targetsYaml);
+  } catch (error) {
+    throw new Error(`Failed to parse project targets: ${error.message}`);
+  }
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error('Project targets must be a non-empty YAML list');
+  }
+
+  const targets = parsed.map((spec, index) => {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error(`Project target #${index + 1} must be a mapping`);
+    }
+    try {
+      return makeProjectTarget(spec, defaults);
+    } catch (error) {
+      throw new Error(`Project target #${index + 1}: ${error.message}`);
+    }
+  });
+
+  const names = new Set();
+  for (const target of targets) {
+    if (names.has(target.name)) {
+      throw new Error(`Project target ${target.name} is listed more than once`);
+    }
+    names.add(target.name);
+  }
+  return targets;
+}
+
+/**
+ * Loads the project targets from the inline input or, failing that, from a YAML file.
+ * @param {object} inputs - The raw inputs.
+ * @param {string} [inputs.targets] - The inline YAML list.
+ * @param {string} [inputs.targetsFile] - The path of a YAML file holding the list.
+ * @param {object} defaults - The settings used where a target leaves them out, as for makeProjectTarget.
+ * @returns {Array} - The validated targets, or an empty list if neither input is set.
+ */
+function loadProjectTargets({ targets, targetsFile } = {}, defaults) {
+  if (targets && targets.trim()) {
+    return parseProjectTargets(targets, defaults);
+  }
+  if (targetsFile && targetsFile.trim()) {
+    return parseProjectTargets(fs.readFileSync(targetsFile.trim(), 'utf8'), defaults);
+  }
+  return [];
+}
+
+/**
+ * Keeps one copy of each issue found on several boards: the one from the first target listing it.
+ * @param {Array} issues - Issues of all targets in target order, each with `repository` and `project`.
+ * @returns {{issues: Array, duplicates: Array<{issue: object, project: string}>}} - The distinct issues, and for
+ *   each dropped copy the issue kept and the project the copy came from.
+ */
+function dedupeIssues(issues) {
+  const kept = new Map();
+  const duplicates = [];
+  for (const issue of issues) {
+    const key = `${issue.repository}#${issue.number}`.toLowerCase();
+    if (kept.has(key)) {
+      duplicates.push({ issue: kept.get(key), project: issue.project });
+    } else {
+      kept.set(key, issue);
+    }
+  }
+  return { issues: [...kept.values()], duplicates };
+}
+
+module.exports = {
+  makeProjectTarget,
+  parseProjectTargets,
+  loadProjectTargets,
+  dedupeIssues
+};
@@ -0,0 +1,215 @@
+// Server errors worth retrying; GitHub answers these for timeouts and brief outages
+const TRANSIENT_STATUSES = [500, 502, 503, 504];
+
+// Methods safe to repeat after a server error, which may have hidden a request that went through
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Below this share of its budget, requests are spread evenly over the time left until the budget resets
+const LOW_BUDGET_SHARE = 0.1;
+
+// GitHub asks clients hitting a secondary rate limit without a retry-after header to wait at least a minute
+const SECONDARY_LIMIT_WAIT_MS = 60 * 1000;
+
+/**
+ * Reads the rate limit headers of a response.
+ * @param {object} [headers={}] - The response headers.
+ * @param {function} now - Returns the current time in milliseconds.
+ * @returns {{resource: string, limit: number, remaining: number, used: number, resetAt: number}|null} - The budget,
+ *   or null if the response carries none.
+ */
+function readBudget(headers = {}, now) {
+  if (headers['x-ratelimit-remaining'] === undefined) {
+    return null;
+  }
+  const reset = Number(headers['x-ratelimit-reset']);
+  return {
+    resource: headers['x-ratelimit-resource'] || 'core',
+    limit: Number(headers['x-ratelimit-limit']),
+    remaining: Number(headers['x-ratelimit-remaining']),
+    used: Number(headers['x-ratelimit-used']),
+    resetAt: Number.isFinite(reset) ? reset * 1000 : now() + 60 * 60 * 1000,
+  };
+}
+
+/**
+ * Tells whether a GraphQL response was refused for exceeding the point budget, which GitHub reports with HTTP 200.
+ * @param {object} response - The Octokit response.
+ * @returns {boolean} - True if the response holds a RATE_LIMITED error.
+ */
+function isGraphqlRateLimited(response) {
+  const errors = response && response.data && response.data.errors;
+  return Array.isArray(errors) && errors.some(e => e.type === 'RATE_LIMITED');
+}
+
+/**
+ * Creates the request layer shared by an Octokit client's REST and GraphQL calls. It
+ * - paces writes at least minWriteIntervalMs apart, and spreads requests over the time left once a budget runs low,
+ * - waits for the budget to reset when it is exhausted,
+ * - retries secondary rate limits, GraphQL RATE_LIMITED errors and server errors with exponential backoff and jitter,
+ *   honouring retry-after and x-ratelimit-reset (writes that are not idempotent are not retried after server errors),
+ * - and tracks the GraphQL points spent.
+ * @param {object} [options={}] - Optional settings.
+ * @param {string} [options.name='GitHub'] - Names the client in log messages.
+ * @param {number} [options.minWriteIntervalMs=1000] - The least time between two writes.
+ * @param {number} [options.maxRetries=3] - How many times a request is retried.
+ * @param {number} [options.baseDelayMs=1000] - The backoff before the first retry, doubled for each further one.
+ * @param {number} [options.maxDelayMs=60000] - The longest backoff.
+ * @param {number} [options.maxWaitMs=900000] - The longest wait for a budget to reset; longer waits fail the request.
+ * @param {function} [options.now=Date.now] - Returns the current time in milliseconds.
+ * @param {function} [options.sleep] - Returns a Promise resolved after the given milliseconds.
+ * @param {function} [options.random=Math.random] - Returns a number in [0, 1) for jitter.
+ * @returns {{wrap: function, stats: object, describe: function}} - The Octokit request hook, the counters
+ *   (requests, retries, waitedMs, graphqlPoints) and a function summarizing them.
+ */
+function makeRateLimiter(options = {}) {
+  const {
+    name = 'GitHub',
+    minWriteIntervalMs = 1000,
+    maxRetries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 60 * 1000,
+    maxWaitMs = 15 * 60 * 1000,
+    now = Date.now,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    random = Math.random,
+  } = options;
+  const budgets = new Map();
+  const stats = { requests: 0, retries: 0, waitedMs: 0, graphqlPoints: 0 };
+  let lastWriteAt = null;
+
+  /**
+   * Records the budget reported by a response, adding the points a GraphQL query cost.
+   * @param {object} [headers] - The response headers.
+   */
+  function record(headers) {
+    const budget = readBudget(headers, now);
+    if (!budget) return;
+    const previous = budgets.get(budget.resource);
+    if (budget.resource === 'graphql') {
+      // The first query's cost is unknown, as the budget may be shared with other clients; most queries cost one point
+      const cost = previous && previous.resetAt === budget.resetAt ? budget.used - previous.used : 1;
+      stats.graphqlPoints += Math.max(cost, 0);
+    }
+    budgets.set(budget.resource, budget);
+  }
+
+  /**
+   * Waits as long as the budget and the write interval require before sending a request.
+   * @param {string} resource - The budget the request draws on.
+   * @param {boolean} isWrite - Whether the request changes anything.
+   */
+  async function pace(resource, isWrite) {
+    const budget = budgets.get(resource);
+    let wait = 0;
+    if (budget && budget.remaining <= 0) {
+      wait = budget.resetAt - now() + 1000;
+    } else if (budget && budget.remaining < budget.limit * LOW_BUDGET_SHARE) {
+      wait = (budget.resetAt - now()) / budget.remaining;
+    }
+    if (isWrite && lastWriteAt !== null) {
+      wait = Math.max(wait, lastWriteAt + minWriteIntervalMs - now());
+    }
+    if (wait > maxWaitMs) {
+      throw new Error(`${name} ${resource} rate limit is exhausted until ${new Date(budget.resetAt).toISOString()}; not waiting ${Math.ceil(wait / 1000)}s`);
+    }
+    if (wait > 0) {
+      stats.waitedMs += wait;
+      await sleep(wait);
+    }
+    if (isWrite) {
+      lastWriteAt = now();
+    }
+  }
+
+  /**
+   * Works out how long to wait before retrying a failed request.
+   * @param {Error} error - The error thrown by the request.
+   * @param {string} method - The HTTP method.
+   * @param {boolean} isGraphql - Whether the request is a GraphQL query or mutation.
+   * @param {boolean} isMutation - Whether the request is a GraphQL mutation.
+   * @param {number} attempt - The number of retries so far.
+   * @returns {number|null} - The delay in milliseconds, or null if the request should not be retried.
+   */
+  function retryDelay(error, method, isGraphql, isMutation, attempt) {
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + random() / 2);
+    const headers = (error.response && error.response.headers) || {};
+    if (error.status === 403 || error.status === 429 || error.rateLimited) {
+      if (headers['retry-after'] !== undefined) {
+        return Number(headers['retry-after']) * 1000;
+      }
+      if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+        return Number(headers['x-ratelimit-reset']) * 1000 - now() + 1000;
+      }
+      if (error.rateLimited || error.status === 429 || /secondary rate limit/i.test(error.message || '')) {
+        return Math.max(backoff, SECONDARY_LIMIT_WAIT_MS);
+      }
+      return null;
+    }
+    const isTransient = !error.status || TRANSIENT_STATUSES.includes(error.status);
+    const isRepeatable = isGraphql ? !isMutation : IDEMPOTENT_METHODS.includes(method);
+    return isTransient && isRepeatable ? backoff : null;
+  }
+
+  /**
+   * The Octokit request hook.
+   * @param {function} request - Sends the request.
+   * @param {object} requestOptions - The request options.
+   * @returns {Promise<object>} - The response.
+   */
+  async function wrap(request, requestOptions) {
+    const isGraphql = requestOptions.url === '/graphql';
+    const isMutation = isGraphql && /^\s*mutation\b/.test(requestOptions.query || '');
+    const isWrite = isGraphql ? isMutation : !['GET', 'HEAD'].includes(requestOptions.method);
+    const resource = isGraphql ? 'graphql' : 'core';
+
+    for (let attempt = 0; ; attempt++) {
+      await pace(resource, isWrite);
+      stats.requests += 1;
+      let failure;
+      try {
+        const response = await request(requestOptions);
+        record(response.headers);
+        if (!isGraphqlRateLimited(response)) {
+          return response;
+        }
+        failure = Object.assign(new Error('GraphQL rate limit exceeded'), { rateLimited: true, response });
+      } catch (error) {
+        record(error.response && error.response.headers);
+        failure = error;
+      }
+
+      const delay = attempt < maxRetries ? retryDelay(failure, requestOptions.method, isGraphql, isMutation, attempt) : null;
+      if (delay === null || delay > maxWaitMs) {
+        if (failure.rateLimited) {
+          // Let Octokit report the GraphQL errors as it would without this layer
+          return failure.response;
+        }
+        throw failure;
+      }
+      console.warn(`[WARN] - ${name} ${requestOptions.method} ${requestOptions.url} failed (${failure.status || failure.message}); retrying in ${Math.ceil(delay / 1000)}s (retry ${attempt + 1} of ${maxRetries})`);
+      stats.retries += 1;
+      stats.waitedMs += delay;
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Summarizes the requests made so far, e.g. for the end of a run.
+   * @returns {string} - The summary.
+   */
+  function describe() {
+    const graphql = budgets.get('graphql');
+    const core = budgets.get('core');
+    return [
+      `${name}: ${stats.requests} requests, ${stats.retries} retries, ${Math.round(stats.waitedMs / 1000)}s spent waiting`,
+      `~${stats.graphqlPoints} GraphQL points${graphql ? ` (${graphql.remaining} left)` : ''}`,
+      core ? `${core.remaining} REST requests left` : null,
+    ].filter(Boolean).join(', ');
+  }
+
+  return { wrap, stats, describe };
+}
+
+module.exports = {
+  makeRateLimiter
+};
@@ -0,0 +1,110 @@
+// Actions that count as having reminded an issue
+const REMINDER_ACTIONS = ['commented', 'updated', 'digested'];
+
+/**
+ * Creates the record of what a run did to one overdue issue.
+ * @param {object} issue - The overdue issue as returned by findOverdueIssues.
+ * @returns {{issue: object, actions: string[], errors: string[]}} - An empty outcome for the issue.
+ */
+function makeOutcome(issue) {
+  return { issue, actions: [], errors: [] };
+}
+
+/**
+ * Formats a date-ish value as YYYY-MM-DD.
+ * @param {Date|string|null} value - The date.
+ * @returns {string|null} - The formatted date, or null if there is none.
+ */
+function formatDay(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? String(value) : date.toISOString().split('T')[0];
+}
+
+/**
+ * Notes where a healthcheck date came from when it wasn't written in the frontmatter.
+ * @param {string|null} dateSource - The healthcheck's date_source.
+ * @returns {string} - E.g. " (from filename)", or an empty string.
+ */
+function dateSourceNote(dateSource) {
+  return dateSource && dateSource !== 'frontmatter' ? ` (from ${dateSource})` : '';
+}
+
+/**
+ * Computes the step outputs of a run.
+ * @param {Array} outcomes - Outcomes created by makeOutcome and filled in during the run.
+ * @returns {{overdueCount: number, commentedCount: number, errorsCount: number, overdueIssues: Array}} - Counts and a
+ *   machine-readable list of the overdue issues with the actions taken on each.
+ */
+function summarizeRun(outcomes) {
+  return {
+    overdueCount: outcomes.length,
+    commentedCount: outcomes.filter(o => o.actions.some(action => REMINDER_ACTIONS.includes(action))).length,
+    errorsCount: outcomes.filter(o => o.errors.length > 0).length,
+    overdueIssues: outcomes.map(({ issue, actions, errors }) => ({
+      repository: issue.repository || null,
+      number: issue.number,
+      title: issue.title,
+      url: issue.url,
+      enterprise_slug: issue.enterprise_slug,
+      healthcheck_type: issue.healthcheck_type || null,
+      assignees: issue.assignees || [],
+      last_healthcheck_date: formatDay(issue.last_healthcheck_date),
+      last_healthcheck_date_source: issue.last_healthcheck_date_source || null,
+      last_healthcheck_url: issue.last_healthcheck_url || null,
+      days_since_healthcheck: issue.days_since_healthcheck,
+      tier: issue.tier ? issue.tier.name : null,
+      actions,
+      errors,
+    })),
+  };
+}
+
+/**
+ * Renders the outcomes of a run as a Markdown table for the job summary.
+ * @param {Array} outcomes - Outcomes created by makeOutcome and filled in during the run.
+ * @param {object} [options={}] - Optional settings.
+ * @param {boolean} [options.isDryRun=false] - Whether the actions were only simulated.
+ * @param {boolean} [options.showTypes=false] - Whether to add a column naming each row's healthcheck type.
+ * @returns {string} - The Markdown text.
+ */
+function formatRunSummary(outcomes, { isDryRun = false, showTypes = false } = {}) {
+  const { overdueCount, commentedCount, errorsCount } = summarizeRun(outcomes);
+  const lines = [
+    `## Healthcheck reminders${isDryRun ? ' (dry run)' : ''}`,
+    '',
+    `${overdueCount} overdue, ${commentedCount} reminded, ${errorsCount} with errors.`,
+    '',
+  ];
+
+  if (outcomes.length > 0) {
+    lines.push(
+      `| enterprise |${showTypes ? ' type |' : ''} issue | last healthcheck | days since | action |`,
+      `| --- |${showTypes ? ' --- |' : ''} --- | --- | --- | --- |`
+    );
+    for (const { issue, actions, errors } of outcomes) {
+      const taken = errors.length > 0 ? [...actions, 'error'] : actions;
+      lines.push([
+        '',
+        issue.enterprise_slug || '',
+        ...(showTypes ? [issue.healthcheck_type_title || issue.healthcheck_type || ''] : []),
+        `[#${issue.number}](${issue.url})`,
+        (issue.last_healthcheck_url
+          ? `[${formatDay(issue.last_healthcheck_date)}](${issue.last_healthcheck_url})`
+          : formatDay(issue.last_healthcheck_date) || 'none') + dateSourceNote(issue.last_healthcheck_date_source),
+        issue.days_since_healthcheck ?? '',
+        taken.join(', ') || 'none',
+        '',
+      ].join(' | ').trim());
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  dateSourceNote,
+  makeOutcome,
+  summarizeRun,
+  formatRunSummary
+};
@@ -0,0 +1,83 @@
+// Snooze labels are the skip label followed by this infix and a date, e.g. pause-healthcheck-notifications-until-2026-12-01
+const SNOOZE_LABEL_INFIX = '-until-';
+
+/**
+ * Parses a YYYY-MM-DD date (or a full ISO timestamp, as Project V2 date fields return).
+ * @param {string|null|undefined} value - The raw date.
+ * @returns {Date|null} - The date at midnight UTC, or null if the value is missing or not a valid date.
+ */
+function parseSnoozeDate(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(T.*)?$/);
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  // Reject dates such as 2026-02-30 that Date would silently roll over
+  return date.getUTCDate() === Number(match[3]) ? date : null;
+}
+
+/**
+ * Reads the snooze date from a label such as `<skip label>-until-2026-12-01`.
+ * @param {string} labelName - The label.
+ * @param {string} skipLabelName - The label that suppresses notifications.
+ * @returns {Date|null} - The snooze date, or null if the label is not a snooze label.
+ */
+function parseSnoozeLabel(labelName, skipLabelName) {
+  const prefix = `${skipLabelName}${SNOOZE_LABEL_INFIX}`;
+  if (!skipLabelName || !labelName.startsWith(prefix)) {
+    return null;
+  }
+  return parseSnoozeDate(labelName.slice(prefix.length));
+}
+
+/**
+ * Names the label snoozing reminders until a date.
+ * @param {string} skipLabelName - The label that suppresses notifications.
+ * @param {Date} until - The date reminders resume.
+ * @returns {string} - The label, e.g. `pause-healthcheck-notifications-until-2026-12-01`.
+ */
+function snoozeLabelName(skipLabelName, until) {
+  return `${skipLabelName}${SNOOZE_LABEL_INFIX}${until.toISOString().split('T')[0]}`;
+}
+
+/**
+ * Collects the snoozes set on an issue through snooze labels and the project's snooze date field.
+ * @param {object} issue - The issue, with labels and the snooze_until date read from the project board.
+ * @param {string} skipLabelName - The label that suppresses notifications.
+ * @returns {Array<{source: string, until: Date, label: string|null}>} - The snoozes, with source 'label' or 'field'.
+ */
+function collectSnoozes(issue, skipLabelName) {
+  const snoozes = (issue.labels || [])
+    .map(label => ({ source: 'label', until: parseSnoozeLabel(label, skipLabelName), label }))
+    .filter(snooze => snooze.until);
+  if (issue.snooze_until) {
+    snoozes.push({ source: 'field', until: issue.snooze_until, label: null });
+  }
+  return snoozes;
+}
+
+/**
+ * Splits an issue's snoozes into the one currently in effect and those that have run out.
+ * Reminders resume on the snooze date itself.
+ * @param {Array} snoozes - Snoozes as returned by collectSnoozes.
+ * @param {Date} [now=new Date()] - The reference date.
+ * @returns {{active: object|null, expired: Array}} - The latest running snooze, if any, and the expired ones.
+ */
+function evaluateSnoozes(snoozes = [], now = new Date()) {
+  const running = snoozes.filter(snooze => snooze.until > now).sort((a, b) => b.until - a.until);
+  return {
+    active: running[0] || null,
+    expired: snoozes.filter(snooze => snooze.until <= now),
+  };
+}
+
+module.exports = {
+  parseSnoozeDate,
+  parseSnoozeLabel,
+  snoozeLabelName,
+  collectSnoozes,
+  evaluateSnoozes
+};
@@ -1,15 +1,21 @@
+const { DEFAULT_TEMPLATES, DEFAULT_SUMMARY, renderTemplate, formatDate } = require('./comment-templates');
+
+// Hidden marker embedded in every reminder so later runs can recognize their own comments
+const REMINDER_MARKER = '<!-- hc-scheduler:reminder -->';
+
 /**
  * Adds a comment to a GitHub issue, or logs the intended comment if dry run is enabled.
  * @param {object} repoApiContext - An object containing octokit, repoOwner, and repoName.
  * @param {Object} issue - The issue object from notifiableIssues.
  * @param {string} skipLabelName - The label that suppresses notifications.
  * @param {boolean} [isDryRun=true] - If true, the function will only log the comment instead of posting it.
+ * @param {object} [commentOptions={}] - Templates and date settings, see composeNotificationComment.
  * @returns {Promise<{ok: boolean, message: string}>} - An object indicating success and a message.
  */
-async function addIssueComment(repoApiContext, issue, skipLabelName, isDryRun = true) {
+async function addIssueComment(repoApiContext, issue, skipLabelName, isDryRun = true, commentOptions = {}) {
   let result = false;
   let returnMessage = '';
-  const notificationComment = composeNotificationComment(issue, skipLabelName);
+  const notificationComment = composeNotificationComment(issue, skipLabelName, commentOptions);
   const debugMessage = `#${issue.number} \'${issue.title}\' in \'${repoApiContext.repoOwner}/${repoApiContext.repoName}\':
     ${notificationComment}`;
 
@@ -34,53 +40,238 @@ async function addIssueComment(repoApiContext, issue, skipLabelName, isDryRun =
 }
 
 /**
- * Composes the notification comment for a health check issue.
+ * Replaces the body of a previous reminder comment with a fresh reminder, or logs the intended edit if dry run is enabled.
+ * @param {object} repoApiContext - An object containing octokit, repoOwner, and repoName.
  * @param {Object} issue - The issue object from notifiableIssues.
+ * @param {number} commentId - The id of the previous reminder comment.
  * @param {string} skipLabelName - The label that suppresses notifications.
+ * @param {boolean} [isDryRun=true] - If true, the function will only log the comment instead of updating it.
+ * @param {object} [commentOptions={}] - Templates and date settings, see composeNotificationComment.
+ * @returns {Promise<{ok: boolean, message: string}>} - An object indicating success and a message.
+ */
+async function updateIssueComment(repoApiContext, issue, commentId, skipLabelName, isDryRun = true, commentOptions = {}) {
+  let result = false;
+  let returnMessage = '';
+  const notificationComment = composeNotificationComment(issue, skipLabelName, commentOptions);
+  const debugMessage = `#${issue.number} \'${issue.title}\' in \'${repoApiContext.repoOwner}/${repoApiContext.repoName}\' (comment ${commentId}):
+    ${notificationComment}`;
+
+  try {
+    if (isDryRun) {
+      returnMessage = `[DRY-RUN] Would have updated reminder on issue ${debugMessage}`;
+    } else {
+      await repoApiContext.octokit.rest.issues.updateComment({
+        owner: repoApiContext.repoOwner,
+        repo: repoApiContext.repoName,
+        comment_id: commentId,
+        body: notificationComment,
+      });
+
+      returnMessage = `Updated reminder on issue: ${debugMessage}`;
+    }
+    result = true;
+  } catch (error) {
+    returnMessage = `Failed to update comment ${commentId} on ${issue.url} - ${error.message}`;
+  }
+  return { ok: result, message: returnMessage };
+}
+
+/**
+ * Replies to a GitHub issue with a plain comment, or logs the intended reply if dry run is enabled.
+ * @param {object} repoApiContext - An object containing octokit, repoOwner, and repoName.
+ * @param {Object} issue - The issue object.
+ * @param {string} body - The reply.
+ * @param {boolean} [isDryRun=true] - If true, the function will only log the reply instead of posting it.
+ * @returns {Promise<{ok: boolean, message: string}>} - An object indicating success and a message.
+ */
+async function replyToIssue(repoApiContext, issue, body, isDryRun = true) {
+  const debugMessage = `#${issue.number} \'${issue.title}\' in \'${repoApiContext.repoOwner}/${repoApiContext.repoName}\': ${body}`;
+  try {
+    if (isDryRun) {
+      return { ok: true, message: `[DRY-RUN] Would have replied on issue ${debugMessage}` };
+    }
+    await repoApiContext.octokit.rest.issues.createComment({
+      owner: repoApiContext.repoOwner,
+      repo: repoApiContext.repoName,
+      issue_number: issue.number,
+      body,
+    });
+    return { ok: true, message: `Replied on issue ${debugMessage}` };
+  } catch (error) {
+    return { ok: false, message: `Failed to reply on ${issue.url} - ${error.message}` };
+  }
+}
+
+/**
+ * Decides whether an issue is due for another reminder, given the last reminder posted on it.
+ * @param {{id: number, date: Date}|null} previousReminder - The last reminder comment, or null if none.
+ * @param {number} renotifyIntervalDays - Minimum number of days between reminders.
+ * @param {Date} [now=new Date()] - The reference date.
+ * @returns {{skip: boolean, daysSinceReminder: number|null}} - Whether to skip, and how long ago the last reminder was.
+ */
+function evaluateReminder(previousReminder, renotifyIntervalDays, now = new Date()) {
+  if (!previousReminder) {
+    return { skip: false, daysSinceReminder: null };
+  }
+  const daysSinceReminder = Math.floor((now - previousReminder.date) / (1000 * 60 * 60 * 24));
+  return { skip: daysSinceReminder < renotifyIntervalDays, daysSinceReminder };
+}
+
+/**
+ * Composes the notification comment for a health check issue, tagged with the reminder marker.
+ * @param {Object} issue - The issue object from notifiableIssues.
+ * @param {string} skipLabelName - The label that suppresses notifications.
+ * @param {object} [commentOptions={}] - Comment settings.
+ * @param {{stale: string, missing: string}} [commentOptions.templates] - Templates returned by loadTemplates.
+ * @param {string} [commentOptions.locale] - The locale for dates, e.g. 'en-US'.
+ * @param {string} [commentOptions.timeZone] - The time zone for dates, e.g. 'UTC'.
+ * @param {string} [commentOptions.marker=REMINDER_MARKER] - The marker of the healthcheck type's reminders.
  * @returns {string} - The notification comment message.
  */
-function composeNotificationComment(issue, skipLabelName) {
+function composeNotificationComment(issue, skipLabelName, commentOptions = {}) {
+  return `${composeNotificationText(issue, skipLabelName, commentOptions)}
+
+${commentOptions.marker || REMINDER_MARKER}`;
+}
+
+/**
+ * Composes the visible text of the notification comment from the stale or missing template.
+ * @param {Object} issue - The issue object from notifiableIssues.
+ * @param {string} skipLabelName - The label that suppresses notifications.
+ * @param {object} [commentOptions={}] - Comment settings, see composeNotificationComment.
+ * @returns {string} - The notification text without the reminder marker.
+ */
+function composeNotificationText(issue, skipLabelName, { templates = DEFAULT_TEMPLATES, locale, timeZone } = {}) {
   if (!issue || !issue.title) {
     return `Could not determine healthcheck status because the issue is missing some fields: ${JSON.stringify(issue)}`;
   }
-  const { enterprise_slug, last_healthcheck_date, assignees = [] } = issue;
-
-  let baseMessage;
+  const { enterprise_slug, last_healthcheck_date, tier, cadence_days } = issue;
+  const values = {
+    assignees: resolveMentions(issue).map((handle) => `@${handle}`).join(' '),
+    title: issue.title,
+    enterprise_slug,
+    skip_label: skipLabelName,
+    issue_url: issue.url,
+    type: issue.healthcheck_type_title || 'healthcheck',
+    match_field: {
+      'id-field': 'enterprise id field',
+      'slug-field': 'enterprise slug field',
+      body: 'enterprise marker in the body',
+    }[issue.enterprise_match] || 'title',
+  };
 
   const healthcheckDate = new Date(last_healthcheck_date);
   if (last_healthcheck_date == null || isNaN(healthcheckDate)) {
-    baseMessage = 
-      `No healthchecks were found for the issue titled \`${issue.title}\`
-    This may reflect a mismatch between the issue title and the healthcheck's YAML frontmatter.
-    To fix this, ensure the next healthcheck frontmatter matches the issue, or update the title of ${issue.url}`;
-    } else {
-    const now = new Date();
-    const ageInDays = Math.floor((now - healthcheckDate) / (1000 * 60 * 60 * 24));
+    return tidyMarkdown(renderTemplate(templates.missing, values));
+  }
 
-    const formattedDate = new Intl.DateTimeFormat('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-    }).format(healthcheckDate);
+  const now = new Date();
+  values.days_since = Math.floor((now - healthcheckDate) / (1000 * 60 * 60 * 24));
+  values.last_healthcheck_date = formatDate(healthcheckDate, { locale, timeZone });
+  values.healthcheck_link = linkDate(values.last_healthcheck_date, issue.last_healthcheck_url);
+  values.last_healthcheck_url = issue.last_healthcheck_url || '';
+  values.last_healthcheck_title = issue.last_healthcheck_title
+    || (issue.last_healthcheck_path && issue.last_healthcheck_path.split('/').pop())
+    || values.last_healthcheck_date;
+  values.previous_healthchecks = (issue.previous_healthchecks || [])
+    .filter(previous => !isNaN(new Date(previous.date)))
+    .map(previous => linkDate(formatDate(new Date(previous.date), { locale, timeZone }), previous.url))
+    .join(', ');
+  values.tier = tier ? tier.name : '';
+  values.cadence_days = cadence_days;
+  values.summary = renderTemplate(tier && tier.message ? tier.message : DEFAULT_SUMMARY, values);
+  values.cadence_note = describeCadence(issue) || '';
+  return tidyMarkdown(renderTemplate(templates.stale, values));
+}
 
-    baseMessage = `The enterprise \'${issue.title}\' is due for a health check because its last check was ${ageInDays} days ago on ${formattedDate}.`;
+/**
+ * Formats a date as a Markdown link to its healthcheck, or as plain text when the URL is unknown.
+ * @param {string} formattedDate - The formatted date.
+ * @param {string|null} url - The healthcheck's URL.
+ * @returns {string} - The Markdown text.
+ */
+function linkDate(formattedDate, url) {
+  return url ? `[${formattedDate}](${url})` : formattedDate;
+}
+
+/**
+ * Trims a rendered comment and collapses the runs of blank lines left behind by empty placeholders.
+ * @param {string} text - The rendered text.
+ * @returns {string} - The tidied text.
+ */
+function tidyMarkdown(text) {
+  return text.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Describes which healthcheck cadence was applied to an issue.
+ * @param {Object} issue - The issue object, optionally carrying cadence_days, cadence_source and healthcheck_type_title.
+ * @returns {string|null} - A sentence naming the cadence and its origin, or null if the issue has no cadence.
+ */
+function describeCadence(issue) {
+  if (!issue.cadence_days) {
+    return null;
   }
+  const type = issue.healthcheck_type_title || 'healthcheck';
+  const origins = {
+    issue: 'the project board\'s cadence field',
+    healthcheck: `the latest ${type}'s \`cadence_days\``,
+    type: `the \`max-staleness-days\` of the ${type} type`,
+    default: 'the default `max-staleness-days`',
+  };
+  const origin = origins[issue.cadence_source] || origins.default;
+  return `This enterprise is on a ${issue.cadence_days}-day ${type} cadence (from ${origin}).`;
+}
 
-  const suppressionAdvice = `
-    If you'd like to suppress this message temporarily, add the label \`${skipLabelName}\` to the issue ${issue.url}
-    If the issue should never get healthchecks, close the issue.
-    If you think the issue is mis-assigned, ensure that the right people are assigned`;
+/**
+ * Resolves who to mention for an issue: its assignees, or the tier's mention list where
+ * the entry `assignees` expands to the issue's assignees and other entries are handles or teams.
+ * @param {Object} issue - The issue object, optionally carrying a reminder tier.
+ * @returns {string[]} - Unique handles without the leading '@'.
+ */
+function resolveMentions(issue) {
+  const assignees = issue.assignees || [];
+  if (!issue.tier) {
+    return assignees;
+  }
+  const handles = issue.tier.mention.flatMap(entry =>
+    entry === 'assignees' ? assignees : [entry.replace(/^@/, '')]
+  );
+  return [...new Set(handles)];
+}
 
-  const finalMessage = `${baseMessage}
-    ${suppressionAdvice}`;
+/**
+ * Adds a label to a GitHub issue, or logs the intended action if dry run is enabled.
+ * Handles errors gracefully and returns a status object.
+ *
+ * @param {object} context - An object containing octokit, repoOwner, and repoName.
+ * @param {Object} issue - The issue object containing issue details.
+ * @param {string} labelName - The name of the label to add.
+ * @param {boolean} [isDryRun=true] - If true, logs the intended action instead of performing it.
+ * @returns {Promise<{ok: boolean, message: string}>} - An object indicating success and a message.
+ */
+async function labelIssue(context, issue, labelName, isDryRun = true) {
+  const baseMessage = `\`${labelName}\` to issue #${issue.number} in \`${context.repoOwner}/${context.repoName}\` (${issue.title})`;
+  let returnMessage = '';
+  let result = false;
 
-  if (assignees.length > 0) {
-    // build assigneeMentions as a space-separated list of @handles
-    const assigneeMentions = assignees.map((assignee) => `@${assignee}`).join(' ');
-    return `Heads-up ${assigneeMentions}! ${finalMessage}.`;
-  } else {
-    return finalMessage;
+  try {
+    if (isDryRun) {
+      returnMessage = `[DRY-RUN] Would have added label ${baseMessage}`;
+    } else {
+      returnMessage = `Adding label ${baseMessage}`;
+      await context.octokit.rest.issues.addLabels({
+        owner: context.repoOwner,
+        repo: context.repoName,
+        issue_number: issue.number,
+        labels: [labelName],
+      });
+    }
+    result = true;
+  } catch (error) {
+    returnMessage = `Error adding label ${baseMessage}: ${error.message}`;
   }
+  return { ok: result, message: returnMessage };
 }
 
 /**
@@ -117,4 +308,13 @@ async function unlabelIssue(context, issue, labelName, isDryRun = true) {
   return { ok: result, message: returnMessage };
 }
 
-module.exports = { addIssueComment, composeNotificationComment, unlabelIssue };
+module.exports = {
+  REMINDER_MARKER,
+  addIssueComment,
+  updateIssueComment,
+  replyToIssue,
+  evaluateReminder,
+  composeNotificationComment,
+  labelIssue,
+  unlabelIssue
+};
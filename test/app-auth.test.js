@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { createAppJwt, makeInstallationTokenProvider } = require('../src/app-auth');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+});
+
+const decode = (part) => JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+
+describe('createAppJwt', () => {
+  test('creates an RS256 JWT issued by the App', () => {
+    const now = Date.parse('2025-06-01T12:00:00Z');
+    const jwt = createAppJwt(12345, privateKey, now);
+    const [header, payload, signature] = jwt.split('.');
+
+    expect(decode(header)).toEqual({ alg: 'RS256', typ: 'JWT' });
+    expect(decode(payload)).toEqual({ iat: now / 1000 - 60, exp: now / 1000 + 540, iss: '12345' });
+    expect(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+  });
+
+  test('accepts a private key with escaped newlines', () => {
+    const escaped = privateKey.replace(/\n/g, '\\n');
+    expect(() => createAppJwt(1, escaped)).not.toThrow();
+  });
+});
+
+describe('makeInstallationTokenProvider', () => {
+  let clock;
+  let minted;
+  let appOctokit;
+
+  const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+
+  beforeEach(() => {
+    clock = Date.parse('2025-06-01T12:00:00Z');
+    minted = 0;
+    appOctokit = {
+      rest: {
+        apps: {
+          getOrgInstallation: jest.fn().mockResolvedValue({ data: { id: 77 } }),
+          getUserInstallation: jest.fn().mockResolvedValue({ data: { id: 88 } }),
+          createInstallationAccessToken: jest.fn(async () => {
+            minted += 1;
+            return { data: { token: `ghs_${minted}`, expires_at: new Date(clock + 60 * 60 * 1000).toISOString() } };
+          }),
+        },
+      },
+    };
+  });
+
+  const makeProvider = (extra = {}) => makeInstallationTokenProvider({
+    appId: 12345,
+    privateKey,
+    owner: 'grubhub',
+    createAppOctokit: () => appOctokit,
+    now: () => clock,
+    ...extra,
+  });
+
+  test('mints a token for the organization installation and caches it', async () => {
+    const onToken = jest.fn();
+    const getToken = makeProvider({ onToken });
+
+    expect(await getToken()).toBe('ghs_1');
+    expect(await getToken()).toBe('ghs_1');
+    expect(appOctokit.rest.apps.getOrgInstallation).toHaveBeenCalledWith({ org: 'grubhub' });
+    expect(appOctokit.rest.apps.createInstallationAccessToken).toHaveBeenCalledWith({ installation_id: 77 });
+    expect(onToken).toHaveBeenCalledTimes(1);
+    expect(onToken).toHaveBeenCalledWith('ghs_1');
+  });
+
+  test('mints a new token shortly before the current one expires', async () => {
+    const getToken = makeProvider();
+
+    await getToken();
+    clock += 54 * 60 * 1000;
+    expect(await getToken()).toBe('ghs_1');
+    clock += 2 * 60 * 1000;
+    expect(await getToken()).toBe('ghs_2');
+    expect(appOctokit.rest.apps.getOrgInstallation).toHaveBeenCalledTimes(1);
+  });
+
+  test('shares one mint between concurrent callers', async () => {
+    const getToken = makeProvider();
+
+    const tokens = await Promise.all([getToken(), getToken(), getToken()]);
+
+    expect(tokens).toEqual(['ghs_1', 'ghs_1', 'ghs_1']);
+    expect(minted).toBe(1);
+  });
+
+  test('falls back to a user installation', async () => {
+    appOctokit.rest.apps.getOrgInstallation.mockRejectedValueOnce(notFound());
+
+    await makeProvider()();
+
+    expect(appOctokit.rest.apps.getUserInstallation).toHaveBeenCalledWith({ username: 'grubhub' });
+    expect(appOctokit.rest.apps.createInstallationAccessToken).toHaveBeenCalledWith({ installation_id: 88 });
+  });
+
+  test('fails clearly when the App is not installed', async () => {
+    appOctokit.rest.apps.getOrgInstallation.mockRejectedValueOnce(notFound());
+    appOctokit.rest.apps.getUserInstallation.mockRejectedValueOnce(notFound());
+
+    await expect(makeProvider()()).rejects.toThrow("The GitHub App is not installed on 'grubhub'");
+  });
+});
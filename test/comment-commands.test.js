@@ -0,0 +1,84 @@
+const { parseCommand, planCommand, isAuthorized } = require('../src/comment-commands');
+
+const now = new Date('2026-10-19T15:30:00Z');
+const skipLabelName = 'pause-healthcheck-notifications';
+const settings = { skipLabelName, notApplicableLabel: 'healthcheck-not-applicable', author: 'alice' };
+
+describe('parseCommand', () => {
+  test('ignores comments without a command', () => {
+    expect(parseCommand('Thanks, booked the meeting.', now)).toBeNull();
+    expect(parseCommand('see /healthcheck snooze 14d', now)).toBeNull();
+    expect(parseCommand(null, now)).toBeNull();
+  });
+
+  test('parses snooze durations in days and weeks from the start of today', () => {
+    expect(parseCommand('/healthcheck snooze 14d', now)).toEqual({ name: 'snooze', until: new Date('2026-11-02T00:00:00Z') });
+    expect(parseCommand('Will do.\n/healthcheck snooze 2w', now)).toEqual({ name: 'snooze', until: new Date('2026-11-02T00:00:00Z') });
+    expect(parseCommand('/healthcheck snooze 3', now)).toEqual({ name: 'snooze', until: new Date('2026-10-22T00:00:00Z') });
+  });
+
+  test('rejects missing, zero and overly long snoozes', () => {
+    expect(parseCommand('/healthcheck snooze', now).error).toMatch(/needs a duration/);
+    expect(parseCommand('/healthcheck snooze 0d', now).error).toMatch(/needs a duration/);
+    expect(parseCommand('/healthcheck snooze 60w', now).error).toMatch(/needs a duration/);
+  });
+
+  test('parses a scheduled date in the future', () => {
+    expect(parseCommand('/healthcheck scheduled 2026-11-05', now)).toEqual({ name: 'scheduled', until: new Date('2026-11-05T00:00:00Z') });
+    expect(parseCommand('/healthcheck scheduled 2026-10-19', now).error).toMatch(/future date/);
+    expect(parseCommand('/healthcheck scheduled soon', now).error).toMatch(/future date/);
+  });
+
+  test('parses not-applicable and rejects unknown commands', () => {
+    expect(parseCommand('/healthcheck not-applicable', now)).toEqual({ name: 'not-applicable' });
+    expect(parseCommand('/healthcheck pause', now)).toEqual({ error: "Unknown command 'pause'" });
+  });
+});
+
+describe('planCommand', () => {
+  test('replaces earlier snooze labels with the new one', () => {
+    const issue = { labels: ['bug', `${skipLabelName}-until-2026-10-25`] };
+    const plan = planCommand({ name: 'snooze', until: new Date('2026-11-02T00:00:00Z') }, issue, settings);
+
+    expect(plan.addLabels).toEqual([`${skipLabelName}-until-2026-11-02`]);
+    expect(plan.removeLabels).toEqual([`${skipLabelName}-until-2026-10-25`]);
+    expect(plan.reply).toBe(`@alice snoozed healthcheck reminders until 2026-11-02 with the label \`${skipLabelName}-until-2026-11-02\`. Remove the label to resume them sooner.`);
+  });
+
+  test('names the scheduled healthcheck in the reply', () => {
+    const plan = planCommand({ name: 'scheduled', until: new Date('2026-11-05T00:00:00Z') }, { labels: [] }, settings);
+
+    expect(plan.reply).toContain('until the scheduled healthcheck on 2026-11-05');
+  });
+
+  test('applies the not-applicable label once', () => {
+    expect(planCommand({ name: 'not-applicable' }, { labels: [] }, settings).addLabels).toEqual(['healthcheck-not-applicable']);
+    expect(planCommand({ name: 'not-applicable' }, { labels: ['healthcheck-not-applicable'] }, settings).addLabels).toEqual([]);
+  });
+});
+
+describe('isAuthorized', () => {
+  const issue = { assignees: ['alice'] };
+  const makeContext = (getCollaboratorPermissionLevel) => ({
+    octokit: { rest: { repos: { getCollaboratorPermissionLevel } } },
+    repoOwner: 'grubhub',
+    repoName: 'super-support',
+  });
+
+  test('allows assignees without asking GitHub', async () => {
+    const lookup = jest.fn();
+    await expect(isAuthorized(makeContext(lookup), issue, 'alice')).resolves.toBe(true);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('allows collaborators with write access', async () => {
+    const lookup = jest.fn().mockResolvedValue({ data: { permission: 'write' } });
+    await expect(isAuthorized(makeContext(lookup), issue, 'bob')).resolves.toBe(true);
+    expect(lookup).toHaveBeenCalledWith({ owner: 'grubhub', repo: 'super-support', username: 'bob' });
+  });
+
+  test('rejects read-only users and non-collaborators', async () => {
+    await expect(isAuthorized(makeContext(jest.fn().mockResolvedValue({ data: { permission: 'read' } })), issue, 'carol')).resolves.toBe(false);
+    await expect(isAuthorized(makeContext(jest.fn().mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }))), issue, 'dave')).resolves.toBe(false);
+  });
+});
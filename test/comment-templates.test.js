@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_TEMPLATES,
+  PLACEHOLDERS,
+  validateTemplate,
+  renderTemplate,
+  loadTemplates,
+  formatDate,
+  validateDateFormat
+} = require('../src/comment-templates');
+
+describe('renderTemplate', () => {
+  it('replaces known placeholders and leaves unknown ones', () => {
+    expect(renderTemplate('{{ a }} and {{b}} and {{c}}', { a: 1, b: 'two' })).toBe('1 and two and {{c}}');
+  });
+
+  it('keeps a section only when its value is non-empty', () => {
+    const template = '{{#assignees}}Hi {{assignees}}! {{/assignees}}Done';
+    expect(renderTemplate(template, { assignees: '@alice' })).toBe('Hi @alice! Done');
+    expect(renderTemplate(template, { assignees: '' })).toBe('Done');
+  });
+});
+
+describe('validateTemplate', () => {
+  it('accepts the default templates', () => {
+    expect(() => validateTemplate(DEFAULT_TEMPLATES.stale, PLACEHOLDERS.stale, 'stale')).not.toThrow();
+    expect(() => validateTemplate(DEFAULT_TEMPLATES.missing, PLACEHOLDERS.missing, 'missing')).not.toThrow();
+  });
+
+  it('rejects unknown placeholders', () => {
+    expect(() => validateTemplate('Hi {{asignees}}', PLACEHOLDERS.stale, 'stale'))
+      .toThrow(/Unknown placeholder \{\{asignees\}\} in the stale template/);
+  });
+
+  it('rejects placeholders that do not apply to the template', () => {
+    expect(() => validateTemplate('{{days_since}} days', PLACEHOLDERS.missing, 'missing')).toThrow(/Unknown placeholder/);
+  });
+
+  it('rejects unbalanced sections', () => {
+    expect(() => validateTemplate('{{#assignees}}Hi', PLACEHOLDERS.stale, 'stale')).toThrow(/Unclosed section/);
+    expect(() => validateTemplate('Hi{{/assignees}}', PLACEHOLDERS.stale, 'stale')).toThrow(/Unbalanced section/);
+  });
+});
+
+describe('loadTemplates', () => {
+  it('falls back to the defaults', () => {
+    expect(loadTemplates()).toEqual(DEFAULT_TEMPLATES);
+  });
+
+  it('prefers inline templates over files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-templates-'));
+    const file = path.join(dir, 'missing.md');
+    fs.writeFileSync(file, 'No healthcheck for {{title}}');
+
+    const templates = loadTemplates({ stale: 'Stale: {{title}}', staleFile: file, missingFile: file });
+
+    expect(templates).toEqual({ stale: 'Stale: {{title}}', missing: 'No healthcheck for {{title}}' });
+  });
+
+  it('falls back to the given templates', () => {
+    const fallbacks = { stale: 'Stale: {{title}}', missing: 'Missing: {{title}}' };
+
+    expect(loadTemplates({ missing: 'No {{type}} for {{title}}' }, fallbacks)).toEqual({ stale: 'Stale: {{title}}', missing: 'No {{type}} for {{title}}' });
+  });
+
+  it('fails fast on a typo in a template', () => {
+    expect(() => loadTemplates({ missing: 'No healthcheck for {{titel}}' })).toThrow(/in the missing template/);
+  });
+});
+
+describe('formatDate', () => {
+  const date = new Date('2024-05-01T03:00:00Z');
+
+  it('formats in US English and UTC by default', () => {
+    expect(formatDate(date)).toBe('May 1, 2024');
+  });
+
+  it('honors the locale and time zone', () => {
+    expect(formatDate(date, { locale: 'en-GB', timeZone: 'America/New_York' })).toBe('30 April 2024');
+  });
+
+  it('rejects an invalid time zone', () => {
+    expect(() => validateDateFormat({ locale: 'en-US', timeZone: 'Mars/Olympus' })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,162 @@
+const { digestMarker, parseDeliveryMode, parseDigestTarget, composeDigest, findDigests, publishDigest, deliverDigests } = require('../src/digest');
+const { makeOutcome } = require('../src/run-summary');
+const { makeIssue } = require('./helpers/issues');
+
+describe('digest', () => {
+  const now = new Date('2026-10-19T06:00:00Z');
+  // Each issue is 50 days past its 60-day threshold
+  const makeOverdueIssue = (number, extra = {}) => makeIssue(number, {
+    healthcheck_type_title: 'healthcheck',
+    last_healthcheck_date: new Date('2026-07-01'),
+    last_healthcheck_url: null,
+    days_since_healthcheck: 110,
+    threshold_days: 60,
+    ...extra,
+  });
+
+  // Stands in for Octokit: paginate answers with the given comments or issues
+  const makeOctokit = (items = []) => {
+    const octokit = {
+      rest: {
+        issues: {
+          listComments: jest.fn(),
+          listForRepo: jest.fn(),
+          createComment: jest.fn().mockResolvedValue({ data: {} }),
+          updateComment: jest.fn().mockResolvedValue({ data: {} }),
+          create: jest.fn().mockResolvedValue({ data: { number: 99 } }),
+          update: jest.fn().mockResolvedValue({ data: {} }),
+        },
+      },
+    };
+    octokit.paginate = jest.fn().mockResolvedValue(items);
+    return octokit;
+  };
+
+  const tracking = parseDigestTarget({ issue: 'grubhub/ops#12' });
+  const repository = parseDigestTarget({ repository: 'grubhub/ops' });
+
+  let log;
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  test('parseDeliveryMode defaults to comments and rejects unknown modes', () => {
+    expect(parseDeliveryMode('')).toBe('comments');
+    expect(parseDeliveryMode(' Digest ')).toBe('digest');
+    expect(() => parseDeliveryMode('email')).toThrow("Unknown reminder delivery 'email'; expected one of comments, digest");
+  });
+
+  test('parseDigestTarget prefers the tracking issue, and needs one of the inputs', () => {
+    expect(parseDigestTarget({ issue: 'grubhub/ops#12', repository: 'grubhub/other' }))
+      .toEqual({ kind: 'issue', owner: 'grubhub', repo: 'ops', number: 12, name: 'grubhub/ops#12' });
+    expect(repository).toEqual({ kind: 'repository', owner: 'grubhub', repo: 'ops', name: 'grubhub/ops' });
+    expect(() => parseDigestTarget({ issue: 'ops#12' })).toThrow('digest-issue must look like owner/repo#number');
+    expect(() => parseDigestTarget({ repository: 'ops' })).toThrow('digest-repository must look like owner/repo');
+    expect(() => parseDigestTarget({})).toThrow('Digest delivery needs digest-issue or digest-repository');
+  });
+
+  test('composeDigest lists each overdue enterprise with its days overdue', () => {
+    const outcomes = [
+      makeOutcome(makeOverdueIssue(1, { last_healthcheck_url: 'https://example.com/hc/enterprise1.md' })),
+      makeOutcome(makeOverdueIssue(2, { last_healthcheck_date: null, days_since_healthcheck: null })),
+    ];
+
+    const digest = composeDigest('alice', outcomes, { skipLabelName: 'pause-healthcheck-notifications', now });
+
+    expect(digest).toContain('### Healthcheck digest for @alice');
+    expect(digest).toContain('2 overdue as of October 19, 2026:');
+    expect(digest).toContain('| enterprise1 | [grubhub/super-support#1](https://github.com/grubhub/super-support/issues/1) | [July 1, 2026](https://example.com/hc/enterprise1.md) | 50 |');
+    expect(digest).toContain('| enterprise2 | [grubhub/super-support#2](https://github.com/grubhub/super-support/issues/2) | no healthcheck |  |');
+    expect(digest).toContain('add the label `pause-healthcheck-notifications` to its issue');
+    expect(digest.endsWith(digestMarker('alice'))).toBe(true);
+  });
+
+  test('composeDigest says when nothing is overdue', () => {
+    const digest = composeDigest(null, [], { now });
+
+    expect(digest).toContain('### Healthcheck digest for unassigned issues');
+    expect(digest).toContain('Nothing is overdue as of October 19, 2026.');
+    expect(digest).toContain('<!-- hc-scheduler:digest:(unassigned) -->');
+  });
+
+  test('findDigests finds marked comments on the tracking issue', async () => {
+    const octokit = makeOctokit([
+      { id: 1, body: 'unrelated' },
+      { id: 2, body: `digest\n\n${digestMarker('Alice')}` },
+    ]);
+
+    const digests = await findDigests(octokit, tracking);
+
+    expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.issues.listComments, expect.objectContaining({ owner: 'grubhub', repo: 'ops', issue_number: 12 }));
+    expect([...digests.keys()]).toEqual(['alice']);
+  });
+
+  test('findDigests finds marked open issues, ignoring pull requests', async () => {
+    const octokit = makeOctokit([
+      { number: 3, body: digestMarker('bob'), pull_request: {} },
+      { number: 4, body: digestMarker('bob') },
+    ]);
+
+    const digests = await findDigests(octokit, repository);
+
+    expect(octokit.paginate).toHaveBeenCalledWith(octokit.rest.issues.listForRepo, expect.objectContaining({ state: 'open' }));
+    expect(digests.get('bob').number).toBe(4);
+  });
+
+  test('publishDigest creates an assigned issue, or updates the existing one', async () => {
+    const octokit = makeOctokit();
+
+    await expect(publishDigest(octokit, repository, 'alice', 'body', null, false))
+      .resolves.toEqual({ ok: true, message: 'Posted the digest for @alice on grubhub/ops#99' });
+    expect(octokit.rest.issues.create).toHaveBeenCalledWith({ owner: 'grubhub', repo: 'ops', title: 'Healthcheck digest for @alice', body: 'body', assignees: ['alice'] });
+
+    await publishDigest(octokit, repository, 'alice', 'body', { number: 4 }, false);
+    expect(octokit.rest.issues.update).toHaveBeenCalledWith({ owner: 'grubhub', repo: 'ops', issue_number: 4, body: 'body' });
+  });
+
+  test('publishDigest only logs in a dry run, and reports failures', async () => {
+    const octokit = makeOctokit();
+    octokit.rest.issues.updateComment.mockRejectedValue(new Error('Not Found'));
+
+    const dryRun = await publishDigest(octokit, tracking, 'alice', 'body', null, true);
+    expect(dryRun.message).toMatch(/^\[DRY-RUN\] Would have posted the digest for @alice on grubhub\/ops#12/);
+    expect(octokit.rest.issues.createComment).not.toHaveBeenCalled();
+
+    await expect(publishDigest(octokit, tracking, 'alice', 'body', { id: 7 }, false))
+      .resolves.toEqual({ ok: false, message: 'Failed to publish the digest for @alice on grubhub/ops#12 (comment 7) - Not Found' });
+  });
+
+  test('deliverDigests posts one comment per assignee and empties digests left with nothing', async () => {
+    const octokit = makeOctokit([{ id: 5, body: digestMarker('alice') }, { id: 6, body: digestMarker('carol') }]);
+    const outcomes = [
+      makeOutcome(makeOverdueIssue(1, { assignees: ['alice', 'bob'] })),
+      makeOutcome(makeOverdueIssue(2)),
+      makeOutcome(makeOverdueIssue(3, { assignees: [] })),
+    ];
+
+    const deliveries = await deliverDigests(octokit, tracking, outcomes, { isDryRun: false, now });
+
+    expect(deliveries.map(d => [d.assignee, d.outcomes.map(o => o.issue.number), d.result.ok])).toEqual([
+      ['alice', [1, 2], true],
+      ['bob', [1], true],
+      [null, [3], true],
+      ['carol', [], true],
+    ]);
+    expect(octokit.rest.issues.updateComment).toHaveBeenCalledTimes(2);
+    expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 6, body: expect.stringContaining('Nothing is overdue') }));
+    expect(octokit.rest.issues.createComment).toHaveBeenCalledTimes(2);
+  });
+
+  test('deliverDigests leaves unassigned issues out of per-assignee issues', async () => {
+    const octokit = makeOctokit();
+
+    const deliveries = await deliverDigests(octokit, repository, [makeOutcome(makeOverdueIssue(3, { assignees: [] }))], { isDryRun: false, now });
+
+    expect(deliveries).toEqual([]);
+    expect(octokit.rest.issues.create).not.toHaveBeenCalled();
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('1 overdue issues nobody is assigned to are left out'));
+  });
+});
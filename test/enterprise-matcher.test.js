@@ -0,0 +1,99 @@
+const {
+  DEFAULT_MATCH_ORDER,
+  makeEnterpriseMatcher,
+  parseMatchOrder,
+  matchHealthchecks,
+  slugFromTitle
+} = require('../src/enterprise-matcher');
+
+describe('slugFromTitle', () => {
+  test('strips the trailing number from a legacy title', () => {
+    expect(slugFromTitle('Avocado - 8086')).toBe('avocado');
+    expect(slugFromTitle('Avocado-12 renewal')).toBe('avocado');
+  });
+
+  test('returns null for an empty title', () => {
+    expect(slugFromTitle('')).toBeNull();
+    expect(slugFromTitle(undefined)).toBeNull();
+  });
+});
+
+describe('makeEnterpriseMatcher', () => {
+  const issue = {
+    title: 'Renamed Customer - 1',
+    body: 'Notes\n<!-- enterprise_slug: Parsnip -->',
+    fields: { enterprise_id: 1181, enterprise_slug: 'parsnip-co' },
+  };
+
+  test('uses the default order, preferring the id field', () => {
+    const match = makeEnterpriseMatcher();
+    expect(match(issue)).toEqual({ enterprise_slug: null, enterprise_id: '1181', source: 'id-field' });
+  });
+
+  test('honors a configured order', () => {
+    expect(makeEnterpriseMatcher({ order: ['body', 'title'] })(issue))
+      .toEqual({ enterprise_slug: 'parsnip', enterprise_id: null, source: 'body' });
+    expect(makeEnterpriseMatcher({ order: ['slug-field'] })(issue))
+      .toEqual({ enterprise_slug: 'parsnip-co', enterprise_id: null, source: 'slug-field' });
+  });
+
+  test('falls back to the title when fields and markers are missing', () => {
+    const match = makeEnterpriseMatcher();
+    expect(match({ title: 'Avocado - 2', body: '', fields: { enterprise_id: '' } }))
+      .toEqual({ enterprise_slug: 'avocado', enterprise_id: null, source: 'title' });
+  });
+
+  test('reads configured field names', () => {
+    const match = makeEnterpriseMatcher({ order: ['id-field'], idFieldName: 'Enterprise ID' });
+    expect(match({ title: 'x', fields: { 'Enterprise ID': '8086' } }).enterprise_id).toBe('8086');
+  });
+
+  test('falls through to the next strategy when a value matches no healthcheck', () => {
+    const match = makeEnterpriseMatcher();
+    const slugOnly = [{ enterprise_slug: 'parsnip-co', enterprise_id: null }];
+
+    expect(match(issue, slugOnly)).toEqual({ enterprise_slug: 'parsnip-co', enterprise_id: null, source: 'slug-field' });
+    expect(match(issue, [{ enterprise_slug: 'parsnip-co', enterprise_id: 1181 }]).source).toBe('id-field');
+    // Nothing matches at all: the first value found is kept, to report the issue by
+    expect(match(issue, [])).toEqual({ enterprise_slug: null, enterprise_id: '1181', source: 'id-field' });
+  });
+
+  test('returns null when no strategy matches', () => {
+    expect(makeEnterpriseMatcher({ order: ['body'] })({ title: 'Avocado - 2', body: 'no marker' })).toBeNull();
+  });
+
+  test('rejects unknown strategies', () => {
+    expect(() => makeEnterpriseMatcher({ order: ['title', 'psychic'] })).toThrow("Unknown enterprise match strategy 'psychic'");
+  });
+});
+
+describe('parseMatchOrder', () => {
+  test('splits and normalizes the list', () => {
+    expect(parseMatchOrder(' Body,title\nid-field ')).toEqual(['body', 'title', 'id-field']);
+  });
+
+  test('defaults when empty', () => {
+    expect(parseMatchOrder('')).toBe(DEFAULT_MATCH_ORDER);
+  });
+});
+
+describe('matchHealthchecks', () => {
+  const healthchecks = [
+    { enterprise_slug: 'parsnip', enterprise_id: 1181 },
+    { enterprise_slug: 'parsnip-old', enterprise_id: 1181 },
+    { enterprise_slug: 'avocado', enterprise_id: 8086 },
+    { enterprise_id: null },
+  ];
+
+  test('matches by enterprise_id when the key has one', () => {
+    expect(matchHealthchecks(healthchecks, { enterprise_id: '1181', enterprise_slug: null })).toHaveLength(2);
+  });
+
+  test('matches by slug otherwise', () => {
+    expect(matchHealthchecks(healthchecks, { enterprise_id: null, enterprise_slug: 'avocado' })).toEqual([healthchecks[2]]);
+  });
+
+  test('returns nothing without a key', () => {
+    expect(matchHealthchecks(healthchecks, null)).toEqual([]);
+  });
+});
@@ -1,25 +1,4 @@
-const { cloneRepo, mapCheckableIssues, fetchIssuesFromV2Project, getIssueLabeledDate } = require('../src/fetch-helpers');
-const child_process = require('child_process');
-
-jest.mock('child_process');
-
-describe('cloneRepo', () => {
-  afterEach(() => {
-    jest.clearAllMocks();
-  });
-
-  it('throws an error if token is not provided', () => {
-    expect(() => cloneRepo('', 'owner/repo', '/tmp/target')).toThrow('Cannot clone; no token is not set');
-  });
-
-  it('calls execSync with the correct git clone command', () => {
-    cloneRepo('mytoken', 'grubhub/super-support', '/tmp/target');
-    expect(child_process.execSync).toHaveBeenCalledWith(
-      'git clone https://mytoken@github.com/grubhub/super-support.git /tmp/target',
-      { stdio: 'inherit' }
-    );
-  });
-});
+const { mapCheckableIssues, fetchIssuesFromV2Project, getIssueLabeledDate } = require('../src/fetch-helpers');
 
 describe('mapCheckableIssues', () => {
   it('maps issues and sets skip_healthcheck_notification correctly', () => {
@@ -208,4 +187,4 @@ describe('getIssueLabeledDate', () => {
     expect(date).toEqual(new Date('2024-02-01T00:00:00Z'));
     expect(octokit.rest.issues.listEventsForTimeline).toHaveBeenCalledTimes(2);
   });
-});
\ No newline at end of file
+});
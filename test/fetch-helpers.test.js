@@ -0,0 +1,414 @@
+const { mapCheckableIssues, fetchIssuesFromV2Project, fetchLabeledDates, getLatestReminderComment } = require('../src/fetch-helpers');
+
+describe('mapCheckableIssues with labeled dates', () => {
+  it('uses the labeled date fetched with the item instead of the callback', async () => {
+    const callback = jest.fn().mockResolvedValue(new Date('2024-01-01'));
+    const issues = [
+      { number: 1, title: 'Issue 1', labels: ['skip'], labeled_dates: { skip: new Date('2024-03-01') } },
+      { number: 2, title: 'Issue 2', labels: ['skip'], labeled_dates: { skip: null } },
+      { number: 3, title: 'Issue 3', labels: ['skip'] },
+    ];
+
+    const result = await mapCheckableIssues(issues, 'skip', callback);
+
+    expect(result.map(issue => issue.skip_labeled_since)).toEqual([new Date('2024-03-01'), null, new Date('2024-01-01')]);
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  it('caps how many callbacks run at once', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const callback = jest.fn(async () => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight -= 1;
+      return new Date('2024-01-01');
+    });
+    const issues = Array.from({ length: 6 }, (_, i) => ({ number: i, title: `Issue ${i}`, labels: ['skip'] }));
+
+    await mapCheckableIssues(issues, 'skip', callback, { concurrency: 2 });
+
+    expect(callback).toHaveBeenCalledTimes(6);
+    expect(maxInFlight).toBe(2);
+  });
+});
+
+describe('fetchLabeledDates', () => {
+  const labeled = (name, createdAt) => ({ label: { name }, createdAt });
+  const timeline = (nodes, startCursor = null) => ({ timelineItems: { nodes, pageInfo: { hasPreviousPage: startCursor !== null, startCursor } } });
+
+  it('batches issues into one query each and pages back for labels not found', async () => {
+    const octokit = {
+      graphql: jest.fn()
+        .mockResolvedValueOnce({
+          issue0: timeline([labeled('skip', '2024-01-01T00:00:00Z'), labeled('skip', '2024-02-01T00:00:00Z')]),
+          issue1: timeline([labeled('other', '2024-02-01T00:00:00Z')], 'c1'),
+        })
+        .mockResolvedValueOnce({ issue0: timeline([]) })
+        .mockResolvedValueOnce({ issue0: timeline([labeled('skip', '2023-05-01T00:00:00Z')]) }),
+    };
+
+    const dates = await fetchLabeledDates(octokit, [
+      { id: 'I_1', labels: ['skip'] },
+      { id: 'I_2', labels: ['skip'] },
+      { id: 'I_3', labels: ['skip'] },
+    ], { batchSize: 2, concurrency: 1 });
+
+    expect(dates.get('I_1')).toEqual({ skip: new Date('2024-02-01T00:00:00Z') });
+    expect(dates.get('I_2')).toEqual({ skip: new Date('2023-05-01T00:00:00Z') });
+    expect(dates.get('I_3')).toEqual({ skip: null });
+    expect(octokit.graphql).toHaveBeenCalledTimes(3);
+    expect(octokit.graphql.mock.calls[0][1]).toEqual({ id0: 'I_1', before0: null, id1: 'I_2', before1: null });
+    expect(octokit.graphql.mock.calls[0][0]).toContain('timelineItems(itemTypes: [LABELED_EVENT], last: 100, before: $before1)');
+    expect(octokit.graphql.mock.calls[2][1]).toEqual({ id0: 'I_2', before0: 'c1' });
+  });
+});
+
+describe('fetchIssuesFromV2Project', () => {
+  it('reads the cadence from a number or single-select field', async () => {
+    const makeItem = (number, cadenceValue) => ({
+      id: `item${number}`,
+      content: {
+        title: `Issue ${number}`,
+        number,
+        url: `http://example.com/${number}`,
+        state: 'OPEN',
+        assignees: { nodes: [{ login: 'alice' }] },
+        labels: { nodes: [] }
+      },
+      fieldValues: {
+        nodes: [
+          { field: { name: 'Status' }, name: 'Active' },
+          { field: { name: 'Cadence' }, ...cadenceValue }
+        ]
+      }
+    });
+    const octokit = {
+      graphql: jest.fn().mockResolvedValue({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [makeItem(1, { number: 45 }), makeItem(2, { name: 'Quarterly' })],
+              pageInfo: { hasNextPage: false, endCursor: null }
+            }
+          }
+        }
+      })
+    };
+
+    const issues = await fetchIssuesFromV2Project(octokit, 'grubhub', 1, 'Active', 'OPEN');
+    expect(issues.map(issue => issue.cadence_days)).toEqual([45, 90]);
+  });
+
+  it('exposes the body and all field values of each item', async () => {
+    const octokit = {
+      graphql: jest.fn().mockResolvedValue({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: 'item1',
+                  content: {
+                    title: 'Issue 1',
+                    number: 1,
+                    url: 'http://example.com/1',
+                    state: 'OPEN',
+                    body: '<!-- enterprise_id: 8086 -->',
+                    assignees: { nodes: [{ login: 'alice' }] },
+                    labels: { nodes: [] }
+                  },
+                  fieldValues: {
+                    nodes: [
+                      { field: { name: 'Status' }, name: 'Active' },
+                      { field: { name: 'enterprise_slug' }, text: 'avocado' },
+                      { field: { name: 'enterprise_id' }, number: 8086 },
+                      {}
+                    ]
+                  }
+                }
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null }
+            }
+          }
+        }
+      })
+    };
+
+    const issues = await fetchIssuesFromV2Project(octokit, 'grubhub', 1, 'Active', 'OPEN');
+    expect(issues[0].body).toBe('<!-- enterprise_id: 8086 -->');
+    expect(issues[0].fields).toEqual({ Status: 'Active', enterprise_slug: 'avocado', enterprise_id: 8086 });
+  });
+
+  it('reads the snooze date field', async () => {
+    const octokit = {
+      graphql: jest.fn().mockResolvedValue({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                {
+                  id: 'item1',
+                  content: {
+                    title: 'Issue 1',
+                    number: 1,
+                    url: 'http://example.com/1',
+                    state: 'OPEN',
+                    assignees: { nodes: [{ login: 'alice' }] },
+                    labels: { nodes: [] }
+                  },
+                  fieldValues: {
+                    nodes: [
+                      { field: { name: 'Status' }, name: 'Active' },
+                      { field: { name: 'Pause until' }, date: '2026-12-01' }
+                    ]
+                  }
+                }
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null }
+            }
+          }
+        }
+      })
+    };
+
+    const issues = await fetchIssuesFromV2Project(octokit, 'grubhub', 1, 'Active', 'OPEN', { snoozeFieldName: 'Pause until' });
+    expect(octokit.graphql.mock.calls[0][0]).toContain('ProjectV2ItemFieldDateValue');
+    expect(issues[0].snooze_until).toEqual(new Date('2026-12-01T00:00:00Z'));
+  });
+
+  it('filters on a renamed status field, several values, exclusions and other fields', async () => {
+    const item = (number, fields, assignees = ['alice']) => ({
+      id: `item${number}`,
+      content: {
+        title: `Issue ${number}`,
+        number,
+        url: `http://example.com/${number}`,
+        state: 'OPEN',
+        assignees: { nodes: assignees.map(login => ({ login })) },
+        labels: { nodes: [] }
+      },
+      fieldValues: { nodes: fields }
+    });
+    const stage = (name) => ({ field: { name: 'Engagement stage' }, name });
+    const octokit = {
+      graphql: jest.fn().mockResolvedValue({
+        organization: {
+          projectV2: {
+            items: {
+              nodes: [
+                item(1, [stage('Active')]),
+                item(2, [stage('Onboarding'), { field: { name: 'Iteration' }, title: 'Sprint 3' }]),
+                item(3, [stage('Onboarding'), { field: { name: 'Iteration' }, title: 'Backlog' }]),
+                item(4, [stage('Churned')]),
+                item(5, [stage('Active')], []),
+              ],
+              pageInfo: { hasNextPage: false, endCursor: null }
+            }
+          }
+        }
+      })
+    };
+
+    const options = {
+      statusFieldName: 'Engagement stage',
+      itemFilters: [{ field: 'Iteration', include: [], exclude: ['Backlog'] }],
+    };
+    const issues = await fetchIssuesFromV2Project(octokit, 'grubhub', 1, ['Active', 'Onboarding'], ['OPEN'], options);
+    expect(octokit.graphql.mock.calls[0][0]).toContain('ProjectV2ItemFieldIterationValue');
+    expect(issues.map(issue => [issue.number, issue.status])).toEqual([[1, 'Active'], [2, 'Onboarding']]);
+
+    const withUnassigned = await fetchIssuesFromV2Project(octokit, 'grubhub', 1, ['Active'], 'OPEN', {
+      ...options,
+      excludedStatuses: ['Onboarding'],
+      includeUnassigned: true,
+    });
+    expect(withUnassigned.map(issue => [issue.number, issue.assignees])).toEqual([[1, ['alice']], [5, []]]);
+  });
+
+  it('queries user-owned projects and keeps issues of the listed repositories', async () => {
+    const item = (number, repository) => ({
+      id: `item${number}`,
+      content: {
+        title: `Issue ${number}`,
+        number,
+        url: `http://example.com/${number}`,
+        state: 'OPEN',
+        repository: { nameWithOwner: repository },
+        assignees: { nodes: [{ login: 'alice' }] },
+        labels: { nodes: [] }
+      },
+      fieldValues: { nodes: [{ field: { name: 'Status' }, name: 'Active' }] }
+    });
+    const octokit = {
+      graphql: jest.fn().mockResolvedValue({
+        user: {
+          projectV2: {
+            items: {
+              nodes: [item(1, 'octocat/customers'), item(2, 'octocat/scratch'), item(3, 'Acme/Partners')],
+              pageInfo: { hasNextPage: false, endCursor: null }
+            }
+          }
+        }
+      })
+    };
+
+    const issues = await fetchIssuesFromV2Project(octokit, 'octocat', 3, ['Active'], ['OPEN'], {
+      ownerType: 'user',
+      repositories: ['octocat/customers', 'acme/partners'],
+    });
+    expect(octokit.graphql.mock.calls[0][0]).toContain('user(login: $org)');
+    expect(issues.map(issue => [issue.number, issue.repository])).toEqual([[1, 'octocat/customers'], [3, 'Acme/Partners']]);
+  });
+
+  it('pages through assignees, labels and field values cut off by the item query', async () => {
+    const page = (nodes, endCursor = null) => ({ nodes, pageInfo: { hasNextPage: endCursor !== null, endCursor } });
+    const manyLabels = Array.from({ length: 20 }, (_, i) => ({ name: `label-${i}` }));
+    const manyFields = Array.from({ length: 20 }, (_, i) => ({ field: { name: `Field ${i}` }, text: `value ${i}` }));
+    const octokit = {
+      graphql: jest.fn().mockImplementation(async (query, variables) => {
+        if (query.includes('projectV2(number')) {
+          return {
+            organization: {
+              projectV2: {
+                items: {
+                  nodes: [{
+                    id: 'item1',
+                    content: {
+                      id: 'issue1',
+                      title: 'Issue 1',
+                      number: 1,
+                      url: 'http://example.com/1',
+                      state: 'OPEN',
+                      assignees: page(Array.from({ length: 10 }, (_, i) => ({ login: `user${i}` })), 'a1'),
+                      labels: page(manyLabels, 'l1'),
+                    },
+                    fieldValues: page(manyFields, 'f1'),
+                  }],
+                  pageInfo: { hasNextPage: false, endCursor: null }
+                }
+              }
+            }
+          };
+        }
+        if (query.includes('assignees(first: 100')) {
+          return { node: { assignees: page([{ login: 'user10' }]) } };
+        }
+        if (query.includes('labels(first: 100')) {
+          return { node: { labels: variables.after === 'l1' ? page([{ name: 'label-20' }], 'l2') : page([{ name: 'skip' }]) } };
+        }
+        return { node: { fieldValues: page([{ field: { name: 'Status' }, name: 'Active' }]) } };
+      })
+    };
+
+    const issues = await fetchIssuesFromV2Project(octokit, 'grubhub', 1, 'Active', 'OPEN');
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0].assignees).toHaveLength(11);
+    expect(issues[0].labels).toHaveLength(22);
+    expect(issues[0].labels).toContain('skip');
+    expect(issues[0].status).toBe('Active');
+    expect(octokit.graphql).toHaveBeenCalledWith(expect.stringContaining('... on ProjectV2Item'), { id: 'item1', after: 'f1' });
+    expect(octokit.graphql).toHaveBeenCalledWith(expect.stringContaining('labels(first: 100'), { id: 'issue1', after: 'l2' });
+    expect(octokit.graphql).toHaveBeenCalledTimes(5);
+  });
+
+  it('brings back the labeled date of tracked labels, looking up older ones with the rest of the page', async () => {
+    const item = (number, labels, labeledEvents, startCursor = null) => ({
+      id: `item${number}`,
+      content: {
+        id: `issue${number}`,
+        title: `Issue ${number}`,
+        number,
+        url: `http://example.com/${number}`,
+        state: 'OPEN',
+        assignees: { nodes: [{ login: 'alice' }] },
+        labels: { nodes: labels.map(name => ({ name })) },
+        timelineItems: {
+          nodes: labeledEvents.map(([name, createdAt]) => ({ label: { name }, createdAt })),
+          pageInfo: { hasPreviousPage: startCursor !== null, startCursor }
+        }
+      },
+      fieldValues: { nodes: [{ field: { name: 'Status' }, name: 'Active' }] }
+    });
+    const octokit = {
+      graphql: jest.fn()
+        .mockResolvedValueOnce({
+          organization: {
+            projectV2: {
+              items: {
+                nodes: [
+                  item(1, ['skip'], [['skip', '2024-03-01T00:00:00Z']]),
+                  item(2, ['skip'], [['triage', '2024-03-01T00:00:00Z']], 'cursor2'),
+                  item(3, ['skip'], []),
+                  item(4, [], [], 'cursor4'),
+                ],
+                pageInfo: { hasNextPage: false, endCursor: null }
+              }
+            }
+          }
+        })
+        .mockResolvedValueOnce({
+          issue0: { timelineItems: { nodes: [{ label: { name: 'skip' }, createdAt: '2023-01-01T00:00:00Z' }], pageInfo: { hasPreviousPage: false, startCursor: null } } }
+        })
+    };
+
+    const issues = await fetchIssuesFromV2Project(octokit, 'grubhub', 1, 'Active', 'OPEN', { trackLabels: ['skip'] });
+
+    expect(octokit.graphql.mock.calls[0][0]).toContain('timelineItems(itemTypes: [LABELED_EVENT], last: 10)');
+    expect(octokit.graphql).toHaveBeenCalledTimes(2);
+    expect(octokit.graphql.mock.calls[1][1]).toEqual({ id0: 'issue2', before0: 'cursor2' });
+    expect(issues.map(issue => issue.labeled_dates)).toEqual([
+      { skip: new Date('2024-03-01T00:00:00Z') },
+      { skip: new Date('2023-01-01T00:00:00Z') },
+      { skip: null },
+      {},
+    ]);
+  });
+});
+
+describe('getLatestReminderComment', () => {
+  const marker = '<!-- hc-scheduler:reminder -->';
+  const makeContext = (listComments) => ({
+    octokit: { rest: { issues: { listComments } } },
+    repoOwner: 'grubhub',
+    repoName: 'super-support'
+  });
+
+  it('returns the most recent comment containing the marker', async () => {
+    const context = makeContext(jest.fn().mockResolvedValueOnce({
+      data: [
+        { id: 1, body: `first ${marker}`, created_at: '2024-01-01T00:00:00Z', updated_at: '2024-01-01T00:00:00Z' },
+        { id: 2, body: 'unrelated', created_at: '2024-03-01T00:00:00Z', updated_at: '2024-03-01T00:00:00Z' },
+        { id: 3, body: `second ${marker}`, created_at: '2024-02-01T00:00:00Z', updated_at: '2024-02-05T00:00:00Z' }
+      ]
+    }));
+
+    const reminder = await getLatestReminderComment(context, 1, marker);
+    expect(reminder).toEqual({ id: 3, date: new Date('2024-02-05T00:00:00Z') });
+  });
+
+  it('returns null if no comment contains the marker', async () => {
+    const context = makeContext(jest.fn().mockResolvedValueOnce({
+      data: [{ id: 1, body: 'hello', created_at: '2024-01-01T00:00:00Z' }]
+    }));
+
+    const reminder = await getLatestReminderComment(context, 1, marker);
+    expect(reminder).toBeNull();
+  });
+
+  it('handles pagination', async () => {
+    const listComments = jest.fn()
+      .mockResolvedValueOnce({
+        data: new Array(100).fill({ id: 1, body: marker, created_at: '2024-01-01T00:00:00Z' })
+      })
+      .mockResolvedValueOnce({
+        data: [{ id: 2, body: marker, created_at: '2024-02-01T00:00:00Z' }]
+      });
+
+    const reminder = await getLatestReminderComment(makeContext(listComments), 1, marker);
+    expect(reminder).toEqual({ id: 2, date: new Date('2024-02-01T00:00:00Z') });
+    expect(listComments).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { makeIssue } = require('./helpers/issues');
+const { buildForecast, groupByAssignee, formatForecastSummary, formatForecastCalendar, writeForecastCalendar } = require('../src/forecast');
+
+describe('forecast', () => {
+  const now = new Date('2026-10-19T06:00:00Z');
+  // Each issue was last checked on September 1st and falls due on the given date
+  const makeForecastIssue = (number, dueDate, extra = {}) => makeIssue(number, {
+    healthcheck_type: 'healthcheck',
+    healthcheck_type_title: 'healthcheck',
+    last_healthcheck_date: new Date('2026-09-01'),
+    last_healthcheck_date_source: 'frontmatter',
+    last_healthcheck_url: null,
+    threshold_days: 60,
+    due_date: dueDate ? new Date(dueDate) : null,
+    ...extra,
+  });
+
+  const issues = [
+    makeForecastIssue(1, '2026-11-10', { assignees: ['bob', 'alice'] }),
+    makeForecastIssue(2, '2026-10-01', { last_healthcheck_date_source: 'filename' }),
+    makeForecastIssue(3, null),
+    makeForecastIssue(4, '2026-10-25', { assignees: [] }),
+  ];
+
+  test('buildForecast dates each issue, earliest first, leaving out those without healthchecks', () => {
+    const forecast = buildForecast(issues, now);
+
+    expect(forecast.map(entry => [entry.issue.number, entry.dueDate, entry.overdue])).toEqual([
+      [2, '2026-10-01', true],
+      [4, '2026-10-25', false],
+      [1, '2026-11-10', false],
+    ]);
+  });
+
+  test('groupByAssignee lists an issue under each assignee, and unassigned issues last', () => {
+    const groups = groupByAssignee(buildForecast(issues, now));
+
+    expect(groups.map(group => [group.assignee, group.entries.map(entry => entry.issue.number)])).toEqual([
+      ['alice', [2, 1]],
+      ['bob', [1]],
+      [null, [4]],
+    ]);
+  });
+
+  test('formatForecastSummary renders a table per assignee', () => {
+    const summary = formatForecastSummary(buildForecast(issues, now), { weeks: 4, now });
+
+    expect(summary).toContain('## Healthcheck forecast for the next 4 weeks (through 2026-11-16)');
+    expect(summary).toContain('2 coming due, 1 already overdue.');
+    expect(summary).toContain('### @alice (2)');
+    expect(summary).toContain('| 2026-10-01 (overdue) | enterprise2 | [#2](https://github.com/grubhub/super-support/issues/2) | 2026-09-01 (from filename) |');
+    expect(summary).toContain('### Unassigned (1)');
+    expect(summary).not.toContain('| type |');
+  });
+
+  test('formatForecastSummary names the type when there are several', () => {
+    const summary = formatForecastSummary(buildForecast([issues[0]], now), { weeks: 1, now, showTypes: true });
+
+    expect(summary).toContain('for the next 1 week (through 2026-10-26)');
+    expect(summary).toContain('| 2026-11-10 | enterprise1 | healthcheck | [#1]');
+  });
+
+  test('formatForecastCalendar writes an all-day event per upcoming healthcheck', () => {
+    const calendar = formatForecastCalendar(buildForecast(issues, now), now);
+    const lines = calendar.split('\r\n');
+
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    // The overdue issue is left to the reminders
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(calendar).not.toContain('issues/2');
+    expect(lines).toEqual(expect.arrayContaining([
+      'UID:grubhub-super-support-1-healthcheck@hc-scheduler',
+      'DTSTAMP:20261019T060000Z',
+      'DTSTART;VALUE=DATE:20261110',
+      'DTEND;VALUE=DATE:20261111',
+      'SUMMARY:Healthcheck due: enterprise1 (@bob\\, @alice)',
+      'CATEGORIES:bob,alice',
+    ]));
+  });
+
+  test('formatForecastCalendar escapes text and folds long lines', () => {
+    const issue = makeForecastIssue(5, '2026-11-01', {
+      enterprise_slug: 'acme; corp',
+      healthcheck_type_title: 'security review',
+      last_healthcheck_url: `https://github.com/grubhub/helphub-knowledge-base/blob/main/${'very-long-path/'.repeat(6)}acme.md`,
+    });
+    const calendar = formatForecastCalendar(buildForecast([issue], now), now);
+
+    expect(calendar).toContain('SUMMARY:Security review due: acme\\; corp (@alice)');
+    expect(calendar).toContain('DESCRIPTION:Last security review: 2026-09-01\\nDue every 60 days\\n');
+    expect(calendar.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    // Unfolding gives back the content line
+    expect(calendar.replace(/\r\n /g, '')).toContain(`Last report: ${issue.last_healthcheck_url}\\n`);
+  });
+
+  test('writeForecastCalendar writes the calendar to a file', () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'forecast-')), 'forecast.ics');
+
+    writeForecastCalendar(buildForecast(issues, now), filePath, now);
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(formatForecastCalendar(buildForecast(issues, now), now));
+  });
+});
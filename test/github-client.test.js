@@ -0,0 +1,164 @@
+const { TOKEN_CONCERNS, resolveGitHubUrls, makeOctokit, explainPermissionError } = require('../src/github-client');
+const { addIssueComment } = require('../src/update-issue');
+const { fetchIssuesFromV2Project } = require('../src/fetch-helpers');
+const { makeApiSource } = require('../src/healthcheck-source');
+const { makeRateLimiter } = require('../src/rate-limit');
+
+describe('resolveGitHubUrls', () => {
+  test('defaults to github.com', () => {
+    expect(resolveGitHubUrls({}, {})).toEqual({ serverUrl: 'https://github.com', apiUrl: 'https://api.github.com' });
+  });
+
+  test('uses the runner environment', () => {
+    const env = { GITHUB_SERVER_URL: 'https://ghe.example.com', GITHUB_API_URL: 'https://ghe.example.com/api/v3' };
+    expect(resolveGitHubUrls({}, env)).toEqual({ serverUrl: 'https://ghe.example.com', apiUrl: 'https://ghe.example.com/api/v3' });
+  });
+
+  test('derives the API URL of a GitHub Enterprise Server host', () => {
+    expect(resolveGitHubUrls({ serverUrl: 'https://ghe.example.com/' }, {}))
+      .toEqual({ serverUrl: 'https://ghe.example.com', apiUrl: 'https://ghe.example.com/api/v3' });
+  });
+
+  test('derives the API URL of a GHE.com tenant', () => {
+    expect(resolveGitHubUrls({ serverUrl: 'https://octo.ghe.com' }, {}))
+      .toEqual({ serverUrl: 'https://octo.ghe.com', apiUrl: 'https://api.octo.ghe.com' });
+  });
+
+  test('prefers explicit inputs over the environment', () => {
+    const env = { GITHUB_SERVER_URL: 'https://github.com', GITHUB_API_URL: 'https://api.github.com' };
+    expect(resolveGitHubUrls({ apiUrl: 'https://ghe.example.com/api/v3/' }, env))
+      .toEqual({ serverUrl: 'https://github.com', apiUrl: 'https://ghe.example.com/api/v3' });
+  });
+});
+
+describe('makeOctokit with a mocked base URL', () => {
+  const urls = { serverUrl: 'https://ghe.example.com', apiUrl: 'https://ghe.example.com/api/v3' };
+  let requests;
+  let responses;
+
+  const fetch = jest.fn(async (url, init) => {
+    requests.push({ url, method: init.method, body: init.body ? JSON.parse(init.body) : null });
+    const body = responses.shift() || {};
+    return new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } });
+  });
+
+  beforeEach(() => {
+    requests = [];
+    responses = [];
+  });
+
+  test('sends REST calls from update-issue to the enterprise host', async () => {
+    const octokit = makeOctokit('token', urls, { request: { fetch } });
+    const repoApiContext = { octokit, repoOwner: 'grubhub', repoName: 'super-support' };
+    const issue = { number: 42, title: 'Test Issue', url: 'https://ghe.example.com/grubhub/super-support/issues/42', assignees: [] };
+
+    const result = await addIssueComment(repoApiContext, issue, 'pause-healthcheck-notifications', false);
+
+    expect(result.ok).toBe(true);
+    expect(requests[0]).toMatchObject({ url: 'https://ghe.example.com/api/v3/repos/grubhub/super-support/issues/42/comments', method: 'POST' });
+  });
+
+  test('sends the Project V2 query to the enterprise GraphQL endpoint', async () => {
+    const octokit = makeOctokit('token', urls, { request: { fetch } });
+    responses.push({ data: { organization: { projectV2: { items: { nodes: [], pageInfo: { hasNextPage: false, endCursor: null } } } } } });
+
+    await fetchIssuesFromV2Project(octokit, 'grubhub', 1, 'Active', 'OPEN');
+
+    expect(requests[0]).toMatchObject({ url: 'https://ghe.example.com/api/graphql', method: 'POST' });
+    expect(requests[0].body.variables).toEqual({ org: 'grubhub', projectNumber: 1, after: null });
+  });
+
+  test('reads healthcheck data from the enterprise host', async () => {
+    const octokit = makeOctokit('token', urls, { request: { fetch } });
+    responses.push({ tree: [], truncated: false });
+
+    const { healthchecks } = await makeApiSource(octokit, 'grubhub/hc-data', '', 'main', urls.serverUrl).loadHealthchecks();
+
+    expect(healthchecks).toEqual([]);
+    expect(requests[0].url).toBe('https://ghe.example.com/api/v3/repos/grubhub/hc-data/git/trees/main?recursive=true');
+  });
+});
+
+describe('makeOctokit with a token provider', () => {
+  test('asks the provider for the current token on every request', async () => {
+    const headers = [];
+    const fetch = jest.fn(async (url, init) => {
+      headers.push(init.headers.authorization);
+      return new Response('{}', { status: 200, headers: { 'content-type': 'application/json' } });
+    });
+    const getToken = jest.fn().mockResolvedValueOnce('ghs_first').mockResolvedValueOnce('ghs_second');
+    const octokit = makeOctokit(getToken, { apiUrl: 'https://api.github.com' }, { request: { fetch } });
+
+    await octokit.rest.repos.get({ owner: 'grubhub', repo: 'hc-data' });
+    await octokit.rest.repos.get({ owner: 'grubhub', repo: 'hc-data' });
+
+    expect(headers).toEqual(['token ghs_first', 'token ghs_second']);
+  });
+});
+
+describe('makeOctokit with a rate limiter', () => {
+  test('retries a server error and counts the request', async () => {
+    const statuses = [502, 200];
+    const fetch = jest.fn(async () => new Response('{}', { status: statuses.shift(), headers: { 'content-type': 'application/json' } }));
+    const limiter = makeRateLimiter({ sleep: async () => {}, random: () => 0 });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const octokit = makeOctokit('token', { apiUrl: 'https://api.github.com' }, { limiter, request: { fetch } });
+
+    await octokit.rest.repos.get({ owner: 'grubhub', repo: 'hc-data' });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(limiter.stats).toMatchObject({ requests: 2, retries: 1 });
+    warn.mockRestore();
+  });
+});
+
+describe('permission errors', () => {
+  const urls = { serverUrl: 'https://github.com', apiUrl: 'https://api.github.com' };
+  const respondWith = (status, body, headers = {}) => jest.fn(async () =>
+    new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', ...headers } })
+  );
+
+  test('names the credential and permission when a write is forbidden', async () => {
+    const fetch = respondWith(403, { message: 'Resource not accessible by integration' });
+    const octokit = makeOctokit('token', urls, { concern: TOKEN_CONCERNS.issues, request: { fetch } });
+    const repoApiContext = { octokit, repoOwner: 'grubhub', repoName: 'super-support' };
+
+    const result = await addIssueComment(repoApiContext, { number: 1, title: 'x', url: 'u', assignees: [] }, 'skip', false);
+
+    expect(result.ok).toBe(false);
+    expect(result.message).toContain('The github-token credential lacks a permission (403)');
+    expect(result.message).toContain('issues: write');
+    expect(result.message).toContain('Resource not accessible by integration');
+  });
+
+  test('reports rejected credentials', async () => {
+    const fetch = respondWith(401, { message: 'Bad credentials' });
+    const octokit = makeOctokit('token', urls, { concern: TOKEN_CONCERNS.data, request: { fetch } });
+
+    await expect(octokit.rest.repos.get({ owner: 'grubhub', repo: 'hc-data' }))
+      .rejects.toThrow('The hc-data-secret credential was rejected (401) while calling GET /repos/{owner}/{repo}');
+  });
+
+  test('leaves rate limit errors alone', async () => {
+    const fetch = respondWith(403, { message: 'API rate limit exceeded' }, { 'x-ratelimit-remaining': '0' });
+    const octokit = makeOctokit('token', urls, { concern: TOKEN_CONCERNS.data, request: { fetch } });
+
+    await expect(octokit.rest.repos.get({ owner: 'grubhub', repo: 'hc-data' })).rejects.toThrow(/^API rate limit exceeded/);
+  });
+
+  test('explains GraphQL scope errors', () => {
+    const error = new Error("Your token has not been granted the required scopes to execute this query.");
+    error.errors = [{ type: 'INSUFFICIENT_SCOPES' }];
+
+    const explained = explainPermissionError(error, TOKEN_CONCERNS.project, 'querying project grubhub/1');
+
+    expect(explained.message).toContain('The project-token credential lacks a permission (GraphQL) while querying project grubhub/1');
+    expect(explained.message).toContain('read:project');
+  });
+
+  test('leaves other errors alone', () => {
+    const error = new Error('Not Found');
+    error.status = 404;
+    expect(explainPermissionError(error, TOKEN_CONCERNS.project, 'x').message).toBe('Not Found');
+  });
+});
@@ -1,10 +1,20 @@
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { makeEnterpriseMatcher } = require('../src/enterprise-matcher');
 const {
   discoverMarkdownFiles,
   findOverdueIssues,
+  assessIssues,
   loadHealthCheckFiles,
-  parseHealthCheckFile
+  parseCadenceDays,
+  dateFromFilename,
+  parseDateSources,
+  parseHealthCheckContent,
+  parseHealthCheckFile,
+  parseHealthcheckDate,
+  parseReminderTiers,
+  readHealthcheck
 } = require('../src/healthcheck-helpers');
 
 describe('discoverMarkdownFiles', () => {
@@ -65,6 +75,27 @@ describe('findOverdueIssues', () => {
     expect(result).toHaveLength(0);
   });
 
+  it('links the latest healthcheck and lists the previous ones', () => {
+    const issues = [
+      { title: 'Zeta - 303', skip_healthcheck: false }
+    ];
+    const healthchecks = [0, 1, 2, 3, 4].map(n => ({
+      enterprise_slug: 'zeta',
+      title: `Zeta ${n}`,
+      date: daysAgo(40 + n * 100),
+      source_path: `zeta-${n}.md`,
+      source_url: `https://github.com/o/r/blob/HEAD/zeta-${n}.md`,
+    })).reverse();
+    const result = findOverdueIssues(healthchecks, issues, 30);
+    expect(result[0].last_healthcheck_title).toBe('Zeta 0');
+    expect(result[0].last_healthcheck_path).toBe('zeta-0.md');
+    expect(result[0].last_healthcheck_url).toBe('https://github.com/o/r/blob/HEAD/zeta-0.md');
+    expect(result[0].previous_healthchecks).toEqual([1, 2, 3].map(n => ({
+      date: daysAgo(40 + n * 100),
+      url: `https://github.com/o/r/blob/HEAD/zeta-${n}.md`,
+    })));
+  });
+
   it('extracts the correct enterprise_slug from issue title', () => {
     const issues = [
       { title: 'Epsilon - 202', skip_healthcheck: false }
@@ -89,10 +120,222 @@ describe('findOverdueIssues', () => {
     expect(result).toHaveLength(1);
     expect(result[0].enterprise_slug).toBe('zeta');
   });
+
+  it('matches healthchecks through the configured enterprise matcher', () => {
+    const issues = [
+      { title: 'Renamed Customer - 9', skip_healthcheck: false, fields: { enterprise_id: 1181 } }
+    ];
+    const healthchecks = [
+      { enterprise_slug: 'parsnip', enterprise_id: 1181, date: daysAgo(40) }
+    ];
+    const result = findOverdueIssues(healthchecks, issues, 30, [], {
+      matchEnterprise: makeEnterpriseMatcher({ order: ['id-field', 'title'] })
+    });
+    expect(result).toHaveLength(1);
+    expect(result[0]).toMatchObject({
+      enterprise_slug: 'parsnip',
+      enterprise_id: '1181',
+      enterprise_match: 'id-field',
+      last_healthcheck_date: daysAgo(40)
+    });
+  });
+
+  it('resolves the cadence from the issue, then the latest healthcheck, then the default', () => {
+    const issues = [
+      { title: 'Nu - 1', skip_healthcheck: false, cadence_days: 30 },
+      { title: 'Xi - 2', skip_healthcheck: false },
+      { title: 'Omicron - 3', skip_healthcheck: false }
+    ];
+    const healthchecks = [
+      { enterprise_slug: 'nu', date: daysAgo(35), cadence_days: 180 },
+      { enterprise_slug: 'xi', date: daysAgo(100), cadence_days: 180 },
+      { enterprise_slug: 'xi', date: daysAgo(35) },
+      { enterprise_slug: 'omicron', date: daysAgo(70) }
+    ];
+    const result = findOverdueIssues(healthchecks, issues, 60);
+    expect(result.map(issue => [issue.enterprise_slug, issue.cadence_days, issue.cadence_source])).toEqual([
+      ['nu', 30, 'issue'],
+      ['omicron', 60, 'default']
+    ]);
+  });
+
+  it('uses the cadence_days of the latest healthcheck', () => {
+    const issues = [{ title: 'Pi - 1', skip_healthcheck: false }];
+    const healthchecks = [{ enterprise_slug: 'pi', date: daysAgo(100), cadence_days: 90 }];
+    const result = findOverdueIssues(healthchecks, issues, 180);
+    expect(result).toHaveLength(1);
+    expect(result[0].cadence_source).toBe('healthcheck');
+    expect(result[0].threshold_days).toBe(90);
+  });
+
+  describe('with reminder tiers', () => {
+    const tiers = [
+      { name: 'coming-due', days: 60, mention: ['assignees'], label: null, message: null },
+      { name: 'overdue', days: 90, mention: ['assignees'], label: null, message: null },
+      { name: 'critical', days: 120, mention: ['assignees'], label: null, message: null },
+    ];
+
+    it('uses the lowest tier as the threshold instead of maxStalenessInDays', () => {
+      const issues = [
+        { title: 'Theta - 1', skip_healthcheck: false },
+        { title: 'Iota - 2', skip_healthcheck: false }
+      ];
+      const healthchecks = [
+        { enterprise_slug: 'theta', date: daysAgo(61) },
+        { enterprise_slug: 'iota', date: daysAgo(45) }
+      ];
+      const result = findOverdueIssues(healthchecks, issues, 30, tiers);
+      expect(result).toHaveLength(1);
+      expect(result[0].enterprise_slug).toBe('theta');
+      expect(result[0].tier.name).toBe('coming-due');
+    });
+
+    it('attaches the highest tier passed', () => {
+      const issues = [
+        { title: 'Kappa - 1', skip_healthcheck: false },
+        { title: 'Lambda - 2', skip_healthcheck: false }
+      ];
+      const healthchecks = [
+        { enterprise_slug: 'kappa', date: daysAgo(100) },
+        { enterprise_slug: 'lambda', date: daysAgo(200) }
+      ];
+      const result = findOverdueIssues(healthchecks, issues, 30, tiers);
+      expect(result.map(issue => issue.tier.name)).toEqual(['overdue', 'critical']);
+    });
+
+    it('shifts tiers by the enterprise cadence', () => {
+      const issues = [{ title: 'Rho - 1', skip_healthcheck: false, cadence_days: 30 }];
+      const healthchecks = [{ enterprise_slug: 'rho', date: daysAgo(65) }];
+      // max-staleness 90 with a 30-day cadence moves the tiers to 0 / 30 / 60 days
+      const result = findOverdueIssues(healthchecks, issues, 90, tiers);
+      expect(result).toHaveLength(1);
+      expect(result[0].tier).toBe(tiers[2]);
+    });
+
+    it('leaves the tier null when no healthcheck exists', () => {
+      const result = findOverdueIssues([], [{ title: 'Mu - 1', skip_healthcheck: false }], 30, tiers);
+      expect(result).toHaveLength(1);
+      expect(result[0].tier).toBeNull();
+    });
+  });
+});
+
+describe('assessIssues', () => {
+  it('measures every issue, including those that are not overdue', () => {
+    const recent = new Date();
+    recent.setDate(recent.getDate() - 10);
+    const issues = [
+      { title: 'Gamma - 789', skip_healthcheck: false },
+      { title: 'Delta - 1', skip_healthcheck: false },
+      { title: 'Omega - 2', skip_healthcheck: true },
+    ];
+    const healthchecks = [{ enterprise_slug: 'gamma', date: recent.toISOString().split('T')[0] }];
+
+    const result = assessIssues(healthchecks, issues, 30);
+
+    expect(result.map(issue => [issue.enterprise_slug, issue.days_since_healthcheck, issue.threshold_days])).toEqual([
+      ['gamma', 10, 30],
+      ['delta', null, 30],
+    ]);
+  });
+
+  it('measures each healthcheck type on its own, with its own threshold', () => {
+    const daysAgo = (n) => new Date(Date.now() - n * 24 * 60 * 60 * 1000);
+    const healthchecks = [
+      { enterprise_slug: 'gamma', type: 'health-check', date: daysAgo(10) },
+      { enterprise_slug: 'gamma', type: 'security-review', date: daysAgo(400) },
+    ];
+    const issues = [{ title: 'Gamma - 789', skip_healthcheck: false, cadence_days: 90 }];
+    const healthCheck = { name: 'health-check', title: 'health check', maxStalenessDays: null };
+    const securityReview = { name: 'security-review', title: 'security review', maxStalenessDays: 365 };
+
+    expect(findOverdueIssues(healthchecks, issues, 60, [], { type: healthCheck })).toEqual([]);
+    const [overdue] = findOverdueIssues(healthchecks, issues, 60, [], { type: securityReview });
+    expect(overdue).toMatchObject({
+      healthcheck_type: 'security-review',
+      healthcheck_type_title: 'security review',
+      days_since_healthcheck: 400,
+      // The board's cadence field doesn't apply to a type with its own threshold
+      cadence_days: 365,
+      cadence_source: 'type',
+    });
+    expect(assessIssues(healthchecks, issues, 60, [], { type: healthCheck })[0]).toMatchObject({ cadence_days: 90, cadence_source: 'issue' });
+  });
+
+  it('dates when each healthcheck falls due, and measures at a given date', () => {
+    const healthchecks = [
+      { enterprise_slug: 'gamma', date: new Date('2026-09-01') },
+      { enterprise_slug: 'delta', date: new Date('2026-10-10') },
+    ];
+    const issues = [
+      { title: 'Gamma - 789', skip_healthcheck: false },
+      { title: 'Delta - 1', skip_healthcheck: false },
+      { title: 'Omega - 2', skip_healthcheck: false },
+    ];
+    const tiers = [{ name: 'gentle', days: 45 }, { name: 'urgent', days: 90 }];
+
+    const result = assessIssues(healthchecks, issues, 60, tiers);
+    expect(result.map(issue => issue.due_date)).toEqual([new Date('2026-10-16'), new Date('2026-11-24'), null]);
+
+    // Four weeks on, gamma is overdue and delta not yet
+    const later = findOverdueIssues(healthchecks, issues, 60, tiers, { now: new Date('2026-11-16') });
+    expect(later.map(issue => [issue.enterprise_slug, issue.days_since_healthcheck])).toEqual([['gamma', 76], ['omega', null]]);
+  });
+});
+
+describe('parseCadenceDays', () => {
+  test('accepts numbers of days', () => {
+    expect(parseCadenceDays(90)).toBe(90);
+    expect(parseCadenceDays('45')).toBe(45);
+    expect(parseCadenceDays('30 days')).toBe(30);
+  });
+
+  test('accepts named cadences', () => {
+    expect(parseCadenceDays('Monthly')).toBe(30);
+    expect(parseCadenceDays('Quarterly')).toBe(90);
+    expect(parseCadenceDays('Semi annual')).toBe(182);
+    expect(parseCadenceDays('Annual')).toBe(365);
+  });
+
+  test('returns null for missing or unrecognized values', () => {
+    expect(parseCadenceDays(null)).toBeNull();
+    expect(parseCadenceDays('')).toBeNull();
+    expect(parseCadenceDays(0)).toBeNull();
+    expect(parseCadenceDays('whenever')).toBeNull();
+  });
+});
+
+describe('parseReminderTiers', () => {
+  test('returns no tiers for empty input', () => {
+    expect(parseReminderTiers('')).toEqual([]);
+    expect(parseReminderTiers(undefined)).toEqual([]);
+  });
+
+  test('parses, defaults and sorts tiers', () => {
+    const tiers = parseReminderTiers(`
+- name: critical
+  days: 120
+  mention: [assignees, "@team-lead"]
+  label: healthcheck-critical
+- name: coming-due
+  days: 60
+`);
+    expect(tiers).toEqual([
+      { name: 'coming-due', days: 60, mention: ['assignees'], label: null, message: null },
+      { name: 'critical', days: 120, mention: ['assignees', '@team-lead'], label: 'healthcheck-critical', message: null },
+    ]);
+  });
+
+  test('rejects invalid tiers', () => {
+    expect(() => parseReminderTiers('name: x')).toThrow('must be a YAML list');
+    expect(() => parseReminderTiers('- days: 10')).toThrow('missing a name');
+    expect(() => parseReminderTiers('- name: x\n  days: soon')).toThrow("'x' must have a non-negative integer 'days'");
+    expect(() => parseReminderTiers('- name: x\n  days: 1\n- name: x\n  days: 2')).toThrow('defined more than once');
+  });
 });
 
 describe('loadHealthCheckFiles', () => {
-  test('should return all healthcheck objects located under the fixtures directory', () => {
+  test('should return all healthcheck objects located under the fixtures directory', async () => {
     const dirPath = path.join(
       __dirname,
       '../test/fixtures/helphub-knowledge-base/premium/health-checks/'
@@ -113,10 +356,37 @@ describe('loadHealthCheckFiles', () => {
       },
     ];
 
-    const healthchecks = loadHealthCheckFiles(dirPath);
+    const { healthchecks, invalidFiles } = await loadHealthCheckFiles(dirPath);
 
     expect(healthchecks).toHaveLength(2);
-    expect(healthchecks).toEqual(expect.arrayContaining(expectedHealthchecks));
+    expect(invalidFiles).toEqual([]);
+    expect(healthchecks).toEqual(expect.arrayContaining(expectedHealthchecks.map(expect.objectContaining)));
+    expect(healthchecks.map(hc => hc.source_path)).toEqual(expect.arrayContaining([
+      path.join(dirPath, '2024/parsnip-2024-12.md'),
+      path.join(dirPath, '2025/avocado-2025-02.md'),
+    ]));
+  });
+
+  test('collects invalid files instead of failing', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-'));
+    fs.writeFileSync(path.join(tmpDir, 'turnip-2025-01.md'), '---\nenterprise_slug: turnip\ndate: 2025-01-01\n---\n');
+    fs.writeFileSync(path.join(tmpDir, 'broken.md'), '---\nenterprise_slug: [turnip\n---\n');
+    fs.writeFileSync(path.join(tmpDir, 'notes.md'), '# No frontmatter\n');
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      const { healthchecks, invalidFiles } = await loadHealthCheckFiles(tmpDir);
+
+      expect(healthchecks.map(hc => hc.enterprise_slug)).toEqual(['turnip']);
+      expect(invalidFiles).toEqual(expect.arrayContaining([
+        { source_path: path.join(tmpDir, 'broken.md'), error: expect.stringContaining('Failed to parse YAML frontmatter') },
+        { source_path: path.join(tmpDir, 'notes.md'), error: 'No YAML frontmatter found' },
+      ]));
+      expect(warn).toHaveBeenCalledTimes(2);
+    } finally {
+      warn.mockRestore();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
   });
 });
 
@@ -138,13 +408,124 @@ describe('parseHealthCheckFile', () => {
     expect(healthcheck).toEqual(expectedHealthcheck);
   });
 
-  test('should return a default object with null enterprise_id if no YAML frontmatter is found', () => {
+  test('should throw if no YAML frontmatter is found', () => {
     const invalidFixturePath = path.join(
       __dirname,
       '../test/fixtures/missing-frontmatter-hc.md'
     );
 
-    const healthcheck = parseHealthCheckFile(invalidFixturePath);
-    expect(healthcheck).toEqual({ enterprise_id: null });
+    expect(() => parseHealthCheckFile(invalidFixturePath)).toThrow('No YAML frontmatter found');
+  });
+
+  test('should normalize cadence_days from the frontmatter', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-'));
+    const quarterlyPath = path.join(tmpDir, 'quarterly.md');
+    const unknownPath = path.join(tmpDir, 'unknown.md');
+    fs.writeFileSync(quarterlyPath, '---\nenterprise_slug: Turnip\ndate: 2025-01-01\ncadence_days: Quarterly\n---\n');
+    fs.writeFileSync(unknownPath, '---\nenterprise_slug: turnip\ndate: 2025-01-01\ncadence_days: sometimes\n---\n');
+
+    try {
+      expect(parseHealthCheckFile(quarterlyPath).cadence_days).toBe(90);
+      expect(parseHealthCheckFile(unknownPath)).not.toHaveProperty('cadence_days');
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
+describe('parseHealthCheckContent', () => {
+  const frontmatter = (lines) => `---\n${lines.join('\n')}\n---\n# Health Check\n`;
+
+  test('accepts quoted dates and dates with a time, and string enterprise ids', () => {
+    expect(parseHealthCheckContent(frontmatter(['enterprise_slug: Avocado', "date: '2025-02-24'", "enterprise_id: '8086'"]), 'a.md'))
+      .toEqual({ enterprise_slug: 'avocado', date: new Date('2025-02-24'), enterprise_id: '8086' });
+    expect(parseHealthCheckContent(frontmatter(['enterprise_slug: avocado', 'date: 2025-02-24T15:30:00Z']), 'a.md').date)
+      .toEqual(new Date('2025-02-24T15:30:00Z'));
+  });
+
+  test('rejects malformed YAML', () => {
+    expect(() => parseHealthCheckContent(frontmatter(['enterprise_slug: [avocado']), 'a.md')).toThrow('Failed to parse YAML frontmatter');
+  });
+
+  test('rejects frontmatter that is not a mapping', () => {
+    expect(() => parseHealthCheckContent(frontmatter(['- avocado']), 'a.md')).toThrow('YAML frontmatter must be a mapping');
+    expect(() => parseHealthCheckContent(frontmatter(['# nothing yet']), 'a.md')).toThrow('YAML frontmatter must be a mapping');
+  });
+
+  test('requires enterprise_slug', () => {
+    expect(() => parseHealthCheckContent(frontmatter(['date: 2025-02-24']), 'a.md')).toThrow('enterprise_slug is required');
+    expect(() => parseHealthCheckContent(frontmatter(['enterprise_slug: ""', 'date: 2025-02-24']), 'a.md')).toThrow('enterprise_slug must be a non-empty string');
   });
-});
\ No newline at end of file
+
+  test('rejects a date that does not exist, and leaves a missing one to the other date sources', () => {
+    expect(parseHealthCheckContent(frontmatter(['enterprise_slug: avocado']), 'a.md')).toEqual({ enterprise_slug: 'avocado' });
+    expect(() => parseHealthCheckContent(frontmatter(['enterprise_slug: avocado', 'date: 2025-13-01']), 'a.md')).toThrow("date must be a valid YYYY-MM-DD date; got '2025-13-01'");
+    expect(() => parseHealthCheckContent(frontmatter(['enterprise_slug: avocado', 'date: 2025-02-30']), 'a.md')).toThrow("got '2025-02-30'");
+    expect(() => parseHealthCheckContent(frontmatter(['enterprise_slug: avocado', 'date: last week']), 'a.md')).toThrow("got 'last week'");
+  });
+
+  test('rejects an enterprise_id that is not a positive integer', () => {
+    expect(() => parseHealthCheckContent(frontmatter(['enterprise_slug: avocado', 'date: 2025-02-24', 'enterprise_id: abc']), 'a.md'))
+      .toThrow("enterprise_id must be a positive integer; got 'abc'");
+  });
+
+  test('reports every problem of a file at once', () => {
+    expect(() => parseHealthCheckContent(frontmatter(['date: 2025-13-01', 'enterprise_id: -1']), 'a.md'))
+      .toThrow("Invalid frontmatter: enterprise_slug is required; date must be a valid YYYY-MM-DD date; got '2025-13-01'; enterprise_id must be a positive integer; got '-1'");
+  });
+});
+
+describe('parseHealthcheckDate', () => {
+  test('returns null for invalid dates', () => {
+    expect(parseHealthcheckDate('2024-02-29')).toEqual(new Date('2024-02-29'));
+    expect(parseHealthcheckDate('2025-02-29')).toBeNull();
+    expect(parseHealthcheckDate('2025-1-5')).toBeNull();
+    expect(parseHealthcheckDate(new Date('nope'))).toBeNull();
+  });
+});
+
+describe('readHealthcheck', () => {
+  const undated = '---\nenterprise_slug: parsnip\n---\n';
+  const dated = '---\nenterprise_slug: parsnip\ndate: 2024-12-25\n---\n';
+  const firstCommitDate = jest.fn(async () => new Date('2024-12-20T09:00:00Z'));
+
+  beforeEach(() => firstCommitDate.mockClear());
+
+  test('dates a healthcheck from its frontmatter, then its filename, then its first commit', async () => {
+    expect(await readHealthcheck(dated, 'parsnip-2024-11.md', { firstCommitDate }))
+      .toMatchObject({ date: new Date('2024-12-25'), date_source: 'frontmatter' });
+    expect(await readHealthcheck(undated, '2024/parsnip-2024-11.md', { firstCommitDate }))
+      .toMatchObject({ date: new Date('2024-11-01'), date_source: 'filename' });
+    expect(await readHealthcheck(undated, 'parsnip.md', { firstCommitDate }))
+      .toMatchObject({ date: new Date('2024-12-20T09:00:00Z'), date_source: 'first-commit' });
+    expect(firstCommitDate).toHaveBeenCalledTimes(1);
+    expect(firstCommitDate).toHaveBeenCalledWith('parsnip.md');
+  });
+
+  test('follows the configured order and leaves out unlisted sources', async () => {
+    expect(await readHealthcheck(dated, 'parsnip-2024-11.md', { dateSources: ['first-commit', 'frontmatter'], firstCommitDate }))
+      .toMatchObject({ date: new Date('2024-12-20T09:00:00Z'), date_source: 'first-commit' });
+    await expect(readHealthcheck(undated, 'parsnip-2024-11.md', { dateSources: ['frontmatter'], firstCommitDate }))
+      .rejects.toThrow('No date found; tried frontmatter');
+  });
+
+  test('fails when no source yields a date', async () => {
+    await expect(readHealthcheck(undated, 'parsnip.md')).rejects.toThrow('No date found; tried frontmatter, filename, first-commit');
+  });
+});
+
+describe('dateFromFilename', () => {
+  test('reads the month at the end of the name', () => {
+    expect(dateFromFilename('premium/health-checks/2024/parsnip-2024-12.md')).toEqual(new Date('2024-12-01'));
+    expect(dateFromFilename('sweet-potato-2025-02.md')).toEqual(new Date('2025-02-01'));
+    expect(dateFromFilename('turnip-2025-13.md')).toBeNull();
+    expect(dateFromFilename('2025-02-notes-parsnip.md')).toBeNull();
+  });
+});
+
+describe('parseDateSources', () => {
+  test('defaults to every source and rejects unknown ones', () => {
+    expect(parseDateSources('')).toEqual(['frontmatter', 'filename', 'first-commit']);
+    expect(parseDateSources('Filename, frontmatter')).toEqual(['filename', 'frontmatter']);
+    expect(() => parseDateSources('frontmatter, mtime')).toThrow('Unknown healthcheck date sources mtime');
+  });
+});
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { makeHealthcheckSource, makeApiSource, makeLocalSource, blobUrl } = require('../src/healthcheck-source');
+
+const encode = (text) => ({ content: Buffer.from(text).toString('base64'), encoding: 'base64' });
+
+const avocado = '---\nenterprise_slug: avocado\nenterprise_id: 8086\ndate: 2025-02-24\n---\n# Avocado\n';
+const parsnip = '---\nenterprise_slug: Parsnip\ndate: 2024-12-25\n---\n# Parsnip\n';
+const turnip = '---\nenterprise_slug: turnip\ndate: 2025-13-01\n---\n# Turnip\n';
+const rutabaga = '---\nenterprise_slug: rutabaga\n---\n# Rutabaga\n';
+
+function makeOctokit({ truncated = false, withInvalid = false, withUndated = false } = {}) {
+  const trees = {
+    main: [{ path: 'premium', type: 'tree', sha: 'premium-sha' }, { path: 'README.md', type: 'blob', sha: 'readme-sha' }],
+    'premium-sha': [{ path: 'health-checks', type: 'tree', sha: 'hc-sha' }],
+    'hc-sha': [
+      { path: '2025', type: 'tree', sha: '2025-sha' },
+      { path: 'index.txt', type: 'blob', sha: 'txt-sha' },
+    ],
+    '2025-sha': [{ path: 'avocado-2025-02.md', type: 'blob', sha: 'avocado-sha' }],
+  };
+  const recursive = {
+    'hc-sha': [
+      { path: '2025', type: 'tree', sha: '2025-sha' },
+      { path: '2025/avocado-2025-02.md', type: 'blob', sha: 'avocado-sha' },
+      { path: '2024/parsnip-2024-12.md', type: 'blob', sha: 'parsnip-sha' },
+      { path: 'index.txt', type: 'blob', sha: 'txt-sha' },
+      ...(withInvalid ? [{ path: '2025/turnip-2025-13.md', type: 'blob', sha: 'turnip-sha' }] : []),
+      ...(withUndated ? [{ path: 'rutabaga.md', type: 'blob', sha: 'rutabaga-sha' }] : []),
+    ],
+  };
+  const blobs = { 'avocado-sha': encode(avocado), 'parsnip-sha': encode(parsnip), 'turnip-sha': encode(turnip), 'rutabaga-sha': encode(rutabaga) };
+  const commits = [
+    { commit: { author: { date: '2025-03-02T10:00:00Z' } } },
+    { commit: { author: { date: '2024-06-30T08:00:00Z' } } },
+  ];
+
+  return {
+    paginate: jest.fn(async (method, params) => method(params)),
+    rest: {
+      repos: {
+        get: jest.fn().mockResolvedValue({ data: { default_branch: 'main' } }),
+        listCommits: jest.fn(async () => commits),
+      },
+      git: {
+        getTree: jest.fn(async ({ tree_sha, recursive: isRecursive }) => {
+          if (isRecursive) {
+            return { data: { tree: truncated ? [] : recursive[tree_sha], truncated } };
+          }
+          return { data: { tree: trees[tree_sha], truncated: false } };
+        }),
+        getBlob: jest.fn(async ({ file_sha }) => ({ data: blobs[file_sha] })),
+      },
+    },
+  };
+}
+
+describe('makeApiSource', () => {
+  test('lists only dir-path and downloads only Markdown files', async () => {
+    const octokit = makeOctokit();
+    const source = makeApiSource(octokit, 'grubhub/hc-data', 'premium/health-checks');
+
+    const { healthchecks, invalidFiles } = await source.loadHealthchecks();
+
+    expect(invalidFiles).toEqual([]);
+    expect(octokit.rest.repos.get).toHaveBeenCalledWith({ owner: 'grubhub', repo: 'hc-data' });
+    expect(octokit.rest.git.getTree).toHaveBeenCalledWith({ owner: 'grubhub', repo: 'hc-data', tree_sha: 'hc-sha', recursive: 'true' });
+    expect(octokit.rest.git.getBlob).toHaveBeenCalledTimes(2);
+    expect(healthchecks).toEqual([
+      {
+        enterprise_slug: 'avocado',
+        enterprise_id: 8086,
+        date: new Date('2025-02-24'),
+        date_source: 'frontmatter',
+        source_path: 'premium/health-checks/2025/avocado-2025-02.md',
+        source_url: 'https://github.com/grubhub/hc-data/blob/main/premium/health-checks/2025/avocado-2025-02.md',
+      },
+      {
+        enterprise_slug: 'parsnip',
+        date: new Date('2024-12-25'),
+        date_source: 'frontmatter',
+        source_path: 'premium/health-checks/2024/parsnip-2024-12.md',
+        source_url: 'https://github.com/grubhub/hc-data/blob/main/premium/health-checks/2024/parsnip-2024-12.md',
+      },
+    ]);
+  });
+
+  test('skips invalid files and reports them with their URL', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const { healthchecks, invalidFiles } = await makeApiSource(makeOctokit({ withInvalid: true }), 'grubhub/hc-data', 'premium/health-checks').loadHealthchecks();
+
+      expect(healthchecks.map(hc => hc.enterprise_slug)).toEqual(['avocado', 'parsnip']);
+      expect(invalidFiles).toEqual([{
+        source_path: 'premium/health-checks/2025/turnip-2025-13.md',
+        source_url: 'https://github.com/grubhub/hc-data/blob/main/premium/health-checks/2025/turnip-2025-13.md',
+        error: "Invalid frontmatter: date must be a valid YYYY-MM-DD date; got '2025-13-01'",
+      }]);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Skipping invalid healthcheck premium/health-checks/2025/turnip-2025-13.md'));
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('dates a file lacking a date by its first commit at the ref', async () => {
+    const octokit = makeOctokit({ withUndated: true });
+    const { healthchecks } = await makeApiSource(octokit, 'grubhub/hc-data', 'premium/health-checks').loadHealthchecks();
+
+    expect(healthchecks).toContainEqual(expect.objectContaining({
+      enterprise_slug: 'rutabaga',
+      date: new Date('2024-06-30T08:00:00Z'),
+      date_source: 'first-commit',
+    }));
+    expect(octokit.rest.repos.listCommits).toHaveBeenCalledTimes(1);
+    expect(octokit.rest.repos.listCommits).toHaveBeenCalledWith({
+      owner: 'grubhub', repo: 'hc-data', sha: 'main', path: 'premium/health-checks/rutabaga.md', per_page: 100,
+    });
+  });
+
+  test('reads the given ref without looking up the default branch', async () => {
+    const octokit = makeOctokit();
+    await makeApiSource(octokit, 'grubhub/hc-data', 'premium/health-checks', 'main').loadHealthchecks();
+
+    expect(octokit.rest.repos.get).not.toHaveBeenCalled();
+  });
+
+  test('walks the tree directory by directory when the listing is truncated', async () => {
+    const octokit = makeOctokit({ truncated: true });
+    const { healthchecks } = await makeApiSource(octokit, 'grubhub/hc-data', 'premium/health-checks').loadHealthchecks();
+
+    expect(healthchecks).toEqual([expect.objectContaining({ enterprise_slug: 'avocado', enterprise_id: 8086, date: new Date('2025-02-24') })]);
+  });
+
+  test('fails clearly when dir-path does not exist', async () => {
+    const source = makeApiSource(makeOctokit(), 'grubhub/hc-data', 'premium/security-reviews');
+
+    await expect(source.loadHealthchecks()).rejects.toThrow("Directory 'premium/security-reviews' not found in grubhub/hc-data@main");
+  });
+
+  test('rejects a malformed repo name', () => {
+    expect(() => makeApiSource(makeOctokit(), 'hc-data', 'premium')).toThrow('must be in the format "owner/repo"');
+  });
+});
+
+describe('makeLocalSource', () => {
+  test('loads healthchecks from a directory', async () => {
+    const dirPath = path.join(__dirname, 'fixtures/helphub-knowledge-base/premium/health-checks');
+    const { healthchecks, invalidFiles } = await makeLocalSource(dirPath).loadHealthchecks();
+
+    expect(healthchecks).toHaveLength(2);
+    expect(invalidFiles).toEqual([]);
+  });
+
+  test('links each healthcheck to its file in the data repo', async () => {
+    const rootPath = path.join(__dirname, 'fixtures/helphub-knowledge-base');
+    const source = makeLocalSource(path.join(rootPath, 'premium/health-checks'), {
+      rootPath,
+      repo: 'grubhub/hc-data',
+      ref: 'release/2025',
+      serverUrl: 'https://ghe.example.com',
+    });
+
+    const { healthchecks } = await source.loadHealthchecks();
+
+    expect(healthchecks).toContainEqual(expect.objectContaining({
+      enterprise_slug: 'parsnip',
+      source_path: 'premium/health-checks/2024/parsnip-2024-12.md',
+      source_url: 'https://ghe.example.com/grubhub/hc-data/blob/release/2025/premium/health-checks/2024/parsnip-2024-12.md',
+    }));
+  });
+});
+
+describe('makeLocalSource with git history', () => {
+  let tmpDir;
+  const git = (...args) => execFileSync('git', args, {
+    cwd: tmpDir,
+    stdio: 'ignore',
+    env: { ...process.env, GIT_AUTHOR_DATE: '2024-06-30T08:00:00Z', GIT_COMMITTER_DATE: '2024-07-01T08:00:00Z' },
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-'));
+    fs.mkdirSync(path.join(tmpDir, 'premium'));
+    fs.writeFileSync(path.join(tmpDir, 'premium', 'rutabaga.md'), rutabaga);
+    git('init', '-q');
+    git('add', '.');
+    git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'Add rutabaga');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('dates a file lacking a date by the commit adding it', async () => {
+    const { healthchecks } = await makeLocalSource(path.join(tmpDir, 'premium'), { rootPath: tmpDir }).loadHealthchecks();
+
+    expect(healthchecks).toEqual([expect.objectContaining({
+      enterprise_slug: 'rutabaga',
+      date: new Date('2024-06-30T08:00:00Z'),
+      date_source: 'first-commit',
+      source_path: 'premium/rutabaga.md',
+    })]);
+  });
+});
+
+describe('blobUrl', () => {
+  test('links to the default branch with HEAD and encodes path segments', () => {
+    expect(blobUrl('https://github.com', 'grubhub/hc-data', 'HEAD', 'premium/health checks/a#1.md'))
+      .toBe('https://github.com/grubhub/hc-data/blob/HEAD/premium/health%20checks/a%231.md');
+  });
+});
+
+describe('makeHealthcheckSource', () => {
+  test('joins the local checkout path and dir-path', () => {
+    const source = makeHealthcheckSource('local', { localPath: 'hc-data', dirPath: 'premium/health-checks' });
+    expect(source.description).toBe(`local directory ${path.join('hc-data', 'premium/health-checks')}`);
+  });
+
+  test('rejects unknown source types', () => {
+    expect(() => makeHealthcheckSource('ftp', {})).toThrow("Unknown hc-source 'ftp'");
+  });
+});
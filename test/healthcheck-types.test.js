@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseHealthcheckTypes, assignHealthcheckTypes } = require('../src/healthcheck-types');
+const { DEFAULT_TEMPLATES } = require('../src/comment-templates');
+const { REMINDER_MARKER } = require('../src/update-issue');
+
+const TYPES = `
+- name: health-check
+  directory: health-checks
+- name: security-review
+  directory: security-reviews
+  max-staleness-days: 365
+  missing-template: "No {{type}} on file for {{title}}."
+- name: Architecture_Review
+  title: architecture review
+`;
+
+describe('parseHealthcheckTypes', () => {
+  test('returns the single healthcheck type when none are configured', () => {
+    expect(parseHealthcheckTypes('', DEFAULT_TEMPLATES)).toEqual([{
+      name: 'healthcheck',
+      title: 'healthcheck',
+      directory: 'healthcheck',
+      maxStalenessDays: null,
+      templates: DEFAULT_TEMPLATES,
+      marker: REMINDER_MARKER,
+      isDefault: true,
+    }]);
+  });
+
+  test('reads each type with its own threshold, templates and reminder marker', () => {
+    const [healthCheck, securityReview, architectureReview] = parseHealthcheckTypes(TYPES, DEFAULT_TEMPLATES);
+
+    expect(healthCheck).toMatchObject({ name: 'health-check', title: 'health check', marker: REMINDER_MARKER, maxStalenessDays: null });
+    expect(securityReview).toMatchObject({
+      name: 'security-review',
+      directory: 'security-reviews',
+      maxStalenessDays: 365,
+      templates: { stale: DEFAULT_TEMPLATES.stale, missing: 'No {{type}} on file for {{title}}.' },
+      marker: '<!-- hc-scheduler:reminder:security-review -->',
+    });
+    expect(architectureReview).toMatchObject({ name: 'architecture_review', title: 'architecture review', directory: 'architecture_review' });
+  });
+
+  test('reads a type template from a file', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-types-'));
+    const file = path.join(tmpDir, 'stale.md');
+    fs.writeFileSync(file, '{{title}} needs a {{type}}.');
+    try {
+      const [type] = parseHealthcheckTypes(`- name: security-review\n  stale-template-file: ${file}`, DEFAULT_TEMPLATES);
+      expect(type.templates.stale).toBe('{{title}} needs a {{type}}.');
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects malformed types', () => {
+    expect(() => parseHealthcheckTypes('name: security-review', DEFAULT_TEMPLATES)).toThrow('must be a non-empty YAML list');
+    expect(() => parseHealthcheckTypes('- name: [security', DEFAULT_TEMPLATES)).toThrow('Failed to parse healthcheck types');
+    expect(() => parseHealthcheckTypes('- title: review', DEFAULT_TEMPLATES)).toThrow('Healthcheck type #1: needs a name');
+    expect(() => parseHealthcheckTypes('- name: review\n  cadence: 30', DEFAULT_TEMPLATES)).toThrow('Healthcheck type #1: unknown keys cadence');
+    expect(() => parseHealthcheckTypes('- name: review\n  max-staleness-days: soon', DEFAULT_TEMPLATES)).toThrow('max-staleness-days must be a positive integer');
+    expect(() => parseHealthcheckTypes('- name: review\n  stale-template: "{{titel}}"', DEFAULT_TEMPLATES)).toThrow('Unknown placeholder {{titel}}');
+    expect(() => parseHealthcheckTypes('- name: review\n- name: Review', DEFAULT_TEMPLATES)).toThrow("Healthcheck type name 'review' is used more than once");
+    expect(() => parseHealthcheckTypes('- name: a\n  directory: reviews\n- name: b\n  directory: reviews/', DEFAULT_TEMPLATES)).toThrow("directory 'reviews' is used more than once");
+  });
+});
+
+describe('assignHealthcheckTypes', () => {
+  const types = parseHealthcheckTypes(TYPES, DEFAULT_TEMPLATES);
+
+  test('types healthchecks by frontmatter, then directory, then as the first type', () => {
+    const { healthchecks, invalidFiles } = assignHealthcheckTypes([
+      { enterprise_slug: 'avocado', source_path: 'premium/security-reviews/2025/avocado-2025-02.md' },
+      { enterprise_slug: 'avocado', source_path: 'premium/Security-Reviews/avocado-2024-02.md', type: 'health-check' },
+      { enterprise_slug: 'parsnip', source_path: 'premium/health-checks/parsnip-2024-12.md' },
+      { enterprise_slug: 'parsnip', source_path: 'premium/parsnip-notes.md', type: 'Architecture_Review' },
+      { enterprise_slug: 'turnip', source_path: 'premium/archive/turnip-2023-01.md' },
+    ], types, 'premium');
+
+    expect(invalidFiles).toEqual([]);
+    expect(healthchecks.map(hc => hc.type)).toEqual(['security-review', 'health-check', 'health-check', 'architecture_review', 'health-check']);
+  });
+
+  test('ignores the type key when no types are configured', () => {
+    const { healthchecks, invalidFiles } = assignHealthcheckTypes([
+      { enterprise_slug: 'avocado', source_path: 'premium/avocado.md', type: 'quarterly' },
+      { enterprise_slug: 'parsnip', source_path: 'premium/parsnip.md', type: ['security'] },
+    ], parseHealthcheckTypes('', DEFAULT_TEMPLATES), 'premium');
+
+    expect(healthchecks.map(hc => hc.type)).toEqual(['healthcheck', 'healthcheck']);
+    expect(invalidFiles).toEqual([]);
+  });
+
+  test('reports healthchecks naming an unknown type as invalid', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const { healthchecks, invalidFiles } = assignHealthcheckTypes([
+        { enterprise_slug: 'avocado', source_path: 'premium/avocado.md', source_url: 'https://example.com/avocado.md', type: 'pen-test' },
+      ], types, 'premium');
+
+      expect(healthchecks).toEqual([]);
+      expect(invalidFiles).toEqual([{
+        source_path: 'premium/avocado.md',
+        source_url: 'https://example.com/avocado.md',
+        error: "Unknown type 'pen-test'; expected one of health-check, security-review, architecture_review",
+      }]);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * Builds an issue of the grubhub/super-support repository, as the reminder steps see it once assessed.
+ * @param {number} number - The issue number, also naming its enterprise.
+ * @param {object} [extra={}] - Properties to add or replace, such as the healthcheck dates a suite checks.
+ * @returns {object} - The issue.
+ */
+function makeIssue(number, extra = {}) {
+  return {
+    repository: 'grubhub/super-support',
+    number,
+    title: `Enterprise ${number}`,
+    url: `https://github.com/grubhub/super-support/issues/${number}`,
+    enterprise_slug: `enterprise${number}`,
+    assignees: ['alice'],
+    ...extra,
+  };
+}
+
+module.exports = { makeIssue };
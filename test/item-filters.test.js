@@ -0,0 +1,53 @@
+const { parseList, parseItemFilters, matchesFilters } = require('../src/item-filters');
+
+describe('parseList', () => {
+  test('splits on commas and newlines', () => {
+    expect(parseList('Active, Onboarding\nPaused')).toEqual(['Active', 'Onboarding', 'Paused']);
+  });
+
+  test('falls back when empty', () => {
+    expect(parseList('', ['Active'])).toEqual(['Active']);
+    expect(parseList(' , ')).toEqual([]);
+  });
+});
+
+describe('parseItemFilters', () => {
+  test('returns no filters for empty input', () => {
+    expect(parseItemFilters('')).toEqual([]);
+  });
+
+  test('accepts lists, single values and include/exclude mappings', () => {
+    const filters = parseItemFilters('Region: [EMEA, APAC]\nTier: 1\nIteration:\n  exclude: Backlog\n');
+    expect(filters).toEqual([
+      { field: 'Region', include: ['EMEA', 'APAC'], exclude: [] },
+      { field: 'Tier', include: ['1'], exclude: [] },
+      { field: 'Iteration', include: [], exclude: ['Backlog'] },
+    ]);
+  });
+
+  test('rejects malformed filters', () => {
+    expect(() => parseItemFilters('- Region')).toThrow('must be a YAML mapping');
+    expect(() => parseItemFilters('Region:\n  only: [EMEA]')).toThrow("Item filter 'Region' has unknown keys only");
+    expect(() => parseItemFilters('Region: []')).toThrow("Item filter 'Region' needs values");
+    expect(() => parseItemFilters('Region: [EMEA')).toThrow('Failed to parse item filters');
+  });
+});
+
+describe('matchesFilters', () => {
+  const filters = [
+    { field: 'Engagement stage', include: ['Active', 'Onboarding'], exclude: [] },
+    { field: 'Iteration', include: [], exclude: ['Backlog'] },
+  ];
+
+  test('requires an included value and no excluded value', () => {
+    expect(matchesFilters({ 'Engagement stage': 'Onboarding', Iteration: 'Sprint 3' }, filters)).toBe(true);
+    expect(matchesFilters({ 'Engagement stage': 'Onboarding' }, filters)).toBe(true);
+    expect(matchesFilters({ 'Engagement stage': 'Churned' }, filters)).toBe(false);
+    expect(matchesFilters({ Iteration: 'Sprint 3' }, filters)).toBe(false);
+    expect(matchesFilters({ 'Engagement stage': 'Active', Iteration: 'Backlog' }, filters)).toBe(false);
+  });
+
+  test('compares numbers as text', () => {
+    expect(matchesFilters({ Tier: 1 }, [{ field: 'Tier', include: ['1'], exclude: [] }])).toBe(true);
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { makeEnterpriseMatcher } = require('../src/enterprise-matcher');
+const {
+  buildMismatchReport,
+  formatMismatchSummary,
+  writeMismatchReport,
+  editDistance
+} = require('../src/mismatch-report');
+
+describe('editDistance', () => {
+  test('counts single-character edits', () => {
+    expect(editDistance('avocado', 'avocado')).toBe(0);
+    expect(editDistance('avocado', 'avacado')).toBe(1);
+    expect(editDistance('parsnip', 'parsnips')).toBe(1);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('', 'abc')).toBe(3);
+  });
+});
+
+describe('buildMismatchReport', () => {
+  const matchEnterprise = makeEnterpriseMatcher();
+  const issue = (number, title, extra = {}) => ({ number, title, url: `https://github.com/grubhub/super-support/issues/${number}`, ...extra });
+
+  const healthchecks = [
+    { enterprise_slug: 'avocado', enterprise_id: 8086, date: new Date('2025-02-24') },
+    { enterprise_slug: 'parsnip', enterprise_id: 1181, date: new Date('2024-12-25') },
+    { enterprise_slug: 'parsnip', enterprise_id: 1181, date: new Date('2025-03-01'), date_source: 'filename' },
+    { enterprise_slug: 'turnip', date: new Date('2025-01-01'), date_source: 'frontmatter' },
+    { enterprise_id: null },
+  ];
+  const issues = [
+    issue(1, 'Avocado - 1'),
+    issue(2, 'Parsnips - 2'),
+    issue(3, 'Rutabaga - 3'),
+    issue(4, 'Renamed - 4', { fields: { enterprise_id: 8086 } }),
+  ];
+
+  const report = buildMismatchReport(healthchecks, issues, matchEnterprise);
+
+  test('lists healthchecks whose enterprise matches no issue', () => {
+    expect(report.orphaned_healthchecks).toEqual([
+      { enterprise_slug: 'parsnip', enterprise_id: 1181, healthcheck_count: 2, latest_date: new Date('2025-03-01'), latest_date_source: 'filename' },
+      { enterprise_slug: 'turnip', enterprise_id: null, healthcheck_count: 1, latest_date: new Date('2025-01-01'), latest_date_source: 'frontmatter' },
+    ]);
+  });
+
+  test('lists issues with no healthcheck', () => {
+    expect(report.issues_without_healthchecks.map(i => i.number)).toEqual([2, 3]);
+    expect(report.issues_without_healthchecks[0]).toMatchObject({ enterprise_slug: 'parsnips', enterprise_match: 'title' });
+  });
+
+  test('lists issues nobody is assigned to', () => {
+    const assigned = buildMismatchReport(healthchecks, [
+      issue(1, 'Avocado - 1', { assignees: ['alice'] }),
+      issue(5, 'Kale - 5', { assignees: [] }),
+    ], matchEnterprise);
+
+    expect(assigned.unassigned_issues).toEqual([expect.objectContaining({ number: 5, enterprise_slug: 'kale' })]);
+    expect(formatMismatchSummary(assigned)).toContain('### Issues nobody is assigned to (1)');
+  });
+
+  test('suggests likely typos', () => {
+    expect(report.near_matches).toEqual([
+      expect.objectContaining({ healthcheck_slug: 'parsnip', kind: 'fuzzy', distance: 1, issue: expect.objectContaining({ number: 2 }) }),
+    ]);
+  });
+
+  test('flags loose matches ignoring case and punctuation', () => {
+    const loose = buildMismatchReport(
+      [{ enterprise_slug: 'acme-corp', date: '2025-01-01' }],
+      [issue(5, 'x', { body: '<!-- enterprise_slug: AcmeCorp -->' })],
+      matchEnterprise
+    );
+    expect(loose.near_matches[0]).toMatchObject({ kind: 'case', distance: 0 });
+  });
+
+  test('lists enterprises claimed by several issues', () => {
+    const duplicates = buildMismatchReport(healthchecks, [issue(1, 'Avocado - 1'), issue(6, 'Avocado - 6'), issue(7, 'Parsnip - 7')], matchEnterprise);
+    expect(duplicates.duplicate_enterprises).toEqual([
+      { enterprise: 'slug:avocado', issues: [expect.objectContaining({ number: 1 }), expect.objectContaining({ number: 6 })] },
+    ]);
+  });
+});
+
+describe('formatMismatchSummary', () => {
+  test('renders each section with counts', () => {
+    const markdown = formatMismatchSummary({
+      orphaned_healthchecks: [
+        { enterprise_slug: 'turnip', enterprise_id: null, healthcheck_count: 1, latest_date: new Date('2025-01-01') },
+        { enterprise_slug: 'parsnip', enterprise_id: null, healthcheck_count: 1, latest_date: new Date('2024-12-01'), latest_date_source: 'filename' },
+      ],
+      issues_without_healthchecks: [{ number: 3, title: 'Rutabaga - 3', url: 'https://example.com/3', enterprise_slug: 'rutabaga', enterprise_match: 'title' }],
+      near_matches: [],
+      duplicate_enterprises: [],
+    });
+
+    expect(markdown).toContain('### Healthchecks matching no issue (2)');
+    expect(markdown).toContain('| turnip |  | 1 | 2025-01-01 |');
+    expect(markdown).toContain('| parsnip |  | 1 | 2024-12-01 (from filename) |');
+    expect(markdown).toContain('[#3 Rutabaga - 3](https://example.com/3)');
+    expect(markdown).toContain('### Possible typos (0)');
+    expect(markdown).not.toContain('Invalid healthcheck files');
+  });
+
+  test('lists invalid healthcheck files with their problem on one line', () => {
+    const report = buildMismatchReport([], [], makeEnterpriseMatcher(), {
+      invalidFiles: [{ source_path: 'premium/notes.md', source_url: 'https://example.com/notes.md', error: 'Failed to parse YAML frontmatter: bad |\n  indentation' }],
+    });
+
+    expect(report.invalid_healthchecks).toEqual([
+      { source_path: 'premium/notes.md', source_url: 'https://example.com/notes.md', error: 'Failed to parse YAML frontmatter: bad |\n  indentation' },
+    ]);
+    expect(formatMismatchSummary(report)).toContain('| [premium/notes.md](https://example.com/notes.md) | Failed to parse YAML frontmatter: bad \\| indentation |');
+  });
+});
+
+describe('writeMismatchReport', () => {
+  test('writes the report as JSON', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hc-'));
+    const filePath = path.join(tmpDir, 'report.json');
+    try {
+      writeMismatchReport({ near_matches: [] }, filePath);
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ near_matches: [] });
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,196 @@
+const {
+  HEALTHCHECK_STATUSES,
+  resolveHealthcheckStatus,
+  fetchProjectFields,
+  planFieldUpdates,
+  planFieldClear,
+  applyFieldUpdates
+} = require('../src/project-fields');
+
+const project = {
+  projectId: 'PVT_1',
+  fields: new Map([
+    ['Last healthcheck', { id: 'F_date', dataType: 'DATE', options: [] }],
+    ['Days since healthcheck', { id: 'F_days', dataType: 'NUMBER', options: [] }],
+    ['Healthcheck status', {
+      id: 'F_status',
+      dataType: 'SINGLE_SELECT',
+      options: ['OK', 'Due soon', 'Overdue', 'Missing'].map(name => ({ id: `O_${name}`, name })),
+    }],
+  ]),
+};
+
+describe('resolveHealthcheckStatus', () => {
+  const issue = (days) => ({ last_healthcheck_date: days === null ? null : '2025-01-01', days_since_healthcheck: days, threshold_days: 90 });
+
+  test('classifies by age against the threshold', () => {
+    expect(resolveHealthcheckStatus(issue(null), 14)).toBe(HEALTHCHECK_STATUSES.missing);
+    expect(resolveHealthcheckStatus(issue(91), 14)).toBe(HEALTHCHECK_STATUSES.overdue);
+    expect(resolveHealthcheckStatus(issue(80), 14)).toBe(HEALTHCHECK_STATUSES.dueSoon);
+    expect(resolveHealthcheckStatus(issue(76), 14)).toBe(HEALTHCHECK_STATUSES.ok);
+  });
+});
+
+describe('fetchProjectFields', () => {
+  test('maps fields by name', async () => {
+    const octokit = {
+      graphql: jest.fn().mockResolvedValue({
+        organization: {
+          projectV2: {
+            id: 'PVT_1',
+            fields: {
+              nodes: [
+                { id: 'F_date', name: 'Last healthcheck', dataType: 'DATE' },
+                { id: 'F_status', name: 'Healthcheck status', dataType: 'SINGLE_SELECT', options: [{ id: 'O_OK', name: 'OK' }] },
+                {},
+              ],
+            },
+          },
+        },
+      }),
+    };
+
+    const result = await fetchProjectFields(octokit, 'grubhub', '7');
+
+    expect(octokit.graphql).toHaveBeenCalledWith(expect.any(String), { org: 'grubhub', projectNumber: 7 });
+    expect(result.projectId).toBe('PVT_1');
+    expect(result.fields.get('Healthcheck status')).toEqual({ id: 'F_status', dataType: 'SINGLE_SELECT', options: [{ id: 'O_OK', name: 'OK' }] });
+    expect(result.fields.get('Last healthcheck').options).toEqual([]);
+  });
+
+  test('queries user-owned projects', async () => {
+    const octokit = { graphql: jest.fn().mockResolvedValue({ user: { projectV2: { id: 'PVT_2', fields: { nodes: [] } } } }) };
+
+    const result = await fetchProjectFields(octokit, 'octocat', 3, { ownerType: 'user' });
+
+    expect(octokit.graphql.mock.calls[0][0]).toContain('user(login: $org)');
+    expect(result.projectId).toBe('PVT_2');
+  });
+
+  test('fails when the project does not exist', async () => {
+    const octokit = { graphql: jest.fn().mockResolvedValue({ organization: { projectV2: null } }) };
+    await expect(fetchProjectFields(octokit, 'grubhub', 7)).rejects.toThrow('Project grubhub/7 not found');
+  });
+});
+
+describe('planFieldUpdates', () => {
+  const settings = { dueSoonDays: 14 };
+
+  test('updates only the fields that changed', () => {
+    const issue = {
+      last_healthcheck_date: new Date('2025-01-15'),
+      days_since_healthcheck: 95,
+      threshold_days: 90,
+      fields: { 'Last healthcheck': '2025-01-15', 'Days since healthcheck': 94, 'Healthcheck status': 'Due soon' },
+    };
+
+    const { updates, warnings } = planFieldUpdates(issue, project, settings);
+
+    expect(warnings).toEqual([]);
+    expect(updates).toEqual([
+      { name: 'Days since healthcheck', fieldId: 'F_days', from: 94, to: 95, value: { number: 95 } },
+      { name: 'Healthcheck status', fieldId: 'F_status', from: 'Due soon', to: 'Overdue', value: { singleSelectOptionId: 'O_Overdue' } },
+    ]);
+  });
+
+  test('clears the date and age when no healthcheck exists', () => {
+    const issue = {
+      last_healthcheck_date: null,
+      days_since_healthcheck: null,
+      threshold_days: 90,
+      fields: { 'Last healthcheck': '2024-01-01', 'Days since healthcheck': 400 },
+    };
+
+    const { updates } = planFieldUpdates(issue, project, settings);
+
+    expect(updates.map(({ name, value }) => [name, value])).toEqual([
+      ['Last healthcheck', null],
+      ['Days since healthcheck', null],
+      ['Healthcheck status', { singleSelectOptionId: 'O_Missing' }],
+    ]);
+  });
+
+  test('warns about missing fields, wrong types and missing options', () => {
+    const partial = {
+      fields: new Map([
+        ['Days since healthcheck', { id: 'F_days', dataType: 'TEXT', options: [] }],
+        ['Healthcheck status', { id: 'F_status', dataType: 'SINGLE_SELECT', options: [{ id: 'O_OK', name: 'OK' }] }],
+      ]),
+    };
+    const issue = { last_healthcheck_date: '2025-01-15', days_since_healthcheck: 95, threshold_days: 90, fields: {} };
+
+    const { updates, warnings } = planFieldUpdates(issue, partial, settings);
+
+    expect(updates).toEqual([]);
+    expect(warnings).toEqual([
+      "Project has no field 'Last healthcheck'",
+      "Project field 'Days since healthcheck' is TEXT, expected NUMBER",
+      "Project field 'Healthcheck status' has no option 'Overdue'",
+    ]);
+  });
+
+  test('honors custom field names', () => {
+    const renamed = { fields: new Map([['Status of HC', project.fields.get('Healthcheck status')]]) };
+    const issue = { last_healthcheck_date: null, days_since_healthcheck: null, threshold_days: 90, fields: {} };
+
+    const { updates } = planFieldUpdates(issue, renamed, {
+      ...settings,
+      fieldNames: { lastHealthcheck: 'HC date', daysSince: 'HC age', status: 'Status of HC' },
+    });
+
+    expect(updates).toEqual([{ name: 'Status of HC', fieldId: 'F_status', from: null, to: 'Missing', value: { singleSelectOptionId: 'O_Missing' } }]);
+  });
+});
+
+describe('planFieldClear', () => {
+  test('clears an existing field', () => {
+    const snoozed = { ...project, fields: new Map([['Snooze until', { id: 'F_snooze', dataType: 'DATE', options: [] }]]) };
+
+    expect(planFieldClear(snoozed, 'Snooze until', '2026-10-01')).toEqual({
+      updates: [{ name: 'Snooze until', fieldId: 'F_snooze', from: '2026-10-01', to: null, value: null }],
+      warnings: [],
+    });
+  });
+
+  test('warns about a missing field', () => {
+    expect(planFieldClear(project, 'Snooze until', '2026-10-01')).toEqual({ updates: [], warnings: ["Project has no field 'Snooze until'"] });
+  });
+});
+
+describe('applyFieldUpdates', () => {
+  const issue = { id: 'PVTI_1', number: 3, title: 'Acme' };
+  const updates = [
+    { name: 'Days since healthcheck', fieldId: 'F_days', from: 94, to: 95, value: { number: 95 } },
+    { name: 'Last healthcheck', fieldId: 'F_date', from: '2024-01-01', to: null, value: null },
+  ];
+
+  test('prints the diff in dry-run mode', async () => {
+    const octokit = { graphql: jest.fn() };
+    const result = await applyFieldUpdates(octokit, 'PVT_1', issue, updates, true);
+
+    expect(result).toEqual({
+      ok: true,
+      message: "[DRY-RUN] Would have updated project fields of issue #3 'Acme': Days since healthcheck: 94 -> 95; Last healthcheck: 2024-01-01 -> (empty)",
+    });
+    expect(octokit.graphql).not.toHaveBeenCalled();
+  });
+
+  test('updates and clears values with mutations', async () => {
+    const octokit = { graphql: jest.fn().mockResolvedValue({}) };
+    const result = await applyFieldUpdates(octokit, 'PVT_1', issue, updates, false);
+
+    expect(result.ok).toBe(true);
+    expect(octokit.graphql.mock.calls[0][0]).toContain('updateProjectV2ItemFieldValue');
+    expect(octokit.graphql.mock.calls[0][1]).toEqual({ projectId: 'PVT_1', itemId: 'PVTI_1', fieldId: 'F_days', value: { number: 95 } });
+    expect(octokit.graphql.mock.calls[1][0]).toContain('clearProjectV2ItemFieldValue');
+    expect(octokit.graphql.mock.calls[1][1]).toEqual({ projectId: 'PVT_1', itemId: 'PVTI_1', fieldId: 'F_date' });
+  });
+
+  test('reports failures', async () => {
+    const octokit = { graphql: jest.fn().mockRejectedValue(new Error('denied')) };
+    const result = await applyFieldUpdates(octokit, 'PVT_1', issue, updates, false);
+
+    expect(result.ok).toBe(false);
+    expect(result.message).toMatch(/^Failed to update project fields of issue #3 'Acme': .* - denied$/);
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { makeProjectTarget, parseProjectTargets, loadProjectTargets, dedupeIssues } = require('../src/project-targets');
+
+const defaults = {
+  statusFieldName: 'Status',
+  issueStatuses: ['Active'],
+  excludedStatuses: [],
+  issueStates: ['OPEN'],
+  itemFilters: [],
+  includeUnassigned: false,
+  maxStalenessDays: 60,
+  reminderTiers: [],
+};
+
+describe('makeProjectTarget', () => {
+  test('falls back to the defaults', () => {
+    expect(makeProjectTarget({ org: 'grubhub', number: '7' }, defaults)).toEqual({
+      ...defaults,
+      name: 'grubhub/7',
+      owner: 'grubhub',
+      ownerType: 'organization',
+      number: 7,
+      repositories: [],
+    });
+  });
+
+  test('qualifies bare repository names with the project owner', () => {
+    const target = makeProjectTarget({ org: 'grubhub', number: 7, repositories: 'super-support, other/partners' }, defaults);
+    expect(target.repositories).toEqual(['grubhub/super-support', 'other/partners']);
+  });
+
+  test('rejects targets without an owner or a valid number', () => {
+    expect(() => makeProjectTarget({ number: 7 }, defaults)).toThrow('needs the org or user owning the project');
+    expect(() => makeProjectTarget({ org: 'a', user: 'b', number: 7 }, defaults)).toThrow('set either org or user');
+    expect(() => makeProjectTarget({ org: 'grubhub', number: 'x' }, defaults)).toThrow("needs a positive project number; got 'x'");
+  });
+});
+
+describe('parseProjectTargets', () => {
+  test('returns no targets for empty input', () => {
+    expect(parseProjectTargets('', defaults)).toEqual([]);
+  });
+
+  test('overrides the defaults per target', () => {
+    const targets = parseProjectTargets([
+      '- org: grubhub',
+      '  number: 7',
+      '- user: octocat',
+      '  number: 3',
+      '  status-field-name: Stage',
+      '  notifiable-issue-status: [Active, Onboarding]',
+      '  notifiable-issue-state: open',
+      '  include-unassigned: true',
+      '  max-staleness-days: 90',
+      '  item-filters:',
+      '    Region: [EMEA]',
+      '  reminder-tiers:',
+      '    - name: overdue',
+      '      days: 90',
+    ].join('\n'), defaults);
+
+    expect(targets.map(target => target.name)).toEqual(['grubhub/7', 'octocat/3']);
+    expect(targets[0].maxStalenessDays).toBe(60);
+    expect(targets[1]).toMatchObject({
+      ownerType: 'user',
+      statusFieldName: 'Stage',
+      issueStatuses: ['Active', 'Onboarding'],
+      issueStates: ['OPEN'],
+      includeUnassigned: true,
+      maxStalenessDays: 90,
+      itemFilters: [{ field: 'Region', include: ['EMEA'], exclude: [] }],
+      reminderTiers: [expect.objectContaining({ name: 'overdue', days: 90 })],
+    });
+  });
+
+  test('names the target that is invalid', () => {
+    expect(() => parseProjectTargets('org: grubhub', defaults)).toThrow('must be a non-empty YAML list');
+    expect(() => parseProjectTargets('- org: grubhub\n  number: 7\n  status: Active', defaults)).toThrow('Project target #1: unknown keys status');
+    expect(() => parseProjectTargets('- org: grubhub\n  number: 7\n  max-staleness-days: 0', defaults)).toThrow('Project target #1: max-staleness-days must be a positive integer');
+    expect(() => parseProjectTargets('- org: grubhub\n  number: 7\n- org: grubhub\n  number: 7', defaults)).toThrow('grubhub/7 is listed more than once');
+  });
+
+  test('loads the list from a file when there is no inline list', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'hc-targets-')), 'targets.yml');
+    fs.writeFileSync(file, '- user: octocat\n  number: 3\n');
+
+    expect(loadProjectTargets({ targetsFile: file }, defaults).map(target => target.name)).toEqual(['octocat/3']);
+    expect(loadProjectTargets({ targets: '- org: grubhub\n  number: 7', targetsFile: file }, defaults).map(target => target.name)).toEqual(['grubhub/7']);
+    expect(loadProjectTargets({}, defaults)).toEqual([]);
+  });
+});
+
+describe('dedupeIssues', () => {
+  test('keeps the first copy of an issue listed on several boards', () => {
+    const first = { repository: 'grubhub/super-support', number: 1, project: 'grubhub/7' };
+    const copy = { repository: 'Grubhub/super-support', number: 1, project: 'octocat/3' };
+    const other = { repository: 'grubhub/partners', number: 1, project: 'octocat/3' };
+
+    expect(dedupeIssues([first, copy, other])).toEqual({
+      issues: [first, other],
+      duplicates: [{ issue: first, project: 'octocat/3' }],
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const { makeRateLimiter } = require('../src/rate-limit');
+
+const START = 1700000000000;
+
+// A clock whose sleeps only advance time
+function fakeClock() {
+  let time = START;
+  const sleeps = [];
+  return {
+    now: () => time,
+    sleep: async ms => {
+      sleeps.push(ms);
+      time += ms;
+    },
+    sleeps,
+  };
+}
+
+const budgetHeaders = (resource, remaining, used, resetInSec = 3600, limit = 5000) => ({
+  'x-ratelimit-resource': resource,
+  'x-ratelimit-limit': String(limit),
+  'x-ratelimit-remaining': String(remaining),
+  'x-ratelimit-used': String(used),
+  'x-ratelimit-reset': String(START / 1000 + resetInSec),
+});
+
+const ok = (headers = {}, data = {}) => ({ status: 200, headers, data });
+const failure = (status, message, headers = {}) => Object.assign(new Error(message), { status, response: { headers } });
+
+// Stands in for Octokit's request: answers each call with the next response, throwing errors
+function fakeRequest(...responses) {
+  return jest.fn(async () => {
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  });
+}
+
+const get = { method: 'GET', url: '/repos/{owner}/{repo}/issues/{issue_number}/timeline' };
+const comment = { method: 'POST', url: '/repos/{owner}/{repo}/issues/{issue_number}/comments' };
+const query = { method: 'POST', url: '/graphql', query: 'query { viewer { login } }' };
+const mutation = { method: 'POST', url: '/graphql', query: 'mutation ($id: ID!) { clearProjectV2ItemFieldValue }' };
+
+describe('makeRateLimiter', () => {
+  let clock;
+  let warn;
+
+  beforeEach(() => {
+    clock = fakeClock();
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  const limiter = (options = {}) => makeRateLimiter({ now: clock.now, sleep: clock.sleep, random: () => 0, ...options });
+
+  test('retries server errors of reads with exponential backoff and jitter', async () => {
+    const request = fakeRequest(failure(502, 'Bad Gateway'), failure(503, 'Unavailable'), ok());
+    const { wrap, stats } = limiter({ random: () => 0.5 });
+
+    await expect(wrap(request, get)).resolves.toMatchObject({ status: 200 });
+
+    expect(clock.sleeps).toEqual([750, 1500]);
+    expect(stats).toMatchObject({ requests: 3, retries: 2 });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('retrying in 1s (retry 1 of 3)'));
+  });
+
+  test('retries GraphQL queries but not comments or mutations after a server error', async () => {
+    await expect(limiter().wrap(fakeRequest(failure(502, 'Bad Gateway'), ok()), query)).resolves.toMatchObject({ status: 200 });
+    await expect(limiter().wrap(fakeRequest(failure(502, 'Bad Gateway'), ok()), comment)).rejects.toThrow('Bad Gateway');
+    await expect(limiter().wrap(fakeRequest(failure(502, 'Bad Gateway'), ok()), mutation)).rejects.toThrow('Bad Gateway');
+  });
+
+  test('does not retry other client errors', async () => {
+    const request = fakeRequest(failure(404, 'Not Found'), ok());
+    await expect(limiter().wrap(request, get)).rejects.toThrow('Not Found');
+    await expect(limiter().wrap(fakeRequest(failure(403, 'Resource not accessible by integration')), comment)).rejects.toThrow('not accessible');
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  test('honours retry-after on secondary rate limits, and waits a minute without it', async () => {
+    const request = fakeRequest(
+      failure(403, 'You have exceeded a secondary rate limit', { 'retry-after': '30' }),
+      failure(403, 'You have exceeded a secondary rate limit'),
+      ok()
+    );
+
+    await limiter().wrap(request, comment);
+
+    expect(clock.sleeps).toEqual([30000, 60000]);
+  });
+
+  test('waits for the budget to reset after a primary rate limit', async () => {
+    const request = fakeRequest(failure(403, 'API rate limit exceeded', budgetHeaders('core', 0, 5000, 120)), ok());
+
+    await limiter().wrap(request, get);
+
+    expect(clock.sleeps).toEqual([121000]);
+  });
+
+  test('retries GraphQL RATE_LIMITED answers, then hands the last one back to Octokit', async () => {
+    const limited = ok(budgetHeaders('graphql', 10, 4990), { errors: [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded' }] });
+    const request = fakeRequest(limited, limited);
+
+    const response = await limiter({ maxRetries: 1 }).wrap(request, query);
+
+    expect(response).toBe(limited);
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up after maxRetries', async () => {
+    const request = fakeRequest(failure(500, 'boom'), failure(500, 'boom'), failure(500, 'boom'));
+    await expect(limiter({ maxRetries: 2 }).wrap(request, get)).rejects.toThrow('boom');
+    expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  test('spaces writes at least minWriteIntervalMs apart, leaving reads alone', async () => {
+    const { wrap } = limiter({ minWriteIntervalMs: 2000 });
+    const request = fakeRequest(ok(), ok(), ok());
+
+    await wrap(request, comment);
+    await wrap(request, get);
+    await wrap(request, comment);
+
+    expect(clock.sleeps).toEqual([2000]);
+  });
+
+  test('spreads requests over the time left once the budget runs low', async () => {
+    const { wrap, stats } = limiter();
+    const request = fakeRequest(ok(budgetHeaders('core', 10, 4990, 100)), ok());
+
+    await wrap(request, get);
+    await wrap(request, get);
+
+    expect(clock.sleeps).toEqual([10000]);
+    expect(stats.waitedMs).toBe(10000);
+  });
+
+  test('fails instead of waiting longer than maxWaitMs for an exhausted budget', async () => {
+    const { wrap } = limiter({ maxWaitMs: 60 * 1000 });
+    const request = fakeRequest(ok(budgetHeaders('graphql', 0, 5000, 1800)));
+
+    await wrap(request, query);
+
+    await expect(wrap(request, query)).rejects.toThrow(/graphql rate limit is exhausted until .*; not waiting 1801s/);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  test('tracks GraphQL points from the used header', async () => {
+    const { wrap, stats, describe } = limiter({ name: 'project-token' });
+    const request = fakeRequest(
+      ok(budgetHeaders('graphql', 4990, 10)),
+      ok(budgetHeaders('graphql', 4988, 12)),
+      ok(budgetHeaders('graphql', 4983, 17)),
+      ok(budgetHeaders('core', 4999, 1))
+    );
+
+    for (let i = 0; i < 3; i++) {
+      await wrap(request, query);
+    }
+    await wrap(request, get);
+
+    expect(stats.graphqlPoints).toBe(8);
+    expect(describe()).toBe('project-token: 4 requests, 0 retries, 0s spent waiting, ~8 GraphQL points (4983 left), 4999 REST requests left');
+  });
+});
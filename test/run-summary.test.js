@@ -0,0 +1,70 @@
+const { makeIssue } = require('./helpers/issues');
+const { makeOutcome, summarizeRun, formatRunSummary } = require('../src/run-summary');
+
+describe('run summary', () => {
+  const makeOverdueIssue = (number, extra = {}) => makeIssue(number, {
+    last_healthcheck_date: new Date('2025-01-15'),
+    days_since_healthcheck: 95,
+    ...extra,
+  });
+
+  const commented = makeOutcome(makeOverdueIssue(1, {
+    tier: { name: 'overdue' },
+    last_healthcheck_date_source: 'frontmatter',
+    healthcheck_type: 'security-review',
+    healthcheck_type_title: 'security review',
+  }));
+  commented.actions.push('unlabeled', 'commented');
+  const skipped = makeOutcome(makeOverdueIssue(2, { last_healthcheck_date_source: 'first-commit' }));
+  skipped.actions.push('skipped-by-label');
+  const failed = makeOutcome(makeOverdueIssue(3, { last_healthcheck_date: null, days_since_healthcheck: null }));
+  failed.errors.push('API error!');
+  const outcomes = [commented, skipped, failed];
+
+  test('summarizeRun counts outcomes and lists issues', () => {
+    const summary = summarizeRun(outcomes);
+
+    expect(summary.overdueCount).toBe(3);
+    expect(summary.commentedCount).toBe(1);
+    expect(summary.errorsCount).toBe(1);
+    expect(summary.overdueIssues[0]).toEqual({
+      repository: 'grubhub/super-support',
+      number: 1,
+      title: 'Enterprise 1',
+      url: 'https://github.com/grubhub/super-support/issues/1',
+      enterprise_slug: 'enterprise1',
+      healthcheck_type: 'security-review',
+      assignees: ['alice'],
+      last_healthcheck_date: '2025-01-15',
+      last_healthcheck_date_source: 'frontmatter',
+      last_healthcheck_url: null,
+      days_since_healthcheck: 95,
+      tier: 'overdue',
+      actions: ['unlabeled', 'commented'],
+      errors: [],
+    });
+    expect(summary.overdueIssues[2].last_healthcheck_date).toBeNull();
+  });
+
+  test('formatRunSummary renders a row per issue', () => {
+    const markdown = formatRunSummary(outcomes, { isDryRun: true });
+
+    expect(markdown).toContain('## Healthcheck reminders (dry run)');
+    expect(markdown).toContain('3 overdue, 1 reminded, 1 with errors.');
+    expect(markdown).toContain('| enterprise1 | [#1](https://github.com/grubhub/super-support/issues/1) | 2025-01-15 | 95 | unlabeled, commented |');
+    expect(markdown).toContain('| enterprise2 | [#2](https://github.com/grubhub/super-support/issues/2) | 2025-01-15 (from first-commit) | 95 | skipped-by-label |');
+    expect(markdown).toContain('| enterprise3 | [#3](https://github.com/grubhub/super-support/issues/3) | none |  | error |');
+  });
+
+  test('formatRunSummary names the healthcheck type of each row when asked to', () => {
+    const markdown = formatRunSummary(outcomes, { showTypes: true });
+
+    expect(markdown).toContain('| enterprise | type | issue | last healthcheck | days since | action |');
+    expect(markdown).toContain('| enterprise1 | security review | [#1](https://github.com/grubhub/super-support/issues/1) |');
+    expect(formatRunSummary(outcomes)).not.toContain('security review');
+  });
+
+  test('formatRunSummary omits the table when nothing is overdue', () => {
+    expect(formatRunSummary([])).not.toContain('| enterprise |');
+  });
+});
@@ -0,0 +1,63 @@
+const { parseSnoozeDate, parseSnoozeLabel, collectSnoozes, evaluateSnoozes } = require('../src/snooze');
+
+const skipLabel = 'pause-healthcheck-notifications';
+
+describe('parseSnoozeDate', () => {
+  test('parses dates and timestamps to midnight UTC', () => {
+    expect(parseSnoozeDate('2026-12-01')).toEqual(new Date('2026-12-01T00:00:00Z'));
+    expect(parseSnoozeDate('2026-12-01T15:00:00Z')).toEqual(new Date('2026-12-01T00:00:00Z'));
+  });
+
+  test('rejects missing and invalid dates', () => {
+    expect(parseSnoozeDate(null)).toBeNull();
+    expect(parseSnoozeDate('next week')).toBeNull();
+    expect(parseSnoozeDate('2026-02-30')).toBeNull();
+  });
+});
+
+describe('parseSnoozeLabel', () => {
+  test('reads the date of a snooze label', () => {
+    expect(parseSnoozeLabel(`${skipLabel}-until-2026-12-01`, skipLabel)).toEqual(new Date('2026-12-01T00:00:00Z'));
+  });
+
+  test('ignores the plain skip label and other labels', () => {
+    expect(parseSnoozeLabel(skipLabel, skipLabel)).toBeNull();
+    expect(parseSnoozeLabel('other-until-2026-12-01', skipLabel)).toBeNull();
+    expect(parseSnoozeLabel(`${skipLabel}-until-soon`, skipLabel)).toBeNull();
+  });
+});
+
+describe('collectSnoozes', () => {
+  test('collects snooze labels and the snooze date field', () => {
+    const issue = {
+      labels: ['bug', `${skipLabel}-until-2026-12-01`],
+      snooze_until: new Date('2027-01-15T00:00:00Z'),
+    };
+
+    expect(collectSnoozes(issue, skipLabel)).toEqual([
+      { source: 'label', until: new Date('2026-12-01T00:00:00Z'), label: `${skipLabel}-until-2026-12-01` },
+      { source: 'field', until: new Date('2027-01-15T00:00:00Z'), label: null },
+    ]);
+  });
+});
+
+describe('evaluateSnoozes', () => {
+  const now = new Date('2026-12-01T09:00:00Z');
+  const snooze = (date, label = null) => ({ source: label ? 'label' : 'field', until: new Date(`${date}T00:00:00Z`), label });
+
+  test('picks the latest running snooze', () => {
+    const { active, expired } = evaluateSnoozes([snooze('2026-12-10', 'a'), snooze('2027-01-01')], now);
+    expect(active).toEqual(snooze('2027-01-01'));
+    expect(expired).toEqual([]);
+  });
+
+  test('expires snoozes on their date', () => {
+    const { active, expired } = evaluateSnoozes([snooze('2026-12-01', 'a'), snooze('2026-11-01')], now);
+    expect(active).toBeNull();
+    expect(expired).toHaveLength(2);
+  });
+
+  test('handles issues without snoozes', () => {
+    expect(evaluateSnoozes(undefined, now)).toEqual({ active: null, expired: [] });
+  });
+});
@@ -1,4 +1,13 @@
-const { unlabelIssue, addIssueComment, composeNotificationComment } = require('../src/update-issue');
+const {
+  REMINDER_MARKER,
+  unlabelIssue,
+  addIssueComment,
+  updateIssueComment,
+  replyToIssue,
+  evaluateReminder,
+  composeNotificationComment,
+  labelIssue
+} = require('../src/update-issue');
 
 describe('composeNotificationComment', () => {
   it('returns a message with assignee mentions and healthcheck date when valid date and assignees exist', () => {
@@ -65,6 +74,170 @@ describe('composeNotificationComment', () => {
     expect(comment).toContain('Null Healthcheck');
     expect(comment).toContain(skipLabelName);
   });
+
+  it('embeds the hidden reminder marker', () => {
+    const issue = {
+      number: 5,
+      title: 'Marked Enterprise',
+      url: 'https://github.com/grubhub/super-support/issues/5',
+      assignees: ['alice'],
+      last_healthcheck_date: '2024-05-01T00:00:00Z',
+    };
+    const comment = composeNotificationComment(issue, 'pause-healthcheck-notifications');
+
+    expect(comment).toContain(REMINDER_MARKER);
+  });
+
+  it('mentions the tier\'s people and renders its message', () => {
+    const issue = {
+      number: 6,
+      title: 'Tiered Enterprise',
+      enterprise_slug: 'tiered',
+      url: 'https://github.com/grubhub/super-support/issues/6',
+      assignees: ['alice'],
+      last_healthcheck_date: '2024-05-01T00:00:00Z',
+      tier: {
+        name: 'critical',
+        days: 120,
+        mention: ['assignees', '@lead', 'grubhub/managers', 'alice'],
+        label: null,
+        message: '{{title}} is {{tier}} ({{days_since}} days)',
+      },
+    };
+    const comment = composeNotificationComment(issue, 'pause-healthcheck-notifications');
+
+    expect(comment).toMatch(/Heads-up @alice @lead @grubhub\/managers!/);
+    expect(comment).toMatch(/Tiered Enterprise is critical \(\d+ days\)/);
+  });
+});
+
+describe('composeNotificationComment cadence', () => {
+  it('states the applied cadence and where it came from', () => {
+    const issue = {
+      number: 7,
+      title: 'Quarterly Enterprise',
+      url: 'https://github.com/grubhub/super-support/issues/7',
+      assignees: [],
+      last_healthcheck_date: '2024-05-01T00:00:00Z',
+      cadence_days: 90,
+      cadence_source: 'issue',
+    };
+    const comment = composeNotificationComment(issue, 'pause-healthcheck-notifications');
+
+    expect(comment).toContain('90-day healthcheck cadence');
+    expect(comment).toContain('project board');
+  });
+});
+
+describe('composeNotificationComment healthcheck types', () => {
+  const issue = {
+    number: 8,
+    title: 'Reviewed Enterprise',
+    url: 'https://github.com/grubhub/super-support/issues/8',
+    assignees: ['alice'],
+    last_healthcheck_date: '2024-05-01T00:00:00Z',
+    last_healthcheck_url: 'https://example.com/security-reviews/reviewed.md',
+    healthcheck_type: 'security-review',
+    healthcheck_type_title: 'security review',
+    cadence_days: 365,
+    cadence_source: 'type',
+  };
+
+  it('words the reminder after the type and tags it with the type\'s marker', () => {
+    const comment = composeNotificationComment(issue, 'pause-healthcheck-notifications', {
+      marker: '<!-- hc-scheduler:reminder:security-review -->',
+    });
+
+    expect(comment).toMatch(/is due for its next security review because the last one was \d+ days ago/);
+    expect(comment).toContain('Last security review: [');
+    expect(comment).toContain('365-day security review cadence (from the `max-staleness-days` of the security review type)');
+    expect(comment).toContain('<!-- hc-scheduler:reminder:security-review -->');
+    expect(comment).not.toContain(REMINDER_MARKER);
+  });
+
+  it('words a missing review after the type', () => {
+    const comment = composeNotificationComment({ ...issue, last_healthcheck_date: null }, 'pause-healthcheck-notifications');
+
+    expect(comment).toContain('No security reviews were found');
+  });
+});
+
+describe('composeNotificationComment templates', () => {
+  const issue = {
+    number: 8,
+    title: 'Templated Enterprise',
+    enterprise_slug: 'templated',
+    url: 'https://github.com/grubhub/super-support/issues/8',
+    assignees: ['alice'],
+    last_healthcheck_date: '2024-05-01T00:00:00Z',
+  };
+
+  it('does not indent lines, which Markdown would render as a code block', () => {
+    const comment = composeNotificationComment(issue, 'pause-healthcheck-notifications');
+
+    expect(comment).not.toMatch(/^ {4}/m);
+    expect(comment).toContain('on May 1, 2024.');
+  });
+
+  it('renders custom templates with the configured locale and time zone', () => {
+    const templates = {
+      stale: '{{#assignees}}Hallo {{assignees}}! {{/assignees}}{{enterprise_slug}}: {{last_healthcheck_date}}',
+      missing: 'Nichts gefunden für {{title}}',
+    };
+    const options = { templates, locale: 'de-DE', timeZone: 'America/Los_Angeles' };
+
+    expect(composeNotificationComment(issue, 'skip', options)).toMatch(/^Hallo @alice! templated: 30\. April 2024\n/);
+    expect(composeNotificationComment({ ...issue, assignees: [], last_healthcheck_date: null }, 'skip', options))
+      .toMatch(/^Nichts gefunden für Templated Enterprise\n/);
+  });
+
+  it('links the healthcheck date when the healthcheck URL is known', () => {
+    const templates = { stale: 'Last: {{healthcheck_link}}', missing: '' };
+    const comment = composeNotificationComment({ ...issue, last_healthcheck_url: 'https://example.com/hc.md' }, 'skip', { templates });
+
+    expect(comment).toContain('Last: [May 1, 2024](https://example.com/hc.md)');
+  });
+
+  it('links the last healthcheck and lists previous dates by default', () => {
+    const comment = composeNotificationComment({
+      ...issue,
+      last_healthcheck_title: 'Health Check for templated',
+      last_healthcheck_url: 'https://example.com/hc-2024-05.md',
+      previous_healthchecks: [
+        { date: '2024-02-01T00:00:00Z', url: 'https://example.com/hc-2024-02.md' },
+        { date: '2023-11-01T00:00:00Z', url: null },
+      ],
+    }, 'skip');
+
+    expect(comment).toContain('Last healthcheck: [Health Check for templated](https://example.com/hc-2024-05.md)');
+    expect(comment).toContain('Previous healthchecks: [February 1, 2024](https://example.com/hc-2024-02.md), November 1, 2023');
+  });
+
+  it('omits the healthcheck links when none are known', () => {
+    const comment = composeNotificationComment(issue, 'skip');
+
+    expect(comment).not.toContain('Last healthcheck:');
+    expect(comment).not.toContain('Previous healthchecks:');
+    expect(comment).not.toMatch(/\n{3,}/);
+  });
+});
+
+describe('evaluateReminder', () => {
+  const now = new Date('2025-06-15T00:00:00Z');
+
+  it('does not skip when there is no previous reminder', () => {
+    expect(evaluateReminder(null, 7, now)).toEqual({ skip: false, daysSinceReminder: null });
+  });
+
+  it('skips when the previous reminder is within the interval', () => {
+    const previousReminder = { id: 1, date: new Date('2025-06-12T00:00:00Z') };
+    expect(evaluateReminder(previousReminder, 7, now)).toEqual({ skip: true, daysSinceReminder: 3 });
+  });
+
+  it('does not skip once the interval has elapsed', () => {
+    const previousReminder = { id: 1, date: new Date('2025-06-08T00:00:00Z') };
+    expect(evaluateReminder(previousReminder, 7, now)).toEqual({ skip: false, daysSinceReminder: 7 });
+  });
 });
 
 describe('addIssueComment', () => {
@@ -143,6 +316,142 @@ describe('addIssueComment', () => {
   });
 });
 
+describe('updateIssueComment', () => {
+  const repoApiContext = {
+    octokit: null, // will be set in beforeEach
+    repoOwner: 'grubhub',
+    repoName: 'super-support',
+  };
+  const skipLabelName = 'pause-healthcheck-notifications';
+  const issue = {
+    number: 42,
+    title: 'Test Issue',
+    url: 'https://github.com/grubhub/super-support/issues/42',
+    assignees: ['alice'],
+    last_healthcheck_date: '2024-05-01T00:00:00Z',
+  };
+
+  beforeEach(() => {
+    repoApiContext.octokit = {
+      rest: {
+        issues: {
+          updateComment: jest.fn().mockResolvedValue({}),
+        },
+      },
+    };
+  });
+
+  it('should return dry-run message and not call octokit when isDryRun is true', async () => {
+    const result = await updateIssueComment(repoApiContext, issue, 99, skipLabelName, true);
+
+    expect(result.ok).toBe(true);
+    expect(result.message).toContain('[DRY-RUN] Would have updated reminder on issue');
+    expect(repoApiContext.octokit.rest.issues.updateComment).not.toHaveBeenCalled();
+  });
+
+  it('should update the previous comment when isDryRun is false', async () => {
+    const result = await updateIssueComment(repoApiContext, issue, 99, skipLabelName, false);
+
+    expect(result.ok).toBe(true);
+    expect(result.message).toContain('Updated reminder on issue');
+    expect(repoApiContext.octokit.rest.issues.updateComment).toHaveBeenCalledWith({
+      owner: repoApiContext.repoOwner,
+      repo: repoApiContext.repoName,
+      comment_id: 99,
+      body: expect.stringContaining(REMINDER_MARKER),
+    });
+  });
+
+  it('should handle errors and return error message', async () => {
+    repoApiContext.octokit.rest.issues.updateComment.mockRejectedValueOnce(new Error('API error!'));
+
+    const result = await updateIssueComment(repoApiContext, issue, 99, skipLabelName, false);
+
+    expect(result.ok).toBe(false);
+    expect(result.message).toContain('Failed to update comment 99');
+    expect(result.message).toContain('API error!');
+  });
+});
+
+describe('replyToIssue', () => {
+  const issue = { number: 42, title: 'Test Issue', url: 'https://github.com/grubhub/super-support/issues/42' };
+  const makeContext = (createComment) => ({
+    octokit: { rest: { issues: { createComment } } },
+    repoOwner: 'grubhub',
+    repoName: 'super-support',
+  });
+
+  it('only logs the reply in dry-run mode', async () => {
+    const createComment = jest.fn();
+    const result = await replyToIssue(makeContext(createComment), issue, 'Snoozed.', true);
+
+    expect(result).toEqual({ ok: true, message: expect.stringContaining('[DRY-RUN] Would have replied on issue #42') });
+    expect(createComment).not.toHaveBeenCalled();
+  });
+
+  it('posts the reply as is', async () => {
+    const createComment = jest.fn().mockResolvedValue({});
+    const result = await replyToIssue(makeContext(createComment), issue, 'Snoozed.', false);
+
+    expect(result.ok).toBe(true);
+    expect(createComment).toHaveBeenCalledWith({ owner: 'grubhub', repo: 'super-support', issue_number: 42, body: 'Snoozed.' });
+  });
+
+  it('reports failures', async () => {
+    const result = await replyToIssue(makeContext(jest.fn().mockRejectedValue(new Error('boom'))), issue, 'Snoozed.', false);
+
+    expect(result).toEqual({ ok: false, message: 'Failed to reply on https://github.com/grubhub/super-support/issues/42 - boom' });
+  });
+});
+
+describe('labelIssue', () => {
+  const context = {
+    octokit: null, // will be set in beforeEach
+    repoOwner: 'grubhub',
+    repoName: 'super-support',
+  };
+  const issue = { number: 42, title: 'Test Issue' };
+
+  beforeEach(() => {
+    context.octokit = {
+      rest: {
+        issues: {
+          addLabels: jest.fn().mockResolvedValue({}),
+        },
+      },
+    };
+  });
+
+  it('should return dry-run message and not call octokit when isDryRun is true', async () => {
+    const result = await labelIssue(context, issue, 'healthcheck-critical', true);
+
+    expect(result.ok).toBe(true);
+    expect(result.message).toContain('[DRY-RUN] Would have added label');
+    expect(context.octokit.rest.issues.addLabels).not.toHaveBeenCalled();
+  });
+
+  it('should call octokit when isDryRun is false', async () => {
+    const result = await labelIssue(context, issue, 'healthcheck-critical', false);
+
+    expect(result.ok).toBe(true);
+    expect(context.octokit.rest.issues.addLabels).toHaveBeenCalledWith({
+      owner: context.repoOwner,
+      repo: context.repoName,
+      issue_number: issue.number,
+      labels: ['healthcheck-critical'],
+    });
+  });
+
+  it('should handle errors and return error message', async () => {
+    context.octokit.rest.issues.addLabels.mockRejectedValueOnce(new Error('API error!'));
+
+    const result = await labelIssue(context, issue, 'healthcheck-critical', false);
+
+    expect(result.ok).toBe(false);
+    expect(result.message).toContain('Error adding label');
+  });
+});
+
 describe('unlabelIssue', () => {
   const context = {
     octokit: null, // will be set in beforeEach